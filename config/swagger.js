@@ -52,6 +52,41 @@ const options = {
         name: "Token",
         description: "Token creation and URI management",
       },
+      {
+        name: "Events",
+        description: "Indexed contract event history",
+      },
+      {
+        name: "Jobs",
+        description: "Tracking of transactions submitted in async mode",
+      },
+      {
+        name: "Portfolio",
+        description: "Holdings of one address across all plots",
+      },
+      {
+        name: "Auth",
+        description: "Authentication and the caller's role",
+      },
+      {
+        name: "Transactions",
+        description:
+          "Unsigned transaction building and client-signed broadcast",
+      },
+      {
+        name: "Webhooks",
+        description: "Signed outbound notifications of contract events",
+      },
+      {
+        name: "Audit",
+        description:
+          "Append-only record of contract writes made through the API",
+      },
+      {
+        name: "Geo",
+        description:
+          "GeoJSON boundaries of parcels and plots, spatial search and areas",
+      },
     ],
     components: {
       parameters: {
@@ -86,6 +121,50 @@ const options = {
             example: 1,
           },
         },
+        AsyncMode: {
+          name: "async",
+          in: "query",
+          required: false,
+          description:
+            "Return 202 with a job ID as soon as the transaction is broadcast instead of waiting for it to be mined",
+          schema: {
+            type: "boolean",
+            example: true,
+          },
+        },
+        BlockTag: {
+          name: "blockTag",
+          in: "query",
+          required: false,
+          description:
+            "Read the contract at a past block: a block number, or an ISO 8601 date resolved to the last block mined at or before it. Successful responses then include `block` ({ number, timestamp }). Needs an archive RPC node for old blocks",
+          schema: {
+            type: "string",
+            example: "2025-01-31T12:00:00Z",
+          },
+        },
+        DryRun: {
+          name: "dryRun",
+          in: "query",
+          required: false,
+          description:
+            "Simulate the call with staticCall and estimateGas instead of sending it. Returns a DryRunResult (predicted return value, gas estimate, fee at current gas prices, decoded revert)",
+          schema: {
+            type: "boolean",
+            example: true,
+          },
+        },
+        IdempotencyKey: {
+          name: "Idempotency-Key",
+          in: "header",
+          required: false,
+          description:
+            "Client-chosen unique key (1-255 printable ASCII characters). The first response is stored for `IDEMPOTENCY_TTL_MS` (24 hours by default) and replayed, with `Idempotent-Replayed: true`, to retries with the same key, query and body, so no second transaction is sent. Reusing a key for a different request returns 422 `IDEMPOTENCY_KEY_REUSED`; retrying while the first request is still running returns 409 `IDEMPOTENCY_KEY_IN_USE`",
+          schema: {
+            type: "string",
+            example: "3f7c2a4e-0b1d-4c8e-9a6f-5d2e1b7c9f30",
+          },
+        },
       },
       schemas: {
         EthereumAddress: {
@@ -94,6 +173,122 @@ const options = {
           example: "0x742d35Cc6634C0532925a3b8D2DE0f87b7b82fd0",
           description: "A valid Ethereum address",
         },
+        JobAccepted: {
+          type: "object",
+          properties: {
+            success: {
+              type: "boolean",
+              example: true,
+            },
+            data: {
+              type: "object",
+              properties: {
+                jobId: {
+                  type: "string",
+                  nullable: true,
+                  description:
+                    "Null when the transaction was broadcast but the job could not be stored",
+                  example: "665f1c2a9b1e8a3d4c5b6a79",
+                },
+                status: {
+                  type: "string",
+                  example: "pending",
+                },
+                transaction: {
+                  type: "object",
+                  properties: {
+                    hash: {
+                      type: "string",
+                      example: "0x1234567890abcdef1234567890abcdef12345678",
+                    },
+                  },
+                },
+                statusUrl: {
+                  type: "string",
+                  nullable: true,
+                  example: "/api/jobs/665f1c2a9b1e8a3d4c5b6a79",
+                },
+                warning: {
+                  type: "string",
+                  description:
+                    "Present only when the transaction is not tracked as a job",
+                },
+              },
+            },
+            message: {
+              type: "string",
+              example: "Transaction submitted. Poll the job for its status",
+            },
+          },
+        },
+        DryRunResult: {
+          type: "object",
+          properties: {
+            success: {
+              type: "boolean",
+              example: true,
+            },
+            data: {
+              type: "object",
+              properties: {
+                dryRun: {
+                  type: "boolean",
+                  example: true,
+                },
+                functionName: {
+                  type: "string",
+                  example: "createBlockParcelToken",
+                },
+                args: {
+                  type: "array",
+                  items: {},
+                },
+                willRevert: {
+                  type: "boolean",
+                  example: false,
+                },
+                returnValue: {
+                  nullable: true,
+                  example: "5",
+                },
+                gas: {
+                  type: "object",
+                  nullable: true,
+                  properties: {
+                    estimate: { type: "string", example: "182345" },
+                    gasPrice: { type: "string", example: "1000000" },
+                    maxFeePerGas: { type: "string", example: "1500000" },
+                    maxPriorityFeePerGas: {
+                      type: "string",
+                      example: "1000000",
+                    },
+                  },
+                },
+                estimatedFee: {
+                  type: "object",
+                  nullable: true,
+                  properties: {
+                    wei: { type: "string", example: "273517500000" },
+                    eth: { type: "string", example: "0.0000002735175" },
+                  },
+                },
+                error: {
+                  type: "object",
+                  description: "Present when willRevert is true",
+                  properties: {
+                    code: { type: "string", example: "INSUFFICIENT_BALANCE" },
+                    details: { type: "string" },
+                    revert: { type: "object" },
+                  },
+                },
+              },
+            },
+            message: {
+              type: "string",
+              example: "Dry run completed: transaction would succeed",
+            },
+          },
+        },
         ErrorResponse: {
           type: "object",
           properties: {
@@ -114,7 +309,37 @@ const options = {
                 },
                 code: {
                   type: "string",
-                  example: "CALL_EXCEPTION",
+                  example: "INSUFFICIENT_BALANCE",
+                },
+                transactionHash: {
+                  type: "string",
+                  description:
+                    "Hash of the transaction, when the failure came after it was broadcast",
+                },
+                revert: {
+                  type: "object",
+                  description:
+                    "Decoded contract revert (custom error, Error(string) or Panic), when the call reverted",
+                  properties: {
+                    name: {
+                      type: "string",
+                      example: "ERC1155InsufficientBalance",
+                    },
+                    signature: {
+                      type: "string",
+                      example:
+                        "ERC1155InsufficientBalance(address,uint256,uint256,uint256)",
+                    },
+                    args: {
+                      type: "object",
+                      example: {
+                        sender: "0x1B8683e1885B3ee93524cD58BC10Cf3Ed6af4298",
+                        balance: "0",
+                        needed: "10",
+                        tokenId: "1",
+                      },
+                    },
+                  },
                 },
                 timestamp: {
                   type: "string",
@@ -129,7 +354,22 @@ const options = {
           },
         },
       },
+      securitySchemes: {
+        ApiKeyAuth: {
+          type: "apiKey",
+          in: "header",
+          name: "X-API-Key",
+          description: "API key configured in API_KEYS",
+        },
+        BearerAuth: {
+          type: "http",
+          scheme: "bearer",
+          bearerFormat: "JWT",
+          description: "HS256 JWT signed with JWT_SECRET",
+        },
+      },
     },
+    security: [{ ApiKeyAuth: [] }, { BearerAuth: [] }],
   },
   apis: ["./routes/*.js", "./index.js"], // paths to files containing OpenAPI definitions
 };
@@ -3,9 +3,57 @@ const cors = require("cors");
 const { ethers } = require("ethers");
 require("dotenv").config();
 const { initializeContract, contract } = require("./utils/contractInstance");
+const { connectDatabase, disconnectDatabase } = require("./utils/database");
+const {
+  startIndexer,
+  stopIndexer,
+  registerEventHandler,
+} = require("./utils/eventIndexer");
+const { applyTransferEvent } = require("./utils/transferProjection");
+const {
+  invalidateCachedViews,
+  startBlockWatcher,
+  stopBlockWatcher,
+} = require("./utils/cacheInvalidator");
+const { viewCacheHeaders } = require("./utils/viewCache");
+const { publishEvent, attachWebSocketServer } = require("./utils/eventStream");
+const {
+  enqueueWebhookEvent,
+  startWebhookWorker,
+  stopWebhookWorker,
+} = require("./utils/webhooks");
+const {
+  resumePendingJobs,
+  recordJobReplacement,
+  recordJobStuck,
+  registerJobOutcomeHandler,
+} = require("./utils/jobTracker");
+const {
+  registerReplacementHandler,
+  registerStuckHandler,
+} = require("./utils/txQueue");
+const {
+  linkMetadataFromEvent,
+  recordDraftReplacement,
+} = require("./utils/tokenMetadata");
+const {
+  releaseFailedApprovalSignature,
+} = require("./utils/approvalSignatures");
+const { authenticate } = require("./utils/auth");
 const getterRoutes = require("./routes/getter.routes");
 const setterRoutes = require("./routes/setter.routes");
 const getPlotRoutes = require("./routes/get_plot.routes");
+const eventsRoutes = require("./routes/events.routes");
+const transfersRoutes = require("./routes/transfers.routes");
+const jobsRoutes = require("./routes/jobs.routes");
+const txRoutes = require("./routes/tx.routes");
+const authRoutes = require("./routes/auth.routes");
+const portfolioRoutes = require("./routes/portfolio.routes");
+const streamRoutes = require("./routes/stream.routes");
+const webhooksRoutes = require("./routes/webhooks.routes");
+const auditRoutes = require("./routes/audit.routes");
+const metadataRoutes = require("./routes/metadata.routes");
+const geoRoutes = require("./routes/geo.routes");
 const { swaggerUi, specs } = require("./config/swagger");
 
 const app = express();
@@ -16,7 +64,15 @@ app.use(
   cors({
     origin: "*", // Allow all origins
     methods: ["GET", "POST", "PUT", "DELETE", "PATCH", "OPTIONS"], // Allow all HTTP methods
-    allowedHeaders: ["*"], // Allow all headers
+    allowedHeaders: ["*", "Authorization"], // Allow all headers (Authorization is never covered by "*")
+    // Let browsers read cache, export and idempotency headers
+    exposedHeaders: [
+      "ETag",
+      "X-Block-Number",
+      "Content-Disposition",
+      "Idempotent-Replayed",
+      "Retry-After",
+    ],
     credentials: false, // Set to false for wildcard origin
     optionsSuccessStatus: 200, // For legacy browser support
   })
@@ -35,6 +91,7 @@ app.use(express.urlencoded({ extended: true }));
  *     summary: API Health Check
  *     description: Returns a simple message confirming the API is running
  *     tags: [Health]
+ *     security: []
  *     responses:
  *       200:
  *         description: API is running successfully
@@ -64,10 +121,27 @@ app.use(
   })
 );
 
+// Resolve the caller's API key / JWT; each router guards its own routes
+app.use("/api", authenticate);
+
+// Contract reads report the block their (possibly cached) data reflects
+app.use(["/api/getter", "/api/get_plot", "/api/portfolio"], viewCacheHeaders);
+
 // Routes for the getter functions
 app.use("/api/getter", getterRoutes);
 app.use("/api/setter", setterRoutes);
 app.use("/api/get_plot", getPlotRoutes);
+app.use("/api/events", eventsRoutes);
+app.use("/api/transfers", transfersRoutes);
+app.use("/api/jobs", jobsRoutes);
+app.use("/api/tx", txRoutes);
+app.use("/api/auth", authRoutes);
+app.use("/api/portfolio", portfolioRoutes);
+app.use("/api/stream", streamRoutes);
+app.use("/api/webhooks", webhooksRoutes);
+app.use("/api/audit", auditRoutes);
+app.use("/api/metadata", metadataRoutes);
+app.use("/api/geo", geoRoutes);
 
 // Function to start the server
 async function startServer() {
@@ -77,10 +151,40 @@ async function startServer() {
     // Initialize blockchain connection when server starts
     await initializeContract();
 
+    // Connect to MongoDB and start indexing contract events in the background
+    await connectDatabase();
+    // Projections also take the history found on the first catch-up;
+    // cache, stream and webhook handlers only take new events
+    registerEventHandler(applyTransferEvent, { includeHistory: true });
+    registerEventHandler(linkMetadataFromEvent, { includeHistory: true });
+    registerEventHandler(invalidateCachedViews);
+    registerEventHandler(publishEvent);
+    registerEventHandler(enqueueWebhookEvent);
+    startIndexer();
+
+    // Deliver queued webhook events, retrying failed ones with backoff
+    startWebhookWorker();
+
+    // Invalidate cached contract reads as soon as new blocks touch them
+    startBlockWatcher();
+
+    // Keep tracking async transactions submitted before the last restart,
+    // and store fee-bump re-sends (and transactions that stay stuck) on their
+    // jobs and metadata drafts. Failed approval jobs give their signature
+    // back to the approver.
+    registerReplacementHandler(recordJobReplacement);
+    registerReplacementHandler(recordDraftReplacement);
+    registerStuckHandler(recordJobStuck);
+    registerJobOutcomeHandler(releaseFailedApprovalSignature);
+    await resumePendingJobs();
+
     // Start listening for HTTP requests
-    app.listen(PORT, () => {
+    const server = app.listen(PORT, () => {
       console.log(`Server listening at http://localhost:${PORT}`);
     });
+
+    // Push indexed events to WebSocket subscribers (SSE is /api/stream/events)
+    attachWebSocketServer(server);
   } catch (error) {
     console.error("Failed to start server:", error.message);
     process.exit(1);
@@ -88,8 +192,12 @@ async function startServer() {
 }
 
 // Handle graceful shutdown
-process.on("SIGINT", () => {
+process.on("SIGINT", async () => {
   console.log("\nShutting down...");
+  stopIndexer();
+  stopBlockWatcher();
+  stopWebhookWorker();
+  await disconnectDatabase();
   process.exit(0);
 });
 
@@ -0,0 +1,19 @@
+const mongoose = require("mongoose");
+
+// An EIP-712 transfer approval that has been submitted on chain. The unique
+// (signer, nonce) index is what stops a signature from being replayed.
+const approvalSignatureSchema = new mongoose.Schema(
+  {
+    signer: { type: String, required: true, lowercase: true },
+    nonce: { type: String, required: true },
+    requestId: { type: String, required: true, index: true },
+    role: { type: Number, required: true },
+    deadline: { type: Number, required: true },
+    signature: { type: String, required: true },
+  },
+  { timestamps: true }
+);
+
+approvalSignatureSchema.index({ signer: 1, nonce: 1 }, { unique: true });
+
+module.exports = mongoose.model("ApprovalSignature", approvalSignatureSchema);
@@ -0,0 +1,77 @@
+const mongoose = require("mongoose");
+
+// One document per contract write made through the API: who called it, what
+// they sent and what happened on chain. Async writes get a second entry when
+// their transaction settles. Entries are never modified or deleted.
+const auditLogSchema = new mongoose.Schema(
+  {
+    principal: {
+      id: { type: String, default: null },
+      role: { type: String, default: null },
+      address: { type: String, default: null },
+      method: { type: String, default: null },
+    },
+    ip: { type: String, default: null },
+    method: { type: String, required: true },
+    endpoint: { type: String, required: true },
+    requestBody: { type: mongoose.Schema.Types.Mixed, default: {} },
+    functionName: { type: String, default: null },
+    outcome: {
+      type: String,
+      enum: ["dry-run", "submitted", "mined", "reverted", "dropped", "failed"],
+      required: true,
+    },
+    httpStatus: { type: Number, default: null },
+    jobId: { type: String, default: null },
+    transaction: {
+      hash: { type: String, default: null },
+      from: { type: String, default: null },
+      to: { type: String, default: null },
+    },
+    receipt: {
+      blockNumber: { type: Number, default: null },
+      status: { type: Number, default: null },
+      gasUsed: { type: String, default: null },
+    },
+    events: { type: [mongoose.Schema.Types.Mixed], default: [] },
+    error: {
+      message: { type: String, default: null },
+      code: { type: String, default: null },
+      details: { type: String, default: null },
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ "principal.id": 1, createdAt: -1 });
+auditLogSchema.index({ "principal.address": 1, createdAt: -1 });
+auditLogSchema.index({ functionName: 1, createdAt: -1 });
+auditLogSchema.index({ outcome: 1, createdAt: -1 });
+auditLogSchema.index({ "transaction.hash": 1 });
+auditLogSchema.index({ jobId: 1 });
+
+// Append-only: refuse every operation that would change stored entries
+function rejectChange(next) {
+  next(new Error("Audit log entries cannot be modified or deleted"));
+}
+
+auditLogSchema.pre(
+  [
+    "updateOne",
+    "updateMany",
+    "findOneAndUpdate",
+    "replaceOne",
+    "findOneAndReplace",
+    "deleteOne",
+    "deleteMany",
+    "findOneAndDelete",
+  ],
+  rejectChange
+);
+auditLogSchema.pre("save", function (next) {
+  if (!this.isNew) return rejectChange(next);
+  next();
+});
+
+module.exports = mongoose.model("AuditLog", auditLogSchema);
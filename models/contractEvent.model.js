@@ -0,0 +1,31 @@
+const mongoose = require("mongoose");
+
+// One document per contract log processed by the event indexer.
+// `args` keeps the decoded event arguments (uint256 values as strings);
+// the top-level id and address fields are copies used for querying.
+const contractEventSchema = new mongoose.Schema(
+  {
+    event: { type: String, required: true, index: true },
+    blockNumber: { type: Number, required: true, index: true },
+    blockHash: { type: String, required: true },
+    blockTimestamp: { type: Date },
+    transactionHash: { type: String, required: true },
+    logIndex: { type: Number, required: true },
+    args: { type: mongoose.Schema.Types.Mixed, default: {} },
+    requestId: { type: String, default: null, index: true },
+    plotId: { type: String, default: null, index: true },
+    tokenIds: { type: [String], default: [], index: true },
+    addresses: { type: [String], default: [], index: true },
+  },
+  { timestamps: true }
+);
+
+// A log is uniquely identified by its transaction and position in it,
+// which makes re-processing a block range safe
+contractEventSchema.index(
+  { transactionHash: 1, logIndex: 1 },
+  { unique: true }
+);
+contractEventSchema.index({ blockNumber: 1, logIndex: 1 });
+
+module.exports = mongoose.model("ContractEvent", contractEventSchema);
@@ -0,0 +1,29 @@
+const mongoose = require("mongoose");
+
+// A setter request made with an Idempotency-Key header. Holds the first
+// response so retries with the same key get it back instead of sending
+// another transaction. MongoDB removes keys once they expire.
+const idempotencyKeySchema = new mongoose.Schema(
+  {
+    principalId: { type: String, required: true },
+    key: { type: String, required: true },
+    fingerprint: { type: String, required: true },
+    endpoint: { type: String, required: true },
+    status: {
+      type: String,
+      enum: ["processing", "completed"],
+      default: "processing",
+    },
+    response: {
+      statusCode: { type: Number },
+      body: { type: mongoose.Schema.Types.Mixed },
+    },
+    expiresAt: { type: Date, required: true, expires: 0 },
+  },
+  { timestamps: true }
+);
+
+// Keys are scoped to the caller, so two clients cannot collide
+idempotencyKeySchema.index({ principalId: 1, key: 1 }, { unique: true });
+
+module.exports = mongoose.model("IdempotencyKey", idempotencyKeySchema);
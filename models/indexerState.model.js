@@ -0,0 +1,19 @@
+const mongoose = require("mongoose");
+
+// Progress marker for the event indexer, so it resumes where it stopped
+const indexerStateSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true, unique: true },
+    contractAddress: { type: String, required: true },
+    lastProcessedBlock: { type: Number, required: true },
+    // First block indexed; null for states created before it was recorded
+    startBlock: { type: Number, default: null },
+    // Events up to this block happened before the indexer first ran (its
+    // initial catch-up, or a backfill); only handlers that accept history
+    // see them
+    historyToBlock: { type: Number, default: null },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("IndexerState", indexerStateSchema);
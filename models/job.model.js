@@ -0,0 +1,46 @@
+const mongoose = require("mongoose");
+
+// A transaction submitted in async mode. The HTTP request returns as soon as
+// the tx is broadcast; the job tracker fills in the receipt once it is mined.
+const jobSchema = new mongoose.Schema(
+  {
+    endpoint: { type: String, required: true },
+    functionName: { type: String, required: true },
+    requestBody: { type: mongoose.Schema.Types.Mixed, default: {} },
+    status: {
+      type: String,
+      // stuck: still unmined after the queue's last fee bump; it may yet
+      // be mined, so the job is still watched
+      enum: ["pending", "stuck", "mined", "failed"],
+      default: "pending",
+      index: true,
+    },
+    transaction: {
+      hash: { type: String, index: true },
+      from: { type: String },
+      to: { type: String },
+      nonce: { type: Number },
+      replacedHashes: { type: [String], default: [] },
+    },
+    receipt: {
+      blockNumber: { type: Number },
+      blockHash: { type: String },
+      gasUsed: { type: String },
+      status: { type: Number },
+    },
+    outputs: {
+      tokenId: { type: String, default: null },
+      plotId: { type: String, default: null },
+      requestId: { type: String, default: null },
+    },
+    events: { type: [mongoose.Schema.Types.Mixed], default: [] },
+    error: {
+      message: { type: String },
+      code: { type: String },
+    },
+    minedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("Job", jobSchema);
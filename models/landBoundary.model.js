@@ -0,0 +1,30 @@
+const mongoose = require("mongoose");
+
+// GeoJSON boundary of a parcel token or a plot. `refId` is the token ID for
+// parcels and the plot ID for plots, in canonical decimal form. `refSortKey`
+// is the same ID zero-padded to 78 digits (any uint256), so lists sort 2
+// before 10; `areaSqm` is computed from the polygon.
+const landBoundarySchema = new mongoose.Schema(
+  {
+    kind: { type: String, enum: ["parcel", "plot"], required: true },
+    refId: { type: String, required: true },
+    refSortKey: { type: String, required: true },
+    geometry: {
+      type: {
+        type: String,
+        enum: ["Polygon", "MultiPolygon"],
+        required: true,
+      },
+      coordinates: { type: mongoose.Schema.Types.Mixed, required: true },
+    },
+    areaSqm: { type: Number, required: true },
+    updatedBy: { type: String, default: null },
+  },
+  { timestamps: true }
+);
+
+landBoundarySchema.index({ kind: 1, refId: 1 }, { unique: true });
+landBoundarySchema.index({ kind: 1, refSortKey: 1 });
+landBoundarySchema.index({ geometry: "2dsphere", kind: 1 });
+
+module.exports = mongoose.model("LandBoundary", landBoundarySchema);
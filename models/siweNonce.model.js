@@ -0,0 +1,13 @@
+const mongoose = require("mongoose");
+
+// A one-time nonce handed out for a Sign-In with Ethereum message. Deleted
+// when used; MongoDB removes unused ones once they expire.
+const siweNonceSchema = new mongoose.Schema(
+  {
+    nonce: { type: String, required: true, unique: true },
+    expiresAt: { type: Date, required: true, expires: 0 },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("SiweNonce", siweNonceSchema);
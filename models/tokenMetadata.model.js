@@ -0,0 +1,25 @@
+const mongoose = require("mongoose");
+
+// ERC-1155 metadata hosted for a land token. Stored when create-token is
+// called with a `metadata` payload and linked to its token ID once the
+// TokenCreated event is seen; `tokenId` is null until then. Hashes of
+// earlier sends of a re-sent transaction are kept in `replacedHashes`.
+const tokenMetadataSchema = new mongoose.Schema(
+  {
+    tokenId: { type: String, default: null },
+    metadata: { type: mongoose.Schema.Types.Mixed, required: true },
+    blockInfo: { type: String, required: true },
+    parcelInfo: { type: String, required: true },
+    transactionHash: { type: String, default: null, index: true },
+    replacedHashes: { type: [String], default: [], index: true },
+    createdBy: { type: String, default: null },
+  },
+  { timestamps: true }
+);
+
+tokenMetadataSchema.index(
+  { tokenId: 1 },
+  { unique: true, partialFilterExpression: { tokenId: { $type: "string" } } }
+);
+
+module.exports = mongoose.model("TokenMetadata", tokenMetadataSchema);
@@ -0,0 +1,45 @@
+const mongoose = require("mongoose");
+
+// Current state of a transfer request, rebuilt from indexed contract events
+// (TransferRequestCreated, TransferApproved, TransferExecuted).
+// Addresses are stored lowercase so filters can match them directly.
+const approvalSchema = new mongoose.Schema(
+  {
+    role: { type: Number, required: true },
+    approver: { type: String, required: true },
+    approvedAt: { type: Date },
+    transactionHash: { type: String },
+  },
+  { _id: false }
+);
+
+const transferRequestSchema = new mongoose.Schema(
+  {
+    requestId: { type: Number, required: true, unique: true },
+    from: { type: String, index: true },
+    to: { type: String, index: true },
+    parcelId: { type: String, index: true },
+    parcelAmount: { type: String },
+    isPlotTransfer: { type: Boolean },
+    plotId: { type: String, index: true },
+    status: {
+      type: String,
+      enum: ["pending", "approved", "executed"],
+      default: "pending",
+      index: true,
+    },
+    landAuthorityApproved: { type: Boolean, default: false },
+    bankApproved: { type: Boolean, default: false },
+    lawyerApproved: { type: Boolean, default: false },
+    approvals: { type: [approvalSchema], default: [] },
+    requestedAt: { type: Date },
+    requestedBlock: { type: Number },
+    transactionHash: { type: String },
+    fullyApprovedAt: { type: Date, default: null },
+    executedAt: { type: Date, default: null },
+    executedTransactionHash: { type: String, default: null },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("TransferRequest", transferRequestSchema);
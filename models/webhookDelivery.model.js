@@ -0,0 +1,47 @@
+const mongoose = require("mongoose");
+
+// One HTTP attempt to deliver a webhook
+const attemptSchema = new mongoose.Schema(
+  {
+    at: { type: Date, required: true },
+    statusCode: { type: Number, default: null },
+    error: { type: String, default: null },
+    durationMs: { type: Number },
+  },
+  { _id: false }
+);
+
+// One webhook event for one subscription, with every attempt to deliver it.
+// `eventId` identifies the contract log (and event type) it was built from.
+const webhookDeliverySchema = new mongoose.Schema(
+  {
+    subscription: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "WebhookSubscription",
+      required: true,
+      index: true,
+    },
+    eventId: { type: String, required: true },
+    eventType: { type: String, required: true, index: true },
+    payload: { type: mongoose.Schema.Types.Mixed, default: {} },
+    status: {
+      type: String,
+      enum: ["pending", "succeeded", "failed"],
+      default: "pending",
+      index: true,
+    },
+    // Attempts since the delivery was created or last replayed (drives backoff)
+    attemptCount: { type: Number, default: 0 },
+    attempts: { type: [attemptSchema], default: [] },
+    nextAttemptAt: { type: Date, default: Date.now },
+    deliveredAt: { type: Date, default: null },
+    replayedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+// The same event is delivered to a subscription only once
+webhookDeliverySchema.index({ subscription: 1, eventId: 1 }, { unique: true });
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+
+module.exports = mongoose.model("WebhookDelivery", webhookDeliverySchema);
@@ -0,0 +1,20 @@
+const mongoose = require("mongoose");
+
+// An external endpoint that receives transfer lifecycle events. `secret`
+// signs every delivery and is only returned when the subscription is created.
+const webhookSubscriptionSchema = new mongoose.Schema(
+  {
+    url: { type: String, required: true },
+    events: { type: [String], required: true, index: true },
+    description: { type: String, default: "" },
+    secret: { type: String, required: true, select: false },
+    active: { type: Boolean, default: true, index: true },
+    createdBy: { type: String, default: null },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model(
+  "WebhookSubscription",
+  webhookSubscriptionSchema
+);
@@ -0,0 +1,356 @@
+const express = require("express");
+const AuditLog = require("../models/auditLog.model");
+const {
+  formatAuditEntry,
+  auditCsvHeader,
+  auditCsvRow,
+} = require("../utils/auditLog");
+const { sendErrorResponse } = require("../utils/contractErrors");
+const { requireRole } = require("../utils/auth");
+const router = express.Router();
+
+// The audit trail shows every caller's activity: admin only
+router.use(requireRole("admin"));
+
+const OUTCOMES = [
+  "dry-run",
+  "submitted",
+  "mined",
+  "reverted",
+  "dropped",
+  "failed",
+];
+
+function invalidInput(res, message, details) {
+  return res.status(400).json({
+    success: false,
+    error: {
+      message,
+      details,
+      code: "INVALID_INPUT",
+      timestamp: new Date().toISOString(),
+      endpoint: "/api/audit",
+    },
+  });
+}
+
+/**
+ * @swagger
+ * /api/audit:
+ *   get:
+ *     summary: Query the Audit Log
+ *     description: |
+ *       Append-only record of every contract write made through the API (`/api/setter/*` and
+ *       `/api/tx/broadcast`), newest first. Each entry holds the authenticated caller, client IP, endpoint,
+ *       request body, contract function, transaction hash, receipt status, gas used and decoded events.
+ *
+ *       Writes made with `?async=true` get a `submitted` entry when the transaction is broadcast and a second
+ *       entry with the same `jobId` once it is mined, reverts or is dropped. Dry runs and rejected calls are
+ *       recorded too. Calls refused by the role guard are not.
+ *
+ *       Pass `format=csv` to download every matching entry as CSV (no pagination).
+ *     tags: [Audit]
+ *     parameters:
+ *       - name: principal
+ *         in: query
+ *         required: false
+ *         description: Caller principal ID (e.g. `api-key:1a2b3c4d5e6f` or a JWT subject)
+ *         schema:
+ *           type: string
+ *       - name: role
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: string
+ *           example: "land-authority"
+ *       - name: address
+ *         in: query
+ *         required: false
+ *         description: Caller wallet address
+ *         schema:
+ *           type: string
+ *       - name: functionName
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: string
+ *           example: "delegateApproveTransfer"
+ *       - name: endpoint
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: string
+ *           example: "/api/setter/approve-transfer"
+ *       - name: outcome
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [dry-run, submitted, mined, reverted, dropped, failed]
+ *       - name: transactionHash
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: string
+ *       - name: jobId
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: string
+ *       - name: since
+ *         in: query
+ *         required: false
+ *         description: Entries at or after this ISO 8601 date
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - name: until
+ *         in: query
+ *         required: false
+ *         description: Entries before this ISO 8601 date
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - name: page
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - name: limit
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 200
+ *       - name: format
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [json, csv]
+ *           default: json
+ *     responses:
+ *       200:
+ *         description: Audit entries retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     entries:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           id:
+ *                             type: string
+ *                           createdAt:
+ *                             type: string
+ *                             format: date-time
+ *                           principal:
+ *                             type: object
+ *                             nullable: true
+ *                             properties:
+ *                               id:
+ *                                 type: string
+ *                               role:
+ *                                 type: string
+ *                               address:
+ *                                 type: string
+ *                                 nullable: true
+ *                               method:
+ *                                 type: string
+ *                           ip:
+ *                             type: string
+ *                           method:
+ *                             type: string
+ *                             example: "POST"
+ *                           endpoint:
+ *                             type: string
+ *                             example: "/api/setter/approve-transfer"
+ *                           requestBody:
+ *                             type: object
+ *                           functionName:
+ *                             type: string
+ *                             example: "delegateApproveTransfer"
+ *                           outcome:
+ *                             type: string
+ *                             enum: [dry-run, submitted, mined, reverted, dropped, failed]
+ *                           httpStatus:
+ *                             type: number
+ *                             nullable: true
+ *                           jobId:
+ *                             type: string
+ *                             nullable: true
+ *                           transaction:
+ *                             type: object
+ *                             nullable: true
+ *                             properties:
+ *                               hash:
+ *                                 type: string
+ *                               from:
+ *                                 type: string
+ *                               to:
+ *                                 type: string
+ *                           receipt:
+ *                             type: object
+ *                             nullable: true
+ *                             properties:
+ *                               blockNumber:
+ *                                 type: number
+ *                               status:
+ *                                 type: number
+ *                               gasUsed:
+ *                                 type: string
+ *                           events:
+ *                             type: array
+ *                             items:
+ *                               type: object
+ *                           error:
+ *                             type: object
+ *                             nullable: true
+ *                             properties:
+ *                               message:
+ *                                 type: string
+ *                               code:
+ *                                 type: string
+ *                               details:
+ *                                 type: string
+ *                     page:
+ *                       type: number
+ *                     limit:
+ *                       type: number
+ *                     total:
+ *                       type: number
+ *                 message:
+ *                   type: string
+ *                   example: "Audit log retrieved successfully"
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Bad request - invalid filter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get("/", async (req, res) => {
+  try {
+    const {
+      principal,
+      role,
+      address,
+      functionName,
+      endpoint,
+      outcome,
+      transactionHash,
+      jobId,
+      since,
+      until,
+      format = "json",
+    } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    if (!["json", "csv"].includes(format)) {
+      return invalidInput(res, "Invalid format", "format must be json or csv");
+    }
+    if (outcome && !OUTCOMES.includes(outcome)) {
+      return invalidInput(
+        res,
+        "Invalid outcome",
+        `outcome must be one of: ${OUTCOMES.join(", ")}`
+      );
+    }
+    if (address && !/^0x[a-fA-F0-9]{40}$/.test(address)) {
+      return invalidInput(
+        res,
+        "Invalid address format",
+        "Address must be a valid 42-character hex string starting with 0x"
+      );
+    }
+    for (const [name, value] of Object.entries({ since, until })) {
+      if (value !== undefined && isNaN(Date.parse(value))) {
+        return invalidInput(
+          res,
+          `Invalid ${name}`,
+          `${name} must be an ISO 8601 date`
+        );
+      }
+    }
+
+    const filter = {};
+    if (principal) filter["principal.id"] = principal;
+    if (role) filter["principal.role"] = role;
+    if (address) filter["principal.address"] = address.toLowerCase();
+    if (functionName) filter.functionName = functionName;
+    if (endpoint) filter.endpoint = endpoint;
+    if (outcome) filter.outcome = outcome;
+    if (transactionHash) filter["transaction.hash"] = transactionHash;
+    if (jobId) filter.jobId = jobId;
+    if (since || until) {
+      filter.createdAt = {};
+      if (since) filter.createdAt.$gte = new Date(since);
+      if (until) filter.createdAt.$lt = new Date(until);
+    }
+
+    if (format === "csv") {
+      const day = new Date().toISOString().slice(0, 10);
+      res.set({
+        "Content-Type": "text/csv; charset=utf-8",
+        "Content-Disposition": `attachment; filename="audit-log-${day}.csv"`,
+      });
+      res.write(auditCsvHeader());
+      const cursor = AuditLog.find(filter).sort({ createdAt: -1 }).lean();
+      for await (const doc of cursor) {
+        res.write(auditCsvRow(doc));
+      }
+      return res.end();
+    }
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      AuditLog.countDocuments(filter),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        entries: entries.map(formatAuditEntry),
+        page,
+        limit,
+        total,
+      },
+      message: "Audit log retrieved successfully",
+    });
+  } catch (error) {
+    console.error("Error in /api/audit:", error.message);
+    // A CSV export that fails midway can only be cut short
+    if (res.headersSent) return res.end();
+    sendErrorResponse(res, error, {
+      message: "Failed to fetch audit log",
+      endpoint: "/api/audit",
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,342 @@
+const express = require("express");
+const {
+  requireAuth,
+  signJwt,
+  JWT_EXPIRES_IN_SECONDS,
+} = require("../utils/auth");
+const {
+  SIWE_DOMAIN,
+  SIWE_STATEMENT,
+  createNonce,
+  buildSiweMessage,
+  verifySiweMessage,
+} = require("../utils/siwe");
+const {
+  initializeContract,
+  getProvider,
+} = require("../utils/contractInstance");
+const { sendErrorResponse } = require("../utils/contractErrors");
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/auth/me:
+ *   get:
+ *     summary: Get Authenticated Principal
+ *     description: |
+ *       Returns the role (and bound wallet address, if any) of the API key or JWT used to call it.
+ *       Roles: admin, land-authority, bank, lawyer, owner, read-only.
+ *     tags: [Auth]
+ *     responses:
+ *       200:
+ *         description: Principal retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: string
+ *                       example: "api-key:bank01"
+ *                     role:
+ *                       type: string
+ *                       enum: [admin, land-authority, bank, lawyer, owner, read-only]
+ *                       example: "bank"
+ *                     address:
+ *                       type: string
+ *                       nullable: true
+ *                       example: "0x742d35cc6634c0532925a3b8d2de0f87b7b82fd0"
+ *                     method:
+ *                       type: string
+ *                       enum: [api-key, jwt]
+ *                       example: "api-key"
+ *                 message:
+ *                   type: string
+ *                   example: "Principal retrieved successfully"
+ *       401:
+ *         description: Missing or invalid credentials
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get("/me", requireAuth, (req, res) => {
+  res.json({
+    success: true,
+    data: req.principal,
+    message: "Principal retrieved successfully",
+  });
+});
+
+/**
+ * @swagger
+ * /api/auth/siwe/nonce:
+ *   get:
+ *     summary: Get a Sign-In with Ethereum Nonce
+ *     description: |
+ *       Issues a single-use nonce for an EIP-4361 (SIWE) message, together with the domain,
+ *       chain ID and statement the message must use. Pass `address` to also get a ready-to-sign message.
+ *     tags: [Auth]
+ *     security: []
+ *     parameters:
+ *       - name: address
+ *         in: query
+ *         required: false
+ *         description: Wallet address to build the message for
+ *         schema:
+ *           $ref: '#/components/schemas/EthereumAddress'
+ *     responses:
+ *       200:
+ *         description: Nonce issued successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     nonce:
+ *                       type: string
+ *                       example: "9f86d081884c7d659a2feaa0c55ad015"
+ *                     expiresAt:
+ *                       type: string
+ *                       format: date-time
+ *                     domain:
+ *                       type: string
+ *                       example: "localhost:8000"
+ *                     uri:
+ *                       type: string
+ *                       example: "http://localhost:8000"
+ *                     chainId:
+ *                       type: string
+ *                       example: "84532"
+ *                     statement:
+ *                       type: string
+ *                       example: "Sign in to the Land Management API"
+ *                     message:
+ *                       type: string
+ *                       nullable: true
+ *                       description: EIP-4361 message to sign (only when `address` is given)
+ *                 message:
+ *                   type: string
+ *                   example: "Nonce issued successfully"
+ *       400:
+ *         description: Bad request - invalid address
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get("/siwe/nonce", async (req, res) => {
+  try {
+    let provider;
+    try {
+      provider = getProvider();
+    } catch (error) {
+      await initializeContract();
+      provider = getProvider();
+    }
+
+    const { address } = req.query;
+    if (address !== undefined && !/^0x[a-fA-F0-9]{40}$/.test(address)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: "Invalid address format",
+          details:
+            "Address must be a valid 42-character hex string starting with 0x",
+          code: "INVALID_INPUT",
+          timestamp: new Date().toISOString(),
+          endpoint: "/api/auth/siwe/nonce",
+        },
+      });
+    }
+
+    const network = await provider.getNetwork();
+    const { nonce, expiresAt } = await createNonce();
+    const uri = `${req.protocol}://${req.get("host")}`;
+    const chainId = network.chainId.toString();
+
+    res.json({
+      success: true,
+      data: {
+        nonce,
+        expiresAt: expiresAt.toISOString(),
+        domain: SIWE_DOMAIN,
+        uri,
+        chainId,
+        statement: SIWE_STATEMENT,
+        message: address
+          ? buildSiweMessage({ address, uri, chainId, nonce, expiresAt })
+          : null,
+      },
+      message: "Nonce issued successfully",
+    });
+  } catch (error) {
+    console.error("Error in /api/auth/siwe/nonce:", error.message);
+    sendErrorResponse(res, error, {
+      message: "Failed to issue nonce",
+      endpoint: "/api/auth/siwe/nonce",
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/siwe/verify:
+ *   post:
+ *     summary: Sign In with Ethereum
+ *     description: |
+ *       Verifies a signed EIP-4361 message (domain, chain ID, nonce, expiry and signature) and
+ *       returns a JWT for the `owner` role bound to the signing address. Each nonce works once.
+ *       Any wallet can sign in, so the `owner` role only reads and uses `/api/tx`: transfers are
+ *       signed by the owner's own wallet, never by the server wallet.
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - message
+ *               - signature
+ *             properties:
+ *               message:
+ *                 type: string
+ *                 description: The EIP-4361 message that was signed
+ *               signature:
+ *                 type: string
+ *                 description: personal_sign signature of the message
+ *                 example: "0x5b1d..."
+ *     responses:
+ *       200:
+ *         description: Signed in successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     token:
+ *                       type: string
+ *                       description: "JWT to send as `Authorization: Bearer <token>`"
+ *                     tokenType:
+ *                       type: string
+ *                       example: "Bearer"
+ *                     expiresIn:
+ *                       type: number
+ *                       example: 3600
+ *                     address:
+ *                       type: string
+ *                       example: "0x742d35cc6634c0532925a3b8d2de0f87b7b82fd0"
+ *                     role:
+ *                       type: string
+ *                       example: "owner"
+ *                 message:
+ *                   type: string
+ *                   example: "Signed in successfully"
+ *       400:
+ *         description: Bad request - missing message or signature
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Message or signature rejected
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post("/siwe/verify", async (req, res) => {
+  try {
+    try {
+      getProvider();
+    } catch (error) {
+      await initializeContract();
+    }
+
+    const { message, signature } = req.body;
+
+    if (typeof message !== "string" || typeof signature !== "string") {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: "message and signature are required",
+          details:
+            "Please provide the signed EIP-4361 message and its signature",
+          code: "INVALID_INPUT",
+          timestamp: new Date().toISOString(),
+          endpoint: "/api/auth/siwe/verify",
+        },
+      });
+    }
+
+    const { address, error } = await verifySiweMessage(message, signature);
+    if (error) {
+      return res.status(401).json({
+        success: false,
+        error: {
+          message: "Sign-in rejected",
+          details: error,
+          code: "UNAUTHORIZED",
+          timestamp: new Date().toISOString(),
+          endpoint: "/api/auth/siwe/verify",
+        },
+      });
+    }
+
+    // Proving control of a wallet says nothing about what it owns, so the
+    // owner role may not call any setter signed by the server wallet
+    const token = signJwt({ id: `siwe:${address}`, role: "owner", address });
+
+    res.json({
+      success: true,
+      data: {
+        token,
+        tokenType: "Bearer",
+        expiresIn: JWT_EXPIRES_IN_SECONDS,
+        address,
+        role: "owner",
+      },
+      message: "Signed in successfully",
+    });
+  } catch (error) {
+    console.error("Error in /api/auth/siwe/verify:", error.message);
+    sendErrorResponse(res, error, {
+      message: "Failed to sign in",
+      endpoint: "/api/auth/siwe/verify",
+    });
+  }
+});
+
+module.exports = router;
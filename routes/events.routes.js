@@ -0,0 +1,300 @@
+const express = require("express");
+const ContractEvent = require("../models/contractEvent.model");
+const TransferRequest = require("../models/transferRequest.model");
+const { INDEXED_EVENTS, getIndexerStatus } = require("../utils/eventIndexer");
+const { sendErrorResponse } = require("../utils/contractErrors");
+const { requireAuth } = require("../utils/auth");
+const router = express.Router();
+
+// Read-only routes: any authenticated role may call them
+router.use(requireAuth);
+
+/**
+ * @swagger
+ * /api/events:
+ *   get:
+ *     summary: List Indexed Contract Events
+ *     description: |
+ *       Returns contract events persisted by the background indexer, newest first.
+ *       Use this for history that the contract view functions cannot provide.
+ *       Owners only see events involving their address or their own transfer requests.
+ *     tags: [Events]
+ *     parameters:
+ *       - name: event
+ *         in: query
+ *         required: false
+ *         description: Event name filter
+ *         schema:
+ *           type: string
+ *           enum: [TokenCreated, PlotCreated, TransferRequestCreated, TransferApproved, TransferExecuted, TransferSingle, TransferBatch]
+ *       - name: address
+ *         in: query
+ *         required: false
+ *         description: Only events involving this address
+ *         schema:
+ *           $ref: '#/components/schemas/EthereumAddress'
+ *       - name: requestId
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: string
+ *           example: "1"
+ *       - name: plotId
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: string
+ *           example: "1"
+ *       - name: tokenId
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: string
+ *           example: "101"
+ *       - name: fromBlock
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: integer
+ *       - name: toBlock
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: integer
+ *       - name: page
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - name: limit
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 200
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Indexed events retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     events:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           event:
+ *                             type: string
+ *                             example: "TransferRequestCreated"
+ *                           blockNumber:
+ *                             type: number
+ *                             example: 12345678
+ *                           blockTimestamp:
+ *                             type: string
+ *                             format: date-time
+ *                           transactionHash:
+ *                             type: string
+ *                             example: "0x1234567890abcdef1234567890abcdef12345678"
+ *                           logIndex:
+ *                             type: number
+ *                             example: 0
+ *                           args:
+ *                             type: object
+ *                     page:
+ *                       type: number
+ *                       example: 1
+ *                     limit:
+ *                       type: number
+ *                       example: 50
+ *                     total:
+ *                       type: number
+ *                       example: 120
+ *                 message:
+ *                   type: string
+ *                   example: "Indexed events retrieved successfully"
+ *       400:
+ *         description: Bad request - invalid filter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get("/", async (req, res) => {
+  try {
+    const { event, address, requestId, plotId, tokenId, fromBlock, toBlock } =
+      req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    if (event && !INDEXED_EVENTS.includes(event)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: "Invalid event name",
+          details: `Event must be one of: ${INDEXED_EVENTS.join(", ")}`,
+          code: "INVALID_INPUT",
+          timestamp: new Date().toISOString(),
+          endpoint: "/api/events",
+        },
+      });
+    }
+
+    if (address && !/^0x[a-fA-F0-9]{40}$/.test(address)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: "Invalid address format",
+          details:
+            "Address must be a valid 42-character hex string starting with 0x",
+          code: "INVALID_INPUT",
+          timestamp: new Date().toISOString(),
+          endpoint: "/api/events",
+        },
+      });
+    }
+
+    const filter = {};
+    if (event) filter.event = event;
+    if (address) filter.addresses = address.toLowerCase();
+    if (requestId) filter.requestId = requestId;
+    if (plotId) filter.plotId = plotId;
+    if (tokenId) filter.tokenIds = tokenId;
+    if (fromBlock || toBlock) {
+      filter.blockNumber = {};
+      if (fromBlock) filter.blockNumber.$gte = parseInt(fromBlock);
+      if (toBlock) filter.blockNumber.$lte = parseInt(toBlock);
+    }
+
+    // Owners only see events involving their address or the transfer
+    // requests they sent or receive
+    if (req.principal?.role === "owner") {
+      const ownAddress = req.principal.address;
+      const requestIds = await TransferRequest.distinct("requestId", {
+        $or: [{ from: ownAddress }, { to: ownAddress }],
+      });
+      filter.$or = [
+        { addresses: ownAddress },
+        { requestId: { $in: requestIds.map(String) } },
+      ];
+    }
+
+    const [events, total] = await Promise.all([
+      ContractEvent.find(filter)
+        .sort({ blockNumber: -1, logIndex: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select("-_id -__v -createdAt -updatedAt")
+        .lean(),
+      ContractEvent.countDocuments(filter),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        events,
+        page,
+        limit,
+        total,
+      },
+      message: "Indexed events retrieved successfully",
+    });
+  } catch (error) {
+    console.error("Error in /api/events:", error.message);
+    sendErrorResponse(res, error, {
+      message: "Failed to fetch indexed events",
+      endpoint: "/api/events",
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/events/status:
+ *   get:
+ *     summary: Get Event Indexer Status
+ *     description: Returns the progress of the background event indexer
+ *     tags: [Events]
+ *     responses:
+ *       200:
+ *         description: Indexer status retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     enabled:
+ *                       type: boolean
+ *                       example: true
+ *                     running:
+ *                       type: boolean
+ *                       example: true
+ *                     events:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                     confirmations:
+ *                       type: number
+ *                       example: 2
+ *                     startBlock:
+ *                       type: number
+ *                       nullable: true
+ *                       description: First block indexed
+ *                       example: 12000000
+ *                     lastProcessedBlock:
+ *                       type: number
+ *                       example: 12345678
+ *                     lastError:
+ *                       type: object
+ *                       nullable: true
+ *                 message:
+ *                   type: string
+ *                   example: "Indexer status retrieved successfully"
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get("/status", async (req, res) => {
+  try {
+    const status = await getIndexerStatus();
+    res.json({
+      success: true,
+      data: status,
+      message: "Indexer status retrieved successfully",
+    });
+  } catch (error) {
+    console.error("Error in /api/events/status:", error.message);
+    sendErrorResponse(res, error, {
+      message: "Failed to fetch indexer status",
+      endpoint: "/api/events/status",
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,645 @@
+const express = require("express");
+const { ethers } = require("ethers");
+const LandBoundary = require("../models/landBoundary.model");
+const {
+  initializeContract,
+  getReadContract,
+} = require("../utils/contractInstance");
+const {
+  BOUNDARY_KINDS,
+  parseBoundaryGeometry,
+  geometryArea,
+  formatArea,
+  parseBbox,
+  parsePoint,
+  toBoundaryFeature,
+} = require("../utils/geo");
+const { sendErrorResponse } = require("../utils/contractErrors");
+const { requireAuth, requireRole } = require("../utils/auth");
+const router = express.Router();
+
+// Boundaries can be read by any authenticated role; the land authority
+// draws them
+router.use(requireAuth);
+router.put("/:kind/:id", requireRole("land-authority"));
+
+// MongoDB error code for geometries a 2dsphere index cannot take
+// (self-intersecting rings, duplicate vertices, ...)
+const INVALID_GEOMETRY_CODE = 16755;
+
+function invalidInput(res, endpoint, message, details) {
+  return res.status(400).json({
+    success: false,
+    error: {
+      message,
+      details,
+      code: "INVALID_INPUT",
+      timestamp: new Date().toISOString(),
+      endpoint,
+    },
+  });
+}
+
+function notFound(res, endpoint, message, details) {
+  return res.status(404).json({
+    success: false,
+    error: {
+      message,
+      details,
+      code: "NOT_FOUND",
+      timestamp: new Date().toISOString(),
+      endpoint,
+    },
+  });
+}
+
+// Validate the :kind and :id path segments. Sends a 400 and returns null
+// when they are invalid.
+function boundaryRef(req, res, endpoint) {
+  const kind = BOUNDARY_KINDS[req.params.kind];
+  if (!kind) {
+    invalidInput(
+      res,
+      endpoint,
+      "Invalid boundary kind",
+      "Use parcels or plots"
+    );
+    return null;
+  }
+  if (req.params.id === undefined) return { kind };
+  if (
+    !/^\d{1,78}$/.test(req.params.id) ||
+    BigInt(req.params.id) > ethers.MaxUint256
+  ) {
+    invalidInput(
+      res,
+      endpoint,
+      `Invalid ${kind === "parcel" ? "token" : "plot"} ID`,
+      "IDs must be decimal uint256 numbers"
+    );
+    return null;
+  }
+  // "007" and "7" are the same token or plot
+  return { kind, refId: BigInt(req.params.id).toString() };
+}
+
+// Zero-padded ID that sorts numerically as a string, at full precision
+function refSortKey(refId) {
+  return refId.padStart(78, "0");
+}
+
+async function readContract() {
+  try {
+    return getReadContract();
+  } catch (error) {
+    await initializeContract();
+    return getReadContract();
+  }
+}
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     BoundaryKind:
+ *       name: kind
+ *       in: path
+ *       required: true
+ *       description: "`parcels` (parcel tokens, by token ID) or `plots` (by plot ID)"
+ *       schema:
+ *         type: string
+ *         enum: [parcels, plots]
+ *     BoundaryId:
+ *       name: id
+ *       in: path
+ *       required: true
+ *       description: Token ID for parcels, plot ID for plots
+ *       schema:
+ *         type: string
+ *         example: "1"
+ *   schemas:
+ *     BoundaryFeature:
+ *       type: object
+ *       properties:
+ *         type:
+ *           type: string
+ *           example: "Feature"
+ *         id:
+ *           type: string
+ *           example: "parcel:1"
+ *         geometry:
+ *           type: object
+ *           description: GeoJSON Polygon or MultiPolygon ([longitude, latitude] positions)
+ *         properties:
+ *           type: object
+ *           properties:
+ *             kind:
+ *               type: string
+ *               enum: [parcel, plot]
+ *             tokenId:
+ *               type: string
+ *               description: Parcels only
+ *             plotId:
+ *               type: string
+ *               description: Plots only
+ *             area:
+ *               $ref: '#/components/schemas/BoundaryArea'
+ *             updatedBy:
+ *               type: string
+ *               nullable: true
+ *             updatedAt:
+ *               type: string
+ *               format: date-time
+ *     BoundaryArea:
+ *       type: object
+ *       description: Geodesic area computed from the polygon
+ *       properties:
+ *         squareMeters:
+ *           type: number
+ *           example: 1250.37
+ *         hectares:
+ *           type: number
+ *           example: 0.125
+ */
+
+/**
+ * @swagger
+ * /api/geo/{kind}:
+ *   get:
+ *     summary: Search Parcel or Plot Boundaries
+ *     description: |
+ *       Returns boundaries as a GeoJSON FeatureCollection, each feature with its computed area.
+ *       `bbox` returns boundaries lying entirely inside the box; `point` returns boundaries containing the point.
+ *       Both can be combined. Without either, all boundaries are listed.
+ *     tags: [Geo]
+ *     parameters:
+ *       - $ref: '#/components/parameters/BoundaryKind'
+ *       - name: bbox
+ *         in: query
+ *         required: false
+ *         description: minLon,minLat,maxLon,maxLat
+ *         schema:
+ *           type: string
+ *           example: "36.80,-1.30,36.82,-1.28"
+ *       - name: point
+ *         in: query
+ *         required: false
+ *         description: lon,lat
+ *         schema:
+ *           type: string
+ *           example: "36.8105,-1.2921"
+ *       - name: page
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - name: limit
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 200
+ *     responses:
+ *       200:
+ *         description: Boundaries retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     type:
+ *                       type: string
+ *                       example: "FeatureCollection"
+ *                     features:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/BoundaryFeature'
+ *                     page:
+ *                       type: number
+ *                     limit:
+ *                       type: number
+ *                     total:
+ *                       type: number
+ *                 message:
+ *                   type: string
+ *                   example: "Boundaries retrieved successfully"
+ *       400:
+ *         description: Bad request - invalid kind, bbox or point
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get("/:kind", async (req, res) => {
+  const endpoint = "/api/geo/:kind";
+  try {
+    const ref = boundaryRef(req, res, endpoint);
+    if (!ref) return;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    const conditions = [{ kind: ref.kind }];
+    if (req.query.bbox !== undefined) {
+      const { polygon, error } = parseBbox(req.query.bbox);
+      if (error) return invalidInput(res, endpoint, "Invalid bbox", error);
+      conditions.push({ geometry: { $geoWithin: { $geometry: polygon } } });
+    }
+    if (req.query.point !== undefined) {
+      const { point, error } = parsePoint(req.query.point);
+      if (error) return invalidInput(res, endpoint, "Invalid point", error);
+      conditions.push({ geometry: { $geoIntersects: { $geometry: point } } });
+    }
+    const filter = { $and: conditions };
+
+    const [boundaries, total] = await Promise.all([
+      LandBoundary.find(filter)
+        .sort({ refSortKey: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      LandBoundary.countDocuments(filter),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        type: "FeatureCollection",
+        features: boundaries.map(toBoundaryFeature),
+        page,
+        limit,
+        total,
+      },
+      message: "Boundaries retrieved successfully",
+    });
+  } catch (error) {
+    console.error("Error in /api/geo/:kind:", error.message);
+    sendErrorResponse(res, error, {
+      message: "Failed to search boundaries",
+      endpoint,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/geo/{kind}/{id}:
+ *   get:
+ *     summary: Get Parcel or Plot Boundary
+ *     description: |
+ *       Returns the boundary as a GeoJSON Feature with its computed area. For plots, `parcels` also lists
+ *       the plot's parcels (read from the contract) with the area of each parcel boundary on record, and
+ *       `parcelsArea` their total.
+ *     tags: [Geo]
+ *     parameters:
+ *       - $ref: '#/components/parameters/BoundaryKind'
+ *       - $ref: '#/components/parameters/BoundaryId'
+ *     responses:
+ *       200:
+ *         description: Boundary retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/BoundaryFeature'
+ *                     - type: object
+ *                       properties:
+ *                         parcels:
+ *                           type: array
+ *                           description: Plots only
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               tokenId:
+ *                                 type: string
+ *                               area:
+ *                                 allOf:
+ *                                   - $ref: '#/components/schemas/BoundaryArea'
+ *                                 nullable: true
+ *                         parcelsArea:
+ *                           $ref: '#/components/schemas/BoundaryArea'
+ *                 message:
+ *                   type: string
+ *                   example: "Boundary retrieved successfully"
+ *       400:
+ *         description: Bad request - invalid kind or ID
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: No boundary on record
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get("/:kind/:id", async (req, res) => {
+  const endpoint = "/api/geo/:kind/:id";
+  try {
+    const ref = boundaryRef(req, res, endpoint);
+    if (!ref) return;
+
+    const boundary = await LandBoundary.findOne(ref).lean();
+    if (!boundary) {
+      return notFound(
+        res,
+        endpoint,
+        "Boundary not found",
+        `No boundary is on record for ${ref.kind} ${ref.refId}`
+      );
+    }
+
+    const data = toBoundaryFeature(boundary);
+    if (ref.kind === "plot") {
+      const contract = await readContract();
+      const plotInfo = await contract.getPlotAccountInfo(ref.refId);
+      const parcelIds = Array.from(plotInfo.parcelIds, String);
+      const parcelBoundaries = await LandBoundary.find({
+        kind: "parcel",
+        refId: { $in: parcelIds },
+      })
+        .select("refId areaSqm")
+        .lean();
+      const areas = new Map(
+        parcelBoundaries.map((doc) => [doc.refId, doc.areaSqm])
+      );
+
+      data.parcels = parcelIds.map((tokenId) => ({
+        tokenId,
+        area: areas.has(tokenId) ? formatArea(areas.get(tokenId)) : null,
+      }));
+      data.parcelsArea = formatArea(
+        [...areas.values()].reduce((sum, area) => sum + area, 0)
+      );
+    }
+
+    res.json({
+      success: true,
+      data,
+      message: "Boundary retrieved successfully",
+    });
+  } catch (error) {
+    console.error("Error in /api/geo/:kind/:id:", error.message);
+    sendErrorResponse(res, error, {
+      message: "Failed to fetch boundary",
+      endpoint,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/geo/{kind}/{id}/adjacent:
+ *   get:
+ *     summary: Get Adjacent Parcels or Plots
+ *     description: Boundaries of the same kind that touch or overlap this one, as a GeoJSON FeatureCollection.
+ *     tags: [Geo]
+ *     parameters:
+ *       - $ref: '#/components/parameters/BoundaryKind'
+ *       - $ref: '#/components/parameters/BoundaryId'
+ *     responses:
+ *       200:
+ *         description: Adjacent boundaries retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     type:
+ *                       type: string
+ *                       example: "FeatureCollection"
+ *                     features:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/BoundaryFeature'
+ *                 message:
+ *                   type: string
+ *                   example: "Adjacent boundaries retrieved successfully"
+ *       400:
+ *         description: Bad request - invalid kind or ID
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: No boundary on record
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get("/:kind/:id/adjacent", async (req, res) => {
+  const endpoint = "/api/geo/:kind/:id/adjacent";
+  try {
+    const ref = boundaryRef(req, res, endpoint);
+    if (!ref) return;
+
+    const boundary = await LandBoundary.findOne(ref).lean();
+    if (!boundary) {
+      return notFound(
+        res,
+        endpoint,
+        "Boundary not found",
+        `No boundary is on record for ${ref.kind} ${ref.refId}`
+      );
+    }
+
+    const neighbours = await LandBoundary.find({
+      kind: ref.kind,
+      _id: { $ne: boundary._id },
+      geometry: { $geoIntersects: { $geometry: boundary.geometry } },
+    })
+      .sort({ refSortKey: 1 })
+      .lean();
+
+    res.json({
+      success: true,
+      data: {
+        type: "FeatureCollection",
+        features: neighbours.map(toBoundaryFeature),
+      },
+      message: "Adjacent boundaries retrieved successfully",
+    });
+  } catch (error) {
+    console.error("Error in /api/geo/:kind/:id/adjacent:", error.message);
+    sendErrorResponse(res, error, {
+      message: "Failed to fetch adjacent boundaries",
+      endpoint,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/geo/{kind}/{id}:
+ *   put:
+ *     summary: Set Parcel or Plot Boundary
+ *     description: |
+ *       Attaches a GeoJSON Polygon or MultiPolygon (WGS84 [longitude, latitude] positions, closed rings) to
+ *       an existing parcel token or plot, replacing any previous boundary. Its area is computed and stored.
+ *       Self-intersecting rings are rejected.
+ *     tags: [Geo]
+ *     parameters:
+ *       - $ref: '#/components/parameters/BoundaryKind'
+ *       - $ref: '#/components/parameters/BoundaryId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - geometry
+ *             properties:
+ *               geometry:
+ *                 type: object
+ *                 description: GeoJSON Polygon or MultiPolygon, or a Feature wrapping one
+ *           example:
+ *             geometry:
+ *               type: "Polygon"
+ *               coordinates:
+ *                 - - [36.8100, -1.2925]
+ *                   - [36.8110, -1.2925]
+ *                   - [36.8110, -1.2915]
+ *                   - [36.8100, -1.2915]
+ *                   - [36.8100, -1.2925]
+ *     responses:
+ *       200:
+ *         description: Boundary stored
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/BoundaryFeature'
+ *                 message:
+ *                   type: string
+ *                   example: "Boundary stored successfully"
+ *       400:
+ *         description: Bad request - invalid kind, ID or geometry
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Token or plot does not exist
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.put("/:kind/:id", async (req, res) => {
+  const endpoint = "/api/geo/:kind/:id";
+  try {
+    const ref = boundaryRef(req, res, endpoint);
+    if (!ref) return;
+
+    const { geometry, error } = parseBoundaryGeometry(req.body?.geometry);
+    if (error) {
+      return invalidInput(res, endpoint, "Invalid geometry", error);
+    }
+
+    // Only existing tokens and plots get a boundary
+    const contract = await readContract();
+    if (ref.kind === "parcel") {
+      const landData = await contract.getLandInfo(ref.refId);
+      if (landData.totalSupply === 0n) {
+        return notFound(
+          res,
+          endpoint,
+          "Token not found",
+          `Token ${ref.refId} has not been created`
+        );
+      }
+    } else {
+      const plotInfo = await contract.getPlotAccountInfo(ref.refId);
+      if (plotInfo.plotAccount === ethers.ZeroAddress) {
+        return notFound(
+          res,
+          endpoint,
+          "Plot not found",
+          `Plot ${ref.refId} does not exist`
+        );
+      }
+    }
+
+    let boundary;
+    try {
+      boundary = await LandBoundary.findOneAndUpdate(
+        ref,
+        {
+          refSortKey: refSortKey(ref.refId),
+          geometry,
+          areaSqm: geometryArea(geometry),
+          updatedBy: req.principal?.id ?? null,
+        },
+        { upsert: true, new: true, runValidators: true }
+      ).lean();
+    } catch (saveError) {
+      if (saveError.code !== INVALID_GEOMETRY_CODE) throw saveError;
+      return invalidInput(res, endpoint, "Invalid geometry", saveError.message);
+    }
+
+    res.json({
+      success: true,
+      data: toBoundaryFeature(boundary),
+      message: "Boundary stored successfully",
+    });
+  } catch (error) {
+    console.error("Error in PUT /api/geo/:kind/:id:", error.message);
+    sendErrorResponse(res, error, {
+      message: "Failed to store boundary",
+      endpoint,
+    });
+  }
+});
+
+module.exports = router;
@@ -1,10 +1,20 @@
 const express = require("express");
 const {
   initializeContract,
-  getContract,
+  getReadContract,
 } = require("../utils/contractInstance");
+const { sendErrorResponse } = require("../utils/contractErrors");
+const { getPlotCapTable } = require("../utils/plotQueries");
+const { requireAuth } = require("../utils/auth");
+const { historicalReads } = require("../utils/blockTag");
 const router = express.Router();
 
+// Read-only routes: any authenticated role may call them
+router.use(requireAuth);
+
+// ?blockTag=<block number | ISO date> reads the contract at a past block
+router.use(historicalReads);
+
 /**
  * @swagger
  * /api/get_plot/plot/{plotId}/parcel/{parcelId}/shareholders:
@@ -22,6 +32,7 @@ const router = express.Router();
  *           type: integer
  *           minimum: 1
  *           example: 101
+ *       - $ref: '#/components/parameters/BlockTag'
  *     responses:
  *       200:
  *         description: Plot parcel shareholders retrieved successfully
@@ -64,10 +75,10 @@ router.get("/plot/:plotId/parcel/:parcelId/shareholders", async (req, res) => {
   try {
     let contract;
     try {
-      contract = getContract();
+      contract = getReadContract(req.blockTag);
     } catch (error) {
       await initializeContract();
-      contract = getContract();
+      contract = getReadContract(req.blockTag);
     }
 
     const { plotId, parcelId } = req.params;
@@ -91,14 +102,9 @@ router.get("/plot/:plotId/parcel/:parcelId/shareholders", async (req, res) => {
       "Error in /api/plot/:plotId/parcel/:parcelId/shareholders:",
       error.message
     );
-    res.status(500).json({
-      success: false,
-      error: {
-        message: "Failed to fetch plot parcel shareholders",
-        details: error.message,
-        timestamp: new Date().toISOString(),
-        endpoint: "/api/plot/:plotId/parcel/:parcelId/shareholders",
-      },
+    sendErrorResponse(res, error, {
+      message: "Failed to fetch plot parcel shareholders",
+      endpoint: "/api/plot/:plotId/parcel/:parcelId/shareholders",
     });
   }
 });
@@ -121,6 +127,7 @@ router.get("/plot/:plotId/parcel/:parcelId/shareholders", async (req, res) => {
  *           minimum: 1
  *           example: 101
  *       - $ref: '#/components/parameters/EthereumAddressParam'
+ *       - $ref: '#/components/parameters/BlockTag'
  *     responses:
  *       200:
  *         description: User shares in plot parcel retrieved successfully
@@ -168,10 +175,10 @@ router.get(
     try {
       let contract;
       try {
-        contract = getContract();
+        contract = getReadContract(req.blockTag);
       } catch (error) {
         await initializeContract();
-        contract = getContract();
+        contract = getReadContract(req.blockTag);
       }
 
       const { plotId, parcelId, userAddress } = req.params;
@@ -212,15 +219,9 @@ router.get(
         "Error in /api/plot/:plotId/parcel/:parcelId/user/:userAddress/shares:",
         error.message
       );
-      res.status(500).json({
-        success: false,
-        error: {
-          message: "Failed to fetch user shares in plot parcel",
-          details: error.message,
-          timestamp: new Date().toISOString(),
-          endpoint:
-            "/api/plot/:plotId/parcel/:parcelId/user/:userAddress/shares",
-        },
+      sendErrorResponse(res, error, {
+        message: "Failed to fetch user shares in plot parcel",
+        endpoint: "/api/plot/:plotId/parcel/:parcelId/user/:userAddress/shares",
       });
     }
   }
@@ -243,6 +244,7 @@ router.get(
  *           type: integer
  *           minimum: 1
  *           example: 101
+ *       - $ref: '#/components/parameters/BlockTag'
  *     responses:
  *       200:
  *         description: Plot parcel total shares retrieved successfully
@@ -280,10 +282,10 @@ router.get("/plot/:plotId/parcel/:parcelId/total-shares", async (req, res) => {
   try {
     let contract;
     try {
-      contract = getContract();
+      contract = getReadContract(req.blockTag);
     } catch (error) {
       await initializeContract();
-      contract = getContract();
+      contract = getReadContract(req.blockTag);
     }
 
     const { plotId, parcelId } = req.params;
@@ -306,14 +308,9 @@ router.get("/plot/:plotId/parcel/:parcelId/total-shares", async (req, res) => {
       "Error in /api/plot/:plotId/parcel/:parcelId/total-shares:",
       error.message
     );
-    res.status(500).json({
-      success: false,
-      error: {
-        message: "Failed to fetch plot parcel total shares",
-        details: error.message,
-        timestamp: new Date().toISOString(),
-        endpoint: "/api/plot/:plotId/parcel/:parcelId/total-shares",
-      },
+    sendErrorResponse(res, error, {
+      message: "Failed to fetch plot parcel total shares",
+      endpoint: "/api/plot/:plotId/parcel/:parcelId/total-shares",
     });
   }
 });
@@ -336,6 +333,7 @@ router.get("/plot/:plotId/parcel/:parcelId/total-shares", async (req, res) => {
  *           type: integer
  *           minimum: 0
  *           example: 101
+ *       - $ref: '#/components/parameters/BlockTag'
  *     responses:
  *       200:
  *         description: User parcels in plot retrieved successfully
@@ -386,10 +384,10 @@ router.get("/plot/:plotId/user/:userAddress/parcels", async (req, res) => {
   try {
     let contract;
     try {
-      contract = getContract();
+      contract = getReadContract(req.blockTag);
     } catch (error) {
       await initializeContract();
-      contract = getContract();
+      contract = getReadContract(req.blockTag);
     }
 
     const { plotId, userAddress } = req.params;
@@ -431,14 +429,9 @@ router.get("/plot/:plotId/user/:userAddress/parcels", async (req, res) => {
       "Error in /api/plot/:plotId/user/:userAddress/parcels:",
       error.message
     );
-    res.status(500).json({
-      success: false,
-      error: {
-        message: "Failed to fetch user parcels in plot",
-        details: error.message,
-        timestamp: new Date().toISOString(),
-        endpoint: "/api/plot/:plotId/user/:userAddress/parcels",
-      },
+    sendErrorResponse(res, error, {
+      message: "Failed to fetch user parcels in plot",
+      endpoint: "/api/plot/:plotId/user/:userAddress/parcels",
     });
   }
 });
@@ -455,6 +448,7 @@ router.get("/plot/:plotId/user/:userAddress/parcels", async (req, res) => {
  *     parameters:
  *       - $ref: '#/components/parameters/PlotId'
  *       - $ref: '#/components/parameters/EthereumAddressParam'
+ *       - $ref: '#/components/parameters/BlockTag'
  *     responses:
  *       200:
  *         description: User ownership percentage in plot retrieved successfully
@@ -502,10 +496,10 @@ router.get("/plot/:plotId/user/:userAddress/ownership", async (req, res) => {
   try {
     let contract;
     try {
-      contract = getContract();
+      contract = getReadContract(req.blockTag);
     } catch (error) {
       await initializeContract();
-      contract = getContract();
+      contract = getReadContract(req.blockTag);
     }
 
     const { plotId, userAddress } = req.params;
@@ -544,14 +538,159 @@ router.get("/plot/:plotId/user/:userAddress/ownership", async (req, res) => {
       "Error in /api/plot/:plotId/user/:userAddress/ownership:",
       error.message
     );
-    res.status(500).json({
-      success: false,
-      error: {
-        message: "Failed to fetch user ownership percentage in plot",
-        details: error.message,
-        timestamp: new Date().toISOString(),
-        endpoint: "/api/plot/:plotId/user/:userAddress/ownership",
-      },
+    sendErrorResponse(res, error, {
+      message: "Failed to fetch user ownership percentage in plot",
+      endpoint: "/api/plot/:plotId/user/:userAddress/ownership",
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/get_plot/plot/{plotId}/cap-table:
+ *   get:
+ *     summary: Get Plot Cap Table
+ *     description: |
+ *       Builds the full cap table of a plot in one request: every parcel with its total shares and each
+ *       holder's shares and percentage, plus the plot-level ownership percentage (`getOwnershipPercentage`)
+ *       of every distinct holder. Replaces calling `/plot/{plotId}/info`, `/shareholders` and `/shares` per parcel and holder.
+ *     tags: [Plot]
+ *     parameters:
+ *       - $ref: '#/components/parameters/PlotId'
+ *       - $ref: '#/components/parameters/BlockTag'
+ *     responses:
+ *       200:
+ *         description: Cap table retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     plotId:
+ *                       type: string
+ *                       example: "1"
+ *                     plotAccount:
+ *                       $ref: '#/components/schemas/EthereumAddress'
+ *                     parcels:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           parcelId:
+ *                             type: string
+ *                             example: "101"
+ *                           parcelAmount:
+ *                             type: string
+ *                             example: "1000"
+ *                           totalShares:
+ *                             type: string
+ *                             example: "1000"
+ *                           holders:
+ *                             type: array
+ *                             items:
+ *                               type: object
+ *                               properties:
+ *                                 address:
+ *                                   $ref: '#/components/schemas/EthereumAddress'
+ *                                 shares:
+ *                                   type: string
+ *                                   example: "250"
+ *                                 percent:
+ *                                   type: string
+ *                                   example: "25.00%"
+ *                     holders:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           address:
+ *                             $ref: '#/components/schemas/EthereumAddress'
+ *                           ownershipPercentage:
+ *                             type: string
+ *                             description: Plot-level ownership in basis points
+ *                             example: "2500"
+ *                           ownershipPercent:
+ *                             type: string
+ *                             example: "25.00%"
+ *                           parcels:
+ *                             type: array
+ *                             items:
+ *                               type: string
+ *                             example: ["101"]
+ *                     totals:
+ *                       type: object
+ *                       properties:
+ *                         parcels:
+ *                           type: number
+ *                           example: 2
+ *                         shares:
+ *                           type: string
+ *                           example: "2000"
+ *                         holders:
+ *                           type: number
+ *                           example: 3
+ *                 message:
+ *                   type: string
+ *                   example: "Plot cap table retrieved successfully"
+ *       400:
+ *         description: Bad request - invalid plot ID
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get("/plot/:plotId/cap-table", async (req, res) => {
+  try {
+    let contract;
+    try {
+      contract = getReadContract(req.blockTag);
+    } catch (error) {
+      await initializeContract();
+      contract = getReadContract(req.blockTag);
+    }
+
+    const { plotId } = req.params;
+
+    if (!/^\d+$/.test(plotId)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: "Invalid plot ID",
+          details: "plotId must be a number",
+          code: "INVALID_INPUT",
+          timestamp: new Date().toISOString(),
+          endpoint: "/api/get_plot/plot/:plotId/cap-table",
+        },
+      });
+    }
+
+    const capTable = await getPlotCapTable(contract, plotId);
+
+    res.json({
+      success: true,
+      data: capTable,
+      message: "Plot cap table retrieved successfully",
+    });
+  } catch (error) {
+    console.error(
+      "Error in /api/get_plot/plot/:plotId/cap-table:",
+      error.message
+    );
+    sendErrorResponse(res, error, {
+      message: "Failed to build plot cap table",
+      endpoint: "/api/get_plot/plot/:plotId/cap-table",
     });
   }
 });
@@ -1,10 +1,22 @@
 const express = require("express");
+const { ethers } = require("ethers");
 const {
   initializeContract,
   getContract,
+  getReadContract,
+  getSigner,
 } = require("../utils/contractInstance");
+const { sendErrorResponse } = require("../utils/contractErrors");
+const { requireAuth } = require("../utils/auth");
+const { historicalReads } = require("../utils/blockTag");
 const router = express.Router();
 
+// Read-only routes: any authenticated role may call them
+router.use(requireAuth);
+
+// ?blockTag=<block number | ISO date> reads the contract at a past block
+router.use(historicalReads);
+
 /**
  * @swagger
  * /api/getter/get-treasury:
@@ -12,6 +24,8 @@ const router = express.Router();
  *     summary: Get Treasury Wallet Address
  *     description: Retrieves the treasury wallet address from the smart contract
  *     tags: [Treasury]
+ *     parameters:
+ *       - $ref: '#/components/parameters/BlockTag'
  *     responses:
  *       200:
  *         description: Treasury wallet address retrieved successfully
@@ -73,10 +87,10 @@ router.get("/get-treasury", async (req, res) => {
   try {
     let contract;
     try {
-      contract = getContract();
+      contract = getReadContract(req.blockTag);
     } catch (error) {
       await initializeContract();
-      contract = getContract();
+      contract = getReadContract(req.blockTag);
     }
     // This is the actual blockchain call - similar to your getTreasuryWallet function
     const treasuryWallet = await contract.treasuryWallet();
@@ -98,14 +112,9 @@ router.get("/get-treasury", async (req, res) => {
     console.error("Error in /api/get-treasury:", error.message);
 
     // Send error response with helpful debugging information
-    res.status(500).json({
-      success: false,
-      error: {
-        message: "Failed to fetch treasury wallet",
-        details: error.message,
-        timestamp: new Date().toISOString(),
-        endpoint: "/api/get-treasury",
-      },
+    sendErrorResponse(res, error, {
+      message: "Failed to fetch treasury wallet",
+      endpoint: "/api/get-treasury",
     });
   }
 });
@@ -126,6 +135,7 @@ router.get("/get-treasury", async (req, res) => {
  *           type: integer
  *           minimum: 1
  *           example: 1
+ *       - $ref: '#/components/parameters/BlockTag'
  *     responses:
  *       200:
  *         description: Land information retrieved successfully
@@ -196,10 +206,10 @@ router.get("/land/:tokenId", async (req, res) => {
   try {
     let contract;
     try {
-      contract = getContract();
+      contract = getReadContract(req.blockTag);
     } catch (error) {
       await initializeContract();
-      contract = getContract();
+      contract = getReadContract(req.blockTag);
     }
     const { tokenId } = req.params;
     const landData = await contract.getLandInfo(tokenId);
@@ -219,14 +229,9 @@ router.get("/land/:tokenId", async (req, res) => {
     });
   } catch (error) {
     console.error("Error in /api/land/:tokenId:", error.message);
-    res.status(500).json({
-      success: false,
-      error: {
-        message: "Failed to fetch land information",
-        details: error.message,
-        timestamp: new Date().toISOString(),
-        endpoint: "/api/land/:tokenId",
-      },
+    sendErrorResponse(res, error, {
+      message: "Failed to fetch land information",
+      endpoint: "/api/land/:tokenId",
     });
   }
 });
@@ -240,6 +245,7 @@ router.get("/land/:tokenId", async (req, res) => {
  *     tags: [Plot]
  *     parameters:
  *       - $ref: '#/components/parameters/PlotId'
+ *       - $ref: '#/components/parameters/BlockTag'
  *     responses:
  *       200:
  *         description: Plot account information retrieved successfully
@@ -306,10 +312,10 @@ router.get("/plot/:plotId/info", async (req, res) => {
   try {
     let contract;
     try {
-      contract = getContract();
+      contract = getReadContract(req.blockTag);
     } catch (error) {
       await initializeContract();
-      contract = getContract();
+      contract = getReadContract(req.blockTag);
     }
 
     const { plotId } = req.params;
@@ -329,14 +335,9 @@ router.get("/plot/:plotId/info", async (req, res) => {
     });
   } catch (error) {
     console.error("Error in /api/plot/:plotId/info:", error.message);
-    res.status(500).json({
-      success: false,
-      error: {
-        message: "Failed to fetch plot account information",
-        details: error.message,
-        timestamp: new Date().toISOString(),
-        endpoint: "/api/plot/:plotId/info",
-      },
+    sendErrorResponse(res, error, {
+      message: "Failed to fetch plot account information",
+      endpoint: "/api/plot/:plotId/info",
     });
   }
 });
@@ -348,6 +349,8 @@ router.get("/plot/:plotId/info", async (req, res) => {
  *     summary: Get All Plots
  *     description: Retrieves a list of all plots in the system
  *     tags: [Plot]
+ *     parameters:
+ *       - $ref: '#/components/parameters/BlockTag'
  *     responses:
  *       200:
  *         description: List of all plots retrieved successfully
@@ -406,10 +409,10 @@ router.get("/plots", async (req, res) => {
   try {
     let contract;
     try {
-      contract = getContract();
+      contract = getReadContract(req.blockTag);
     } catch (error) {
       await initializeContract();
-      contract = getContract();
+      contract = getReadContract(req.blockTag);
     }
 
     const plots = await contract.getListOfTotalPlots();
@@ -424,14 +427,9 @@ router.get("/plots", async (req, res) => {
     });
   } catch (error) {
     console.error("Error in /api/plots:", error.message);
-    res.status(500).json({
-      success: false,
-      error: {
-        message: "Failed to fetch plots list",
-        details: error.message,
-        timestamp: new Date().toISOString(),
-        endpoint: "/api/plots",
-      },
+    sendErrorResponse(res, error, {
+      message: "Failed to fetch plots list",
+      endpoint: "/api/plots",
     });
   }
 });
@@ -445,6 +443,7 @@ router.get("/plots", async (req, res) => {
  *     tags: [Token]
  *     parameters:
  *       - $ref: '#/components/parameters/TokenId'
+ *       - $ref: '#/components/parameters/BlockTag'
  *     responses:
  *       200:
  *         description: Token URI retrieved successfully
@@ -501,10 +500,10 @@ router.get("/token/:tokenId/uri", async (req, res) => {
   try {
     let contract;
     try {
-      contract = getContract();
+      contract = getReadContract(req.blockTag);
     } catch (error) {
       await initializeContract();
-      contract = getContract();
+      contract = getReadContract(req.blockTag);
     }
 
     const { tokenId } = req.params;
@@ -520,14 +519,9 @@ router.get("/token/:tokenId/uri", async (req, res) => {
     });
   } catch (error) {
     console.error("Error in /api/token/:tokenId/uri:", error.message);
-    res.status(500).json({
-      success: false,
-      error: {
-        message: "Failed to fetch token URI",
-        details: error.message,
-        timestamp: new Date().toISOString(),
-        endpoint: "/api/token/:tokenId/uri",
-      },
+    sendErrorResponse(res, error, {
+      message: "Failed to fetch token URI",
+      endpoint: "/api/token/:tokenId/uri",
     });
   }
 });
@@ -551,6 +545,7 @@ router.get("/token/:tokenId/uri", async (req, res) => {
  *           type: integer
  *           minimum: 1
  *           example: 1
+ *       - $ref: '#/components/parameters/BlockTag'
  *     responses:
  *       200:
  *         description: Transfer request status retrieved successfully
@@ -606,9 +601,6 @@ router.get("/token/:tokenId/uri", async (req, res) => {
  *                 message:
  *                   type: string
  *                   example: "Transfer request status retrieved successfully"
- *                 warning:
- *                   type: string
- *                   example: "This endpoint should have authentication in production"
  *       500:
  *         description: Internal server error or access denied
  *         content:
@@ -649,6 +641,9 @@ router.get("/token/:tokenId/uri", async (req, res) => {
  */
 router.get("/transfer/:requestId/status", async (req, res) => {
   try {
+    // WARNING: The contract function has a requirement that only the sender
+    // can access, so it is called from the server wallet and never through
+    // Multicall3 (whose calls have the Multicall3 contract as sender)
     let contract;
     try {
       contract = getContract();
@@ -659,9 +654,10 @@ router.get("/transfer/:requestId/status", async (req, res) => {
 
     const { requestId } = req.params;
 
-    // WARNING: The contract function has a requirement that only the sender can access
-    // You should implement proper authentication before using this in production
-    const requestData = await contract.requestStatus(requestId);
+    const requestData = await contract.requestStatus(requestId, {
+      from: await getSigner().getAddress(),
+      ...(req.blockTag !== null && { blockTag: req.blockTag }),
+    });
 
     res.json({
       success: true,
@@ -680,19 +676,13 @@ router.get("/transfer/:requestId/status", async (req, res) => {
         bankApproved: requestData.bankApproved.toString(),
       },
       message: "Transfer request status retrieved successfully",
-      warning: "This endpoint should have authentication in production",
     });
   } catch (error) {
     console.error("Error in /api/transfer/:requestId/status:", error.message);
-    res.status(500).json({
-      success: false,
-      error: {
-        message: "Failed to fetch transfer request status",
-        details: error.message,
-        timestamp: new Date().toISOString(),
-        endpoint: "/api/transfer/:requestId/status",
-        note: "This may fail if you're not the sender of the request",
-      },
+    sendErrorResponse(res, error, {
+      message: "Failed to fetch transfer request status",
+      endpoint: "/api/transfer/:requestId/status",
+      note: "This may fail if you're not the sender of the request",
     });
   }
 });
@@ -704,6 +694,8 @@ router.get("/transfer/:requestId/status", async (req, res) => {
  *     summary: Get Plot and Token ID Info
  *     description: Retrieves the plot ID and token ID from the contract.
  *     tags: [Token]
+ *     parameters:
+ *       - $ref: '#/components/parameters/BlockTag'
  *     responses:
  *       200:
  *         description: Plot and token ID info retrieved successfully
@@ -760,10 +752,10 @@ router.get("/plot-and-token-id-info", async (req, res) => {
   try {
     let contract;
     try {
-      contract = getContract();
+      contract = getReadContract(req.blockTag);
     } catch (error) {
       await initializeContract();
-      contract = getContract();
+      contract = getReadContract(req.blockTag);
     }
     const [plotId, tokenId] = await contract.getPlotAndTokenIdInfo();
     res.json({
@@ -779,15 +771,596 @@ router.get("/plot-and-token-id-info", async (req, res) => {
       "Error in /api/getter/plot-and-token-id-info:",
       error.message
     );
-    res.status(500).json({
-      success: false,
-      error: {
-        message: "Failed to fetch plot and token ID info",
-        details: error.message,
-        code: error.code,
-        timestamp: new Date().toISOString(),
-        endpoint: "/api/getter/plot-and-token-id-info",
+    sendErrorResponse(res, error, {
+      message: "Failed to fetch plot and token ID info",
+      endpoint: "/api/getter/plot-and-token-id-info",
+    });
+  }
+});
+
+// Largest addresses × ids matrix served by a single balanceOfBatch call
+const MAX_BALANCE_MATRIX_CELLS = 500;
+
+function parseList(value) {
+  if (value === undefined) return [];
+  return String(value)
+    .split(",")
+    .map((item) => item.trim())
+    .filter((item) => item !== "");
+}
+
+/**
+ * @swagger
+ * /api/getter/balance/{address}/{tokenId}:
+ *   get:
+ *     summary: Get ERC-1155 Token Balance
+ *     description: Returns how many units of a parcel token an address holds (`balanceOf`).
+ *     tags: [Token]
+ *     parameters:
+ *       - name: address
+ *         in: path
+ *         required: true
+ *         description: Holder address
+ *         schema:
+ *           $ref: '#/components/schemas/EthereumAddress'
+ *       - $ref: '#/components/parameters/TokenId'
+ *       - $ref: '#/components/parameters/BlockTag'
+ *     responses:
+ *       200:
+ *         description: Balance retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     address:
+ *                       type: string
+ *                       example: "0x742d35Cc6634C0532925a3b8D2DE0f87b7b82fd0"
+ *                     tokenId:
+ *                       type: string
+ *                       example: "1"
+ *                     balance:
+ *                       type: string
+ *                       example: "250"
+ *                 message:
+ *                   type: string
+ *                   example: "Token balance retrieved successfully"
+ *       400:
+ *         description: Bad request - invalid address or token ID
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get("/balance/:address/:tokenId", async (req, res) => {
+  try {
+    let contract;
+    try {
+      contract = getReadContract(req.blockTag);
+    } catch (error) {
+      await initializeContract();
+      contract = getReadContract(req.blockTag);
+    }
+
+    const { address, tokenId } = req.params;
+
+    if (!/^0x[a-fA-F0-9]{40}$/.test(address) || !/^\d+$/.test(tokenId)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: "Invalid address or token ID",
+          details:
+            "Address must be a valid 42-character hex string starting with 0x and tokenId a number",
+          code: "INVALID_INPUT",
+          timestamp: new Date().toISOString(),
+          endpoint: "/api/getter/balance/:address/:tokenId",
+        },
+      });
+    }
+
+    const balance = await contract.balanceOf(address, tokenId);
+
+    res.json({
+      success: true,
+      data: {
+        address,
+        tokenId,
+        balance: balance.toString(),
+      },
+      message: "Token balance retrieved successfully",
+    });
+  } catch (error) {
+    console.error("Error in /api/getter/balance:", error.message);
+    sendErrorResponse(res, error, {
+      message: "Failed to fetch token balance",
+      endpoint: "/api/getter/balance/:address/:tokenId",
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/getter/balances:
+ *   get:
+ *     summary: Get ERC-1155 Balance Matrix
+ *     description: |
+ *       Returns the balance of every address for every token ID with a single `balanceOfBatch` call.
+ *       `balances[i][j]` is the balance of `addresses[i]` for `tokenIds[j]`.
+ *       At most 500 address × token ID combinations per request.
+ *     tags: [Token]
+ *     parameters:
+ *       - name: addresses
+ *         in: query
+ *         required: true
+ *         description: Comma-separated holder addresses
+ *         schema:
+ *           type: string
+ *           example: "0x742d35cc6634c0532925a3b8d2de0f87b7b82fd0,0x1B8683e1885B3ee93524cD58BC10Cf3Ed6af4298"
+ *       - name: tokenIds
+ *         in: query
+ *         required: true
+ *         description: Comma-separated token IDs
+ *         schema:
+ *           type: string
+ *           example: "1,2,3"
+ *       - $ref: '#/components/parameters/BlockTag'
+ *     responses:
+ *       200:
+ *         description: Balances retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     addresses:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                     tokenIds:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                       example: ["1", "2", "3"]
+ *                     balances:
+ *                       type: array
+ *                       items:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                       example: [["250", "0", "10"], ["0", "500", "0"]]
+ *                 message:
+ *                   type: string
+ *                   example: "Token balances retrieved successfully"
+ *       400:
+ *         description: Bad request - invalid or too many addresses / token IDs
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get("/balances", async (req, res) => {
+  try {
+    let contract;
+    try {
+      contract = getReadContract(req.blockTag);
+    } catch (error) {
+      await initializeContract();
+      contract = getReadContract(req.blockTag);
+    }
+
+    const addresses = parseList(req.query.addresses);
+    const tokenIds = parseList(req.query.tokenIds);
+
+    const invalid = (message, details) =>
+      res.status(400).json({
+        success: false,
+        error: {
+          message,
+          details,
+          code: "INVALID_INPUT",
+          timestamp: new Date().toISOString(),
+          endpoint: "/api/getter/balances",
+        },
+      });
+
+    if (addresses.length === 0 || tokenIds.length === 0) {
+      return invalid(
+        "addresses and tokenIds are required",
+        "Provide comma-separated 'addresses' and 'tokenIds' query parameters"
+      );
+    }
+    const badAddress = addresses.find((a) => !/^0x[a-fA-F0-9]{40}$/.test(a));
+    if (badAddress) {
+      return invalid(
+        "Invalid address format",
+        `'${badAddress}' is not a valid 42-character hex address`
+      );
+    }
+    const badTokenId = tokenIds.find((id) => !/^\d+$/.test(id));
+    if (badTokenId) {
+      return invalid("Invalid token ID", `'${badTokenId}' is not a number`);
+    }
+    if (addresses.length * tokenIds.length > MAX_BALANCE_MATRIX_CELLS) {
+      return invalid(
+        "Too many balances requested",
+        `addresses × tokenIds must not exceed ${MAX_BALANCE_MATRIX_CELLS}`
+      );
+    }
+
+    // balanceOfBatch takes parallel arrays, so expand the matrix row by row
+    const accounts = addresses.flatMap((address) =>
+      tokenIds.map(() => address)
+    );
+    const ids = addresses.flatMap(() => tokenIds);
+    const flat = await contract.balanceOfBatch(accounts, ids);
+
+    const balances = addresses.map((_, row) =>
+      tokenIds.map((_, col) => flat[row * tokenIds.length + col].toString())
+    );
+
+    res.json({
+      success: true,
+      data: {
+        addresses,
+        tokenIds,
+        balances,
+      },
+      message: "Token balances retrieved successfully",
+    });
+  } catch (error) {
+    console.error("Error in /api/getter/balances:", error.message);
+    sendErrorResponse(res, error, {
+      message: "Failed to fetch token balances",
+      endpoint: "/api/getter/balances",
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/getter/approval/{account}/{operator}:
+ *   get:
+ *     summary: Get Operator Approval Status
+ *     description: Returns whether `operator` may transfer all of `account`'s tokens (`isApprovedForAll`).
+ *     tags: [Token]
+ *     parameters:
+ *       - name: account
+ *         in: path
+ *         required: true
+ *         description: Token holder address
+ *         schema:
+ *           $ref: '#/components/schemas/EthereumAddress'
+ *       - name: operator
+ *         in: path
+ *         required: true
+ *         description: Operator address
+ *         schema:
+ *           $ref: '#/components/schemas/EthereumAddress'
+ *       - $ref: '#/components/parameters/BlockTag'
+ *     responses:
+ *       200:
+ *         description: Approval status retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     account:
+ *                       type: string
+ *                       example: "0x742d35Cc6634C0532925a3b8D2DE0f87b7b82fd0"
+ *                     operator:
+ *                       type: string
+ *                       example: "0x1B8683e1885B3ee93524cD58BC10Cf3Ed6af4298"
+ *                     approved:
+ *                       type: boolean
+ *                       example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Operator approval status retrieved successfully"
+ *       400:
+ *         description: Bad request - invalid address
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get("/approval/:account/:operator", async (req, res) => {
+  try {
+    let contract;
+    try {
+      contract = getReadContract(req.blockTag);
+    } catch (error) {
+      await initializeContract();
+      contract = getReadContract(req.blockTag);
+    }
+
+    const { account, operator } = req.params;
+
+    if (
+      !/^0x[a-fA-F0-9]{40}$/.test(account) ||
+      !/^0x[a-fA-F0-9]{40}$/.test(operator)
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: "Invalid address format",
+          details:
+            "account and operator must be valid 42-character hex strings starting with 0x",
+          code: "INVALID_INPUT",
+          timestamp: new Date().toISOString(),
+          endpoint: "/api/getter/approval/:account/:operator",
+        },
+      });
+    }
+
+    const approved = await contract.isApprovedForAll(account, operator);
+
+    res.json({
+      success: true,
+      data: {
+        account,
+        operator,
+        approved,
+      },
+      message: "Operator approval status retrieved successfully",
+    });
+  } catch (error) {
+    console.error("Error in /api/getter/approval:", error.message);
+    sendErrorResponse(res, error, {
+      message: "Failed to fetch operator approval status",
+      endpoint: "/api/getter/approval/:account/:operator",
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/getter/token/{tokenId}/erc1155-uri:
+ *   get:
+ *     summary: Get ERC-1155 Metadata URI
+ *     description: |
+ *       Returns the raw ERC-1155 `uri(id)` value. Per the standard, clients replace `{id}` in it
+ *       with the token ID as 64 lowercase hex characters.
+ *     tags: [Token]
+ *     parameters:
+ *       - $ref: '#/components/parameters/TokenId'
+ *       - $ref: '#/components/parameters/BlockTag'
+ *     responses:
+ *       200:
+ *         description: URI retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     tokenId:
+ *                       type: string
+ *                       example: "1"
+ *                     uri:
+ *                       type: string
+ *                       example: "https://example.com/metadata/{id}.json"
+ *                 message:
+ *                   type: string
+ *                   example: "ERC-1155 URI retrieved successfully"
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get("/token/:tokenId/erc1155-uri", async (req, res) => {
+  try {
+    let contract;
+    try {
+      contract = getReadContract(req.blockTag);
+    } catch (error) {
+      await initializeContract();
+      contract = getReadContract(req.blockTag);
+    }
+
+    const { tokenId } = req.params;
+    const uri = await contract.uri(tokenId);
+
+    res.json({
+      success: true,
+      data: {
+        tokenId,
+        uri,
+      },
+      message: "ERC-1155 URI retrieved successfully",
+    });
+  } catch (error) {
+    console.error(
+      "Error in /api/getter/token/:tokenId/erc1155-uri:",
+      error.message
+    );
+    sendErrorResponse(res, error, {
+      message: "Failed to fetch ERC-1155 URI",
+      endpoint: "/api/getter/token/:tokenId/erc1155-uri",
+    });
+  }
+});
+
+// Address getters reported by /config; a zero address means "not configured"
+const CONFIG_ADDRESS_GETTERS = [
+  "plotRegistry",
+  "plotNft",
+  "plotPassAddress",
+  "treasuryWallet",
+];
+
+/**
+ * @swagger
+ * /api/getter/config:
+ *   get:
+ *     summary: Get Contract Configuration
+ *     description: |
+ *       Shows how the contract is wired: the plot registry, plot NFT, plot pass and treasury addresses,
+ *       the current request counter, the latest plot and token IDs, the chain ID, the contract address
+ *       and the server signer address. Addresses that are still the zero address are reported as `not configured`.
+ *     tags: [Admin]
+ *     parameters:
+ *       - $ref: '#/components/parameters/BlockTag'
+ *     responses:
+ *       200:
+ *         description: Configuration retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     chainId:
+ *                       type: string
+ *                       example: "84532"
+ *                     contractAddress:
+ *                       type: string
+ *                       example: "0x1B8683e1885B3ee93524cD58BC10Cf3Ed6af4298"
+ *                     signerAddress:
+ *                       type: string
+ *                       example: "0x742d35Cc6634C0532925a3b8D2DE0f87b7b82fd0"
+ *                     addresses:
+ *                       type: object
+ *                       description: One entry per address getter (plotRegistry, plotNft, plotPassAddress, treasuryWallet)
+ *                       additionalProperties:
+ *                         type: object
+ *                         properties:
+ *                           address:
+ *                             type: string
+ *                             example: "0x0000000000000000000000000000000000000000"
+ *                           status:
+ *                             type: string
+ *                             enum: [configured, not configured]
+ *                             example: "not configured"
+ *                     notConfigured:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                       example: ["plotPassAddress"]
+ *                     requestId:
+ *                       type: string
+ *                       example: "12"
+ *                     plotId:
+ *                       type: string
+ *                       example: "3"
+ *                     tokenId:
+ *                       type: string
+ *                       example: "7"
+ *                 message:
+ *                   type: string
+ *                   example: "Contract configuration retrieved successfully"
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get("/config", async (req, res) => {
+  try {
+    let contract;
+    try {
+      contract = getReadContract(req.blockTag);
+    } catch (error) {
+      await initializeContract();
+      contract = getReadContract(req.blockTag);
+    }
+
+    const [
+      network,
+      contractAddress,
+      signerAddress,
+      requestId,
+      [plotId, tokenId],
+      ...configuredAddresses
+    ] = await Promise.all([
+      contract.runner.provider.getNetwork(),
+      contract.getAddress(),
+      getSigner().getAddress(),
+      contract.requestId(),
+      contract.getPlotAndTokenIdInfo(),
+      ...CONFIG_ADDRESS_GETTERS.map((getter) => contract[getter]()),
+    ]);
+
+    const addresses = {};
+    const notConfigured = [];
+    CONFIG_ADDRESS_GETTERS.forEach((getter, index) => {
+      const address = configuredAddresses[index];
+      const configured = address !== ethers.ZeroAddress;
+      addresses[getter] = {
+        address,
+        status: configured ? "configured" : "not configured",
+      };
+      if (!configured) notConfigured.push(getter);
+    });
+
+    res.json({
+      success: true,
+      data: {
+        chainId: network.chainId.toString(),
+        contractAddress,
+        signerAddress,
+        addresses,
+        notConfigured,
+        requestId: requestId.toString(),
+        plotId: plotId.toString(),
+        tokenId: tokenId.toString(),
       },
+      message: "Contract configuration retrieved successfully",
+    });
+  } catch (error) {
+    console.error("Error in /api/getter/config:", error.message);
+    sendErrorResponse(res, error, {
+      message: "Failed to fetch contract configuration",
+      endpoint: "/api/getter/config",
     });
   }
 });
@@ -0,0 +1,175 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const Job = require("../models/job.model");
+const { formatJob } = require("../utils/jobTracker");
+const { sendErrorResponse } = require("../utils/contractErrors");
+const { requireAuth } = require("../utils/auth");
+const router = express.Router();
+
+// Read-only routes: any authenticated role may call them
+router.use(requireAuth);
+
+/**
+ * @swagger
+ * /api/jobs/{id}:
+ *   get:
+ *     summary: Get Transaction Job Status
+ *     description: |
+ *       Reports the state of a transaction submitted with `?async=true`.
+ *       Once mined, the job includes the receipt, decoded events and the ids
+ *       (tokenId, plotId, requestId) parsed from them. A job is `stuck` when its
+ *       transaction is still unmined after the last fee bump; it is still watched.
+ *     tags: [Jobs]
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: The job ID returned by the setter
+ *         schema:
+ *           type: string
+ *           example: "665f1c2a9b1e8a3d4c5b6a79"
+ *     responses:
+ *       200:
+ *         description: Job retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     jobId:
+ *                       type: string
+ *                       example: "665f1c2a9b1e8a3d4c5b6a79"
+ *                     endpoint:
+ *                       type: string
+ *                       example: "/api/setter/create-token"
+ *                     functionName:
+ *                       type: string
+ *                       example: "createBlockParcelToken"
+ *                     status:
+ *                       type: string
+ *                       enum: [pending, stuck, mined, failed]
+ *                       example: "mined"
+ *                     transaction:
+ *                       type: object
+ *                       properties:
+ *                         hash:
+ *                           type: string
+ *                           example: "0x1234567890abcdef1234567890abcdef12345678"
+ *                         from:
+ *                           type: string
+ *                         to:
+ *                           type: string
+ *                         nonce:
+ *                           type: number
+ *                     receipt:
+ *                       type: object
+ *                       nullable: true
+ *                       properties:
+ *                         blockNumber:
+ *                           type: number
+ *                           example: 12345678
+ *                         gasUsed:
+ *                           type: string
+ *                           example: "21000"
+ *                         status:
+ *                           type: number
+ *                           example: 1
+ *                     outputs:
+ *                       type: object
+ *                       properties:
+ *                         tokenId:
+ *                           type: string
+ *                           nullable: true
+ *                           example: "1"
+ *                         plotId:
+ *                           type: string
+ *                           nullable: true
+ *                         requestId:
+ *                           type: string
+ *                           nullable: true
+ *                     events:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                     error:
+ *                       type: object
+ *                       nullable: true
+ *                     submittedAt:
+ *                       type: string
+ *                       format: date-time
+ *                     minedAt:
+ *                       type: string
+ *                       format: date-time
+ *                       nullable: true
+ *                 message:
+ *                   type: string
+ *                   example: "Job retrieved successfully"
+ *       400:
+ *         description: Bad request - invalid job ID
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Job not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get("/:id", async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: "Invalid job ID",
+          code: "INVALID_INPUT",
+          timestamp: new Date().toISOString(),
+          endpoint: "/api/jobs/:id",
+        },
+      });
+    }
+
+    const job = await Job.findById(id).lean();
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: "Job not found",
+          code: "NOT_FOUND",
+          timestamp: new Date().toISOString(),
+          endpoint: "/api/jobs/:id",
+        },
+      });
+    }
+
+    res.json({
+      success: true,
+      data: formatJob(job),
+      message: "Job retrieved successfully",
+    });
+  } catch (error) {
+    console.error("Error in /api/jobs/:id:", error.message);
+    sendErrorResponse(res, error, {
+      message: "Failed to fetch job",
+      endpoint: "/api/jobs/:id",
+    });
+  }
+});
+
+module.exports = router;
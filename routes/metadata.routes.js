@@ -0,0 +1,404 @@
+const express = require("express");
+const TokenMetadata = require("../models/tokenMetadata.model");
+const {
+  initializeContract,
+  getReadContract,
+} = require("../utils/contractInstance");
+const {
+  TOKEN_METADATA_SCHEMA,
+  validateTokenMetadata,
+  metadataUriTemplate,
+  metadataUrl,
+  parseMetadataId,
+  toErc1155Metadata,
+  setTokenMetadata,
+} = require("../utils/tokenMetadata");
+const { sendErrorResponse } = require("../utils/contractErrors");
+const { requireRole } = require("../utils/auth");
+const router = express.Router();
+
+// Metadata is public so wallets and marketplaces can resolve tokenURIs;
+// only the land authority may change it
+router.put("/:id", requireRole("land-authority"));
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TokenMetadataInput:
+ *       type: object
+ *       description: Structured land token metadata. The full JSON Schema is served at `GET /api/metadata/schema`.
+ *       required:
+ *         - block
+ *         - parcel
+ *         - surveyNumber
+ *         - area
+ *       properties:
+ *         name:
+ *           type: string
+ *           description: Defaults to "<block> / <parcel>"
+ *         description:
+ *           type: string
+ *         block:
+ *           type: string
+ *           example: "Block A1"
+ *         parcel:
+ *           type: string
+ *           example: "Parcel P1"
+ *         surveyNumber:
+ *           type: string
+ *           example: "SY-2024-0117"
+ *         area:
+ *           type: object
+ *           required:
+ *             - value
+ *             - unit
+ *           properties:
+ *             value:
+ *               type: number
+ *               description: Greater than 0
+ *               example: 1250.5
+ *             unit:
+ *               type: string
+ *               enum: [sqm, sqft, acre, hectare]
+ *         images:
+ *           type: array
+ *           maxItems: 20
+ *           description: The first image becomes the metadata `image`
+ *           items:
+ *             type: object
+ *             required:
+ *               - url
+ *             properties:
+ *               url:
+ *                 type: string
+ *                 description: http(s), ipfs:// or ar:// URL
+ *                 example: "ipfs://bafybeigdyrzt5sfp7udm7hu76uh7y26nf3efuylqabf3oclgtqy55fbzdi"
+ *               caption:
+ *                 type: string
+ *         documents:
+ *           type: array
+ *           maxItems: 50
+ *           items:
+ *             type: object
+ *             required:
+ *               - name
+ *               - url
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "Survey plan"
+ *               type:
+ *                 type: string
+ *                 example: "survey"
+ *               url:
+ *                 type: string
+ *                 example: "https://files.example.com/survey-0117.pdf"
+ *               sha256:
+ *                 type: string
+ *                 description: Lowercase hex SHA-256 of the document
+ *     Erc1155Metadata:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: "Block A1 / Parcel P1"
+ *         description:
+ *           type: string
+ *         image:
+ *           type: string
+ *         properties:
+ *           type: object
+ *           properties:
+ *             tokenId:
+ *               type: string
+ *               example: "1"
+ *             block:
+ *               type: string
+ *             parcel:
+ *               type: string
+ *             surveyNumber:
+ *               type: string
+ *             area:
+ *               type: object
+ *             images:
+ *               type: array
+ *               items:
+ *                 type: object
+ *             documents:
+ *               type: array
+ *               items:
+ *                 type: object
+ */
+
+/**
+ * @swagger
+ * /api/metadata/schema:
+ *   get:
+ *     summary: Get Token Metadata JSON Schema
+ *     description: The JSON Schema (draft-07) that metadata payloads are validated against, and the tokenURI template used for hosted metadata.
+ *     tags: [Token]
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: Schema retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     schema:
+ *                       type: object
+ *                     uriTemplate:
+ *                       type: string
+ *                       example: "https://api.example.com/api/metadata/{id}"
+ *                 message:
+ *                   type: string
+ *                   example: "Token metadata schema retrieved successfully"
+ */
+router.get("/schema", (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      schema: TOKEN_METADATA_SCHEMA,
+      uriTemplate: metadataUriTemplate(),
+    },
+    message: "Token metadata schema retrieved successfully",
+  });
+});
+
+/**
+ * @swagger
+ * /api/metadata/{id}:
+ *   get:
+ *     summary: Get ERC-1155 Token Metadata
+ *     description: |
+ *       Serves the metadata document of a token as plain ERC-1155 metadata JSON (not wrapped in the API
+ *       response envelope). This is the URL that tokens created with a `metadata` payload point to: their
+ *       tokenURI is `<METADATA_BASE_URL>/api/metadata/{id}`, where clients replace `{id}` with the token ID
+ *       as 64 lowercase hex characters. A decimal token ID and a `.json` suffix are also accepted.
+ *     tags: [Token]
+ *     security: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "0000000000000000000000000000000000000000000000000000000000000001"
+ *     responses:
+ *       200:
+ *         description: Token metadata
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Erc1155Metadata'
+ *       400:
+ *         description: Bad request - invalid token ID
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: No metadata is hosted for this token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get("/:id", async (req, res) => {
+  try {
+    const tokenId = parseMetadataId(req.params.id);
+    if (tokenId === null) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: "Invalid token ID",
+          details:
+            "Use the token ID as 64 hex characters (ERC-1155 {id}) or as a decimal number",
+          code: "INVALID_INPUT",
+          timestamp: new Date().toISOString(),
+          endpoint: "/api/metadata/:id",
+        },
+      });
+    }
+
+    const doc = await TokenMetadata.findOne({ tokenId }).lean();
+    if (!doc) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: "Token metadata not found",
+          details: `No metadata is hosted for token ${tokenId}`,
+          code: "NOT_FOUND",
+          timestamp: new Date().toISOString(),
+          endpoint: "/api/metadata/:id",
+        },
+      });
+    }
+
+    res.set("Cache-Control", "public, max-age=300");
+    res.json(toErc1155Metadata(doc));
+  } catch (error) {
+    console.error("Error in /api/metadata/:id:", error.message);
+    sendErrorResponse(res, error, {
+      message: "Failed to fetch token metadata",
+      endpoint: "/api/metadata/:id",
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/metadata/{id}:
+ *   put:
+ *     summary: Set Token Metadata
+ *     description: |
+ *       Creates or replaces the hosted metadata of an existing token. The change is served at once to
+ *       clients that resolve the token's URI through this API. Tokens created with an external tokenURI
+ *       keep pointing to it.
+ *     tags: [Token]
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: Decimal token ID
+ *         schema:
+ *           type: string
+ *           example: "1"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TokenMetadataInput'
+ *     responses:
+ *       200:
+ *         description: Metadata stored
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     tokenId:
+ *                       type: string
+ *                       example: "1"
+ *                     metadataUrl:
+ *                       type: string
+ *                     tokenURI:
+ *                       type: string
+ *                       description: The URI currently stored on chain for the token
+ *                     metadata:
+ *                       $ref: '#/components/schemas/Erc1155Metadata'
+ *                 message:
+ *                   type: string
+ *                   example: "Token metadata stored successfully"
+ *       400:
+ *         description: Bad request - invalid token ID or metadata
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       404:
+ *         description: Token does not exist
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.put("/:id", async (req, res) => {
+  try {
+    const tokenId = req.params.id;
+    if (!/^\d+$/.test(tokenId)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: "Invalid token ID",
+          details: "Token ID must be a decimal number",
+          code: "INVALID_INPUT",
+          timestamp: new Date().toISOString(),
+          endpoint: "/api/metadata/:id",
+        },
+      });
+    }
+
+    const metadataErrors = validateTokenMetadata(req.body);
+    if (metadataErrors) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: "Invalid token metadata",
+          details: metadataErrors,
+          code: "INVALID_INPUT",
+          timestamp: new Date().toISOString(),
+          endpoint: "/api/metadata/:id",
+        },
+      });
+    }
+
+    let contract;
+    try {
+      contract = getReadContract();
+    } catch (error) {
+      await initializeContract();
+      contract = getReadContract();
+    }
+
+    const landData = await contract.getLandInfo(tokenId);
+    if (landData.totalSupply === 0n) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: "Token not found",
+          details: `Token ${tokenId} has not been created`,
+          code: "NOT_FOUND",
+          timestamp: new Date().toISOString(),
+          endpoint: "/api/metadata/:id",
+        },
+      });
+    }
+
+    const doc = await setTokenMetadata(tokenId, req.body, {
+      blockInfo: landData.blockInfo,
+      parcelInfo: landData.parcelInfo,
+      createdBy: req.principal?.id ?? null,
+    });
+
+    res.json({
+      success: true,
+      data: {
+        tokenId,
+        metadataUrl: metadataUrl(tokenId),
+        tokenURI: landData.blockParcelTokenURI,
+        metadata: toErc1155Metadata(doc),
+      },
+      message: "Token metadata stored successfully",
+    });
+  } catch (error) {
+    console.error("Error in PUT /api/metadata/:id:", error.message);
+    sendErrorResponse(res, error, {
+      message: "Failed to store token metadata",
+      endpoint: "/api/metadata/:id",
+    });
+  }
+});
+
+module.exports = router;
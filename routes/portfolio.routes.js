@@ -0,0 +1,199 @@
+const express = require("express");
+const TransferRequest = require("../models/transferRequest.model");
+const {
+  initializeContract,
+  getReadContract,
+} = require("../utils/contractInstance");
+const { sendErrorResponse } = require("../utils/contractErrors");
+const { formatTransferRequest } = require("../utils/transferProjection");
+const { getPortfolio } = require("../utils/plotQueries");
+const { requireAuth } = require("../utils/auth");
+const router = express.Router();
+
+// Read-only routes: any authenticated role may call them
+router.use(requireAuth);
+
+/**
+ * @swagger
+ * /api/portfolio/{address}:
+ *   get:
+ *     summary: Get Address Portfolio
+ *     description: |
+ *       Walks every plot from `getListOfTotalPlots()` and returns the ones where the address holds shares
+ *       or parcel tokens: per-plot parcels with shares and raw ERC-1155 balances, the plot-level ownership
+ *       percentage, and open (not executed) transfer requests the address sends or receives.
+ *
+ *       Callers signed in with the `owner` role can only read their own portfolio.
+ *     tags: [Portfolio]
+ *     parameters:
+ *       - name: address
+ *         in: path
+ *         required: true
+ *         description: Holder address
+ *         schema:
+ *           $ref: '#/components/schemas/EthereumAddress'
+ *     responses:
+ *       200:
+ *         description: Portfolio retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     address:
+ *                       type: string
+ *                       example: "0x742d35cc6634c0532925a3b8d2de0f87b7b82fd0"
+ *                     totalPlots:
+ *                       type: number
+ *                       description: Number of plots checked
+ *                       example: 5
+ *                     plots:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           plotId:
+ *                             type: string
+ *                             example: "1"
+ *                           plotAccount:
+ *                             $ref: '#/components/schemas/EthereumAddress'
+ *                           ownershipPercentage:
+ *                             type: string
+ *                             description: Plot-level ownership in basis points
+ *                             example: "2500"
+ *                           ownershipPercent:
+ *                             type: string
+ *                             example: "25.00%"
+ *                           parcels:
+ *                             type: array
+ *                             items:
+ *                               type: object
+ *                               properties:
+ *                                 parcelId:
+ *                                   type: string
+ *                                   example: "101"
+ *                                 shares:
+ *                                   type: string
+ *                                   example: "250"
+ *                                 balance:
+ *                                   type: string
+ *                                   description: Raw ERC-1155 balance of the parcel token
+ *                                   example: "0"
+ *                           openTransfers:
+ *                             type: array
+ *                             items:
+ *                               type: object
+ *                     openTransfers:
+ *                       type: array
+ *                       description: Every open transfer request the address sends or receives
+ *                       items:
+ *                         type: object
+ *                 message:
+ *                   type: string
+ *                   example: "Portfolio retrieved successfully"
+ *       400:
+ *         description: Bad request - invalid address
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Owners may only read their own portfolio
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get("/:address", async (req, res) => {
+  try {
+    let contract;
+    try {
+      contract = getReadContract();
+    } catch (error) {
+      await initializeContract();
+      contract = getReadContract();
+    }
+
+    const { address } = req.params;
+
+    if (!/^0x[a-fA-F0-9]{40}$/.test(address)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: "Invalid address format",
+          details:
+            "Address must be a valid 42-character hex string starting with 0x",
+          code: "INVALID_INPUT",
+          timestamp: new Date().toISOString(),
+          endpoint: "/api/portfolio/:address",
+        },
+      });
+    }
+
+    const addressLower = address.toLowerCase();
+    if (
+      req.principal?.role === "owner" &&
+      req.principal.address !== addressLower
+    ) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          message: "Owners may only read their own portfolio",
+          details: `Signed in as ${req.principal.address}`,
+          code: "FORBIDDEN",
+          timestamp: new Date().toISOString(),
+          endpoint: "/api/portfolio/:address",
+        },
+      });
+    }
+
+    const [portfolio, openRequests] = await Promise.all([
+      getPortfolio(contract, address),
+      TransferRequest.find({
+        status: { $ne: "executed" },
+        $or: [{ from: addressLower }, { to: addressLower }],
+      })
+        .sort({ requestId: 1 })
+        .lean(),
+    ]);
+
+    const openTransfers = openRequests.map(formatTransferRequest);
+    const plots = portfolio.plots.map((plot) => ({
+      ...plot,
+      openTransfers: openTransfers.filter(
+        (request) => request.plotId === plot.plotId
+      ),
+    }));
+
+    res.json({
+      success: true,
+      data: {
+        address: addressLower,
+        totalPlots: portfolio.totalPlots,
+        plots,
+        openTransfers,
+      },
+      message: "Portfolio retrieved successfully",
+    });
+  } catch (error) {
+    console.error("Error in /api/portfolio/:address:", error.message);
+    sendErrorResponse(res, error, {
+      message: "Failed to fetch portfolio",
+      endpoint: "/api/portfolio/:address",
+    });
+  }
+});
+
+module.exports = router;
@@ -3,8 +3,81 @@ const {
   initializeContract,
   getContract,
 } = require("../utils/contractInstance");
+const {
+  isAsyncRequest,
+  waitForReceipt,
+  createJob,
+  jobAcceptedResponse,
+} = require("../utils/jobTracker");
+const { sendErrorResponse } = require("../utils/contractErrors");
+const { parseReceiptEvents } = require("../utils/receiptEvents");
+const {
+  isDryRunRequest,
+  simulateTransaction,
+  dryRunResponse,
+} = require("../utils/txSimulator");
+const { requireRole, APPROVER_ROLE_IDS } = require("../utils/auth");
+const {
+  verifyApprovalSignature,
+  consumeApprovalSignature,
+  releaseApprovalSignature,
+} = require("../utils/approvalSignatures");
+const { auditWrite } = require("../utils/auditLog");
+const { idempotent } = require("../utils/idempotency");
+const {
+  validateTokenMetadata,
+  metadataUriTemplate,
+  metadataUrl,
+  createMetadataDraft,
+  discardMetadataDraft,
+  setDraftTransaction,
+  linkMetadataDraft,
+} = require("../utils/tokenMetadata");
 const router = express.Router();
 
+// Roles allowed to call each setter (admins may call every route). Every
+// setter is signed by the server wallet, so plot owners are not listed:
+// they sign their own transfer requests through /api/tx.
+router.post("/set-plot-registry", requireRole("admin"));
+router.post("/set-plot-ownership", requireRole("admin"));
+router.post("/create-token", requireRole("land-authority"));
+router.post("/request-plot-transfer", requireRole("admin"));
+router.post("/request-parcel-transfer", requireRole("admin"));
+router.post(
+  "/approve-transfer",
+  requireRole("land-authority", "bank", "lawyer")
+);
+router.post("/finalize-parcel-transfer", requireRole("land-authority"));
+router.post("/finalize-plot-transfer", requireRole("land-authority"));
+router.post("/plot-initiate", requireRole("land-authority"));
+router.post("/plot-finalize", requireRole("land-authority"));
+router.post("/set-treasury-wallet", requireRole("admin"));
+router.post("/set-approval-for-all", requireRole("admin"));
+router.post("/safe-transfer", requireRole("admin"));
+router.post("/safe-batch-transfer", requireRole("admin"));
+
+// Retries with the same Idempotency-Key get the first response back
+router.use(idempotent);
+
+// Record every write in the audit log, with the contract function it calls
+router.post("/set-plot-registry", auditWrite("setPlotRegistryContract"));
+router.post("/set-plot-ownership", auditWrite("setplotOwnershipContract"));
+router.post("/create-token", auditWrite("createBlockParcelToken"));
+router.post(
+  "/request-plot-transfer",
+  auditWrite("requestForWholePlotTransfer")
+);
+router.post("/request-parcel-transfer", auditWrite("requestForParcelTransfer"));
+router.post("/approve-transfer", auditWrite("delegateApproveTransfer"));
+router.post("/finalize-parcel-transfer", auditWrite("finalizeParcelTransfer"));
+router.post("/finalize-plot-transfer", auditWrite("finalizePlotTransfer"));
+router.post("/plot-initiate", auditWrite("plotInitiate"));
+router.post("/plot-finalize", auditWrite("plotFinalize"));
+router.post("/set-treasury-wallet", auditWrite("setTreasuryWalletAddress"));
+router.post("/set-approval-for-all", auditWrite("setApprovalForAll"));
+router.post("/safe-transfer", auditWrite("safeTransferFrom"));
+router.post("/safe-batch-transfer", auditWrite("safeBatchTransferFrom"));
+
 /**
  * @swagger
  * /api/setter/set-plot-registry:
@@ -12,6 +85,10 @@ const router = express.Router();
  *     summary: Set Plot Registry Contract Address
  *     description: Sets the address of the plot registry contract in the smart contract
  *     tags: [Admin]
+ *     parameters:
+ *       - $ref: '#/components/parameters/AsyncMode'
+ *       - $ref: '#/components/parameters/DryRun'
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -70,6 +147,12 @@ const router = express.Router();
  *                 message:
  *                   type: string
  *                   example: "Plot registry contract address set successfully"
+ *       202:
+ *         description: Transaction submitted in async mode (`?async=true`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/JobAccepted'
  *       400:
  *         description: Bad request - invalid input
  *         content:
@@ -167,16 +250,33 @@ router.post("/set-plot-registry", async (req, res) => {
       });
     }
 
+    if (isDryRunRequest(req)) {
+      const simulation = await simulateTransaction(
+        contract,
+        "setPlotRegistryContract",
+        [plotRegistryAddress]
+      );
+      return res.json(dryRunResponse(simulation));
+    }
     // Execute the blockchain transaction
     const tx = await contract.setPlotRegistryContract(plotRegistryAddress);
+    if (isAsyncRequest(req)) {
+      const job = await createJob(tx, {
+        endpoint: "/api/setter/set-plot-registry",
+        functionName: "setPlotRegistryContract",
+        requestBody: req.body,
+        req,
+      });
+      return res.status(202).json(jobAcceptedResponse(job));
+    }
     // Wait for transaction confirmation
-    const receipt = await tx.wait();
+    const receipt = await waitForReceipt(tx);
     // Prepare success response with transaction details
     res.json({
       success: true,
       data: {
         transaction: {
-          hash: tx.hash,
+          hash: receipt.hash,
           from: tx.from,
           to: tx.to,
           plotRegistryAddress,
@@ -189,29 +289,9 @@ router.post("/set-plot-registry", async (req, res) => {
     });
   } catch (error) {
     console.error("Error in /api/setter/set-plot-registry:", error.message);
-    let statusCode = 500;
-    let errorMessage = "Failed to set plot registry contract";
-
-    if (error.code === "INSUFFICIENT_FUNDS") {
-      statusCode = 400;
-      errorMessage = "Insufficient funds for transaction";
-    } else if (error.code === "NONCE_EXPIRED") {
-      statusCode = 400;
-      errorMessage = "Transaction nonce expired";
-    } else if (error.code === "CALL_EXCEPTION") {
-      statusCode = 400;
-      errorMessage = "Contract call failed: " + (error.reason || error.message);
-    }
-
-    res.status(statusCode).json({
-      success: false,
-      error: {
-        message: errorMessage,
-        details: error.message,
-        code: error.code,
-        timestamp: new Date().toISOString(),
-        endpoint: "/api/setter/set-plot-registry",
-      },
+    sendErrorResponse(res, error, {
+      message: "Failed to set plot registry contract",
+      endpoint: "/api/setter/set-plot-registry",
     });
   }
 });
@@ -223,6 +303,10 @@ router.post("/set-plot-registry", async (req, res) => {
  *     summary: Set Plot Ownership Contract Address
  *     description: Sets the address of the plot ownership contract in the smart contract
  *     tags: [Admin]
+ *     parameters:
+ *       - $ref: '#/components/parameters/AsyncMode'
+ *       - $ref: '#/components/parameters/DryRun'
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -281,6 +365,12 @@ router.post("/set-plot-registry", async (req, res) => {
  *                 message:
  *                   type: string
  *                   example: "Plot ownership contract address set successfully"
+ *       202:
+ *         description: Transaction submitted in async mode (`?async=true`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/JobAccepted'
  *       400:
  *         description: Bad request - invalid input
  *         content:
@@ -373,14 +463,31 @@ router.post("/set-plot-ownership", async (req, res) => {
       });
     }
 
+    if (isDryRunRequest(req)) {
+      const simulation = await simulateTransaction(
+        contract,
+        "setplotOwnershipContract",
+        [ownershipAddress]
+      );
+      return res.json(dryRunResponse(simulation));
+    }
     const tx = await contract.setplotOwnershipContract(ownershipAddress);
-    const receipt = await tx.wait();
+    if (isAsyncRequest(req)) {
+      const job = await createJob(tx, {
+        endpoint: "/api/setter/set-plot-ownership",
+        functionName: "setplotOwnershipContract",
+        requestBody: req.body,
+        req,
+      });
+      return res.status(202).json(jobAcceptedResponse(job));
+    }
+    const receipt = await waitForReceipt(tx);
 
     res.json({
       success: true,
       data: {
         transaction: {
-          hash: tx.hash,
+          hash: receipt.hash,
           ownershipAddress,
           gasUsed: receipt.gasUsed?.toString(),
           status: receipt.status,
@@ -391,14 +498,9 @@ router.post("/set-plot-ownership", async (req, res) => {
     });
   } catch (error) {
     console.error("Error in /api/setter/set-plot-ownership:", error.message);
-    res.status(500).json({
-      success: false,
-      error: {
-        message: "Failed to set plot ownership contract",
-        details: error.message,
-        timestamp: new Date().toISOString(),
-        endpoint: "/api/setter/set-plot-ownership",
-      },
+    sendErrorResponse(res, error, {
+      message: "Failed to set plot ownership contract",
+      endpoint: "/api/setter/set-plot-ownership",
     });
   }
 });
@@ -408,8 +510,18 @@ router.post("/set-plot-ownership", async (req, res) => {
  * /api/setter/create-token:
  *   post:
  *     summary: Create Block Parcel Token
- *     description: Creates a new land token with block and parcel information
+ *     description: |
+ *       Creates a new land token with block and parcel information.
+ *
+ *       Instead of a `tokenURI` hosted elsewhere, the caller can send a `metadata` payload. It is validated
+ *       against the token metadata schema and hosted by this API, and the token's URI is set to
+ *       `<METADATA_BASE_URL>/api/metadata/{id}`. `blockInfo` and `parcelInfo` then default to
+ *       `metadata.block` and `metadata.parcel`.
  *     tags: [Token]
+ *     parameters:
+ *       - $ref: '#/components/parameters/AsyncMode'
+ *       - $ref: '#/components/parameters/DryRun'
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -417,9 +529,6 @@ router.post("/set-plot-ownership", async (req, res) => {
  *           schema:
  *             type: object
  *             required:
- *               - blockInfo
- *               - parcelInfo
- *               - tokenURI
  *               - totalSupply
  *             properties:
  *               blockInfo:
@@ -432,17 +541,38 @@ router.post("/set-plot-ownership", async (req, res) => {
  *                 example: "Parcel P1"
  *               tokenURI:
  *                 type: string
- *                 description: URI pointing to token metadata
+ *                 description: URI pointing to token metadata. Required unless `metadata` is given
  *                 example: "https://example.com/token/metadata/1"
+ *               metadata:
+ *                 $ref: '#/components/schemas/TokenMetadataInput'
  *               totalSupply:
  *                 type: string
  *                 description: Total supply of the token
  *                 example: "1000"
- *           example:
- *             blockInfo: "Block A1"
- *             parcelInfo: "Parcel P1"
- *             tokenURI: "https://example.com/token/metadata/1"
- *             totalSupply: "1000"
+ *           examples:
+ *             externalUri:
+ *               summary: Metadata hosted elsewhere
+ *               value:
+ *                 blockInfo: "Block A1"
+ *                 parcelInfo: "Parcel P1"
+ *                 tokenURI: "https://example.com/token/metadata/1"
+ *                 totalSupply: "1000"
+ *             hostedMetadata:
+ *               summary: Metadata hosted by this API
+ *               value:
+ *                 totalSupply: "1000"
+ *                 metadata:
+ *                   block: "Block A1"
+ *                   parcel: "Parcel P1"
+ *                   surveyNumber: "SY-2024-0117"
+ *                   area:
+ *                     value: 1250.5
+ *                     unit: "sqm"
+ *                   images:
+ *                     - url: "ipfs://bafybeigdyrzt5sfp7udm7hu76uh7y26nf3efuylqabf3oclgtqy55fbzdi"
+ *                   documents:
+ *                     - name: "Survey plan"
+ *                       url: "https://files.example.com/survey-0117.pdf"
  *     responses:
  *       200:
  *         description: Block parcel token created successfully
@@ -469,6 +599,10 @@ router.post("/set-plot-ownership", async (req, res) => {
  *                     tokenURI:
  *                       type: string
  *                       example: "https://example.com/token/metadata/1"
+ *                     metadataUrl:
+ *                       type: string
+ *                       description: Only when `metadata` was sent. The token's resolved metadata URL
+ *                       example: "https://api.example.com/api/metadata/0000000000000000000000000000000000000000000000000000000000000001"
  *                     totalSupply:
  *                       type: string
  *                       example: "1000"
@@ -496,6 +630,12 @@ router.post("/set-plot-ownership", async (req, res) => {
  *                 message:
  *                   type: string
  *                   example: "Block parcel token created successfully"
+ *       202:
+ *         description: Transaction submitted in async mode (`?async=true`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/JobAccepted'
  *       400:
  *         description: Bad request - missing required fields
  *         content:
@@ -563,7 +703,41 @@ router.post("/create-token", async (req, res) => {
       contract = getContract();
     }
 
-    const { blockInfo, parcelInfo, tokenURI, totalSupply } = req.body;
+    const { metadata, totalSupply } = req.body;
+    let { blockInfo, parcelInfo, tokenURI } = req.body;
+
+    // With a metadata payload the backend hosts the token's metadata
+    if (metadata !== undefined) {
+      if (tokenURI) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: "Provide either tokenURI or metadata",
+            details:
+              "tokenURI is generated when the backend hosts the metadata",
+            code: "INVALID_INPUT",
+            timestamp: new Date().toISOString(),
+            endpoint: "/api/setter/create-token",
+          },
+        });
+      }
+      const metadataErrors = validateTokenMetadata(metadata);
+      if (metadataErrors) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: "Invalid token metadata",
+            details: metadataErrors,
+            code: "INVALID_INPUT",
+            timestamp: new Date().toISOString(),
+            endpoint: "/api/setter/create-token",
+          },
+        });
+      }
+      blockInfo = blockInfo || metadata.block;
+      parcelInfo = parcelInfo || metadata.parcel;
+      tokenURI = metadataUriTemplate();
+    }
 
     // Validate required fields
     if (!blockInfo || !parcelInfo || !tokenURI || !totalSupply) {
@@ -572,20 +746,55 @@ router.post("/create-token", async (req, res) => {
         error: {
           message: "All fields are required",
           details:
-            "Please provide blockInfo, parcelInfo, tokenURI, and totalSupply",
+            "Please provide blockInfo, parcelInfo, tokenURI (or metadata), and totalSupply",
           timestamp: new Date().toISOString(),
           endpoint: "/api/setter/create-token",
         },
       });
     }
 
-    const tx = await contract.createBlockParcelToken(
-      blockInfo,
-      parcelInfo,
-      tokenURI,
-      totalSupply
-    );
-    const receipt = await tx.wait();
+    if (isDryRunRequest(req)) {
+      const simulation = await simulateTransaction(
+        contract,
+        "createBlockParcelToken",
+        [blockInfo, parcelInfo, tokenURI, totalSupply]
+      );
+      return res.json(dryRunResponse(simulation));
+    }
+
+    // Store the metadata first so it can be linked to whatever token ID the
+    // transaction produces, even if this request does not wait for it
+    const draft = metadata
+      ? await createMetadataDraft(metadata, {
+          blockInfo,
+          parcelInfo,
+          createdBy: req.principal?.id ?? null,
+        })
+      : null;
+    let tx;
+    try {
+      tx = await contract.createBlockParcelToken(
+        blockInfo,
+        parcelInfo,
+        tokenURI,
+        totalSupply
+      );
+    } catch (error) {
+      if (draft) await discardMetadataDraft(draft._id);
+      throw error;
+    }
+    if (draft) await setDraftTransaction(draft._id, tx.hash);
+
+    if (isAsyncRequest(req)) {
+      const job = await createJob(tx, {
+        endpoint: "/api/setter/create-token",
+        functionName: "createBlockParcelToken",
+        requestBody: req.body,
+        req,
+      });
+      return res.status(202).json(jobAcceptedResponse(job));
+    }
+    const receipt = await waitForReceipt(tx);
 
     // Parse events to get token ID
     let tokenId = null;
@@ -600,6 +809,7 @@ router.post("/create-token", async (req, res) => {
         // Skip unparseable logs
       }
     }
+    if (draft && tokenId !== null) await linkMetadataDraft(draft._id, tokenId);
 
     res.json({
       success: true,
@@ -608,9 +818,12 @@ router.post("/create-token", async (req, res) => {
         blockInfo,
         parcelInfo,
         tokenURI,
+        ...(draft && {
+          metadataUrl: tokenId !== null ? metadataUrl(tokenId) : null,
+        }),
         totalSupply: totalSupply.toString(),
         transaction: {
-          hash: tx.hash,
+          hash: receipt.hash,
           gasUsed: receipt.gasUsed?.toString(),
           status: receipt.status,
         },
@@ -620,14 +833,9 @@ router.post("/create-token", async (req, res) => {
     });
   } catch (error) {
     console.error("Error in /api/setter/create-token:", error.message);
-    res.status(500).json({
-      success: false,
-      error: {
-        message: "Failed to create block parcel token",
-        details: error.message,
-        timestamp: new Date().toISOString(),
-        endpoint: "/api/setter/create-token",
-      },
+    sendErrorResponse(res, error, {
+      message: "Failed to create block parcel token",
+      endpoint: "/api/setter/create-token",
     });
   }
 });
@@ -639,6 +847,10 @@ router.post("/create-token", async (req, res) => {
  *     summary: Request Whole Plot Transfer
  *     description: Creates a request to transfer an entire plot from one address to another
  *     tags: [Transfer]
+ *     parameters:
+ *       - $ref: '#/components/parameters/AsyncMode'
+ *       - $ref: '#/components/parameters/DryRun'
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -709,6 +921,12 @@ router.post("/create-token", async (req, res) => {
  *                 message:
  *                   type: string
  *                   example: "Plot transfer request created successfully"
+ *       202:
+ *         description: Transaction submitted in async mode (`?async=true`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/JobAccepted'
  *       400:
  *         description: Bad request - invalid input
  *         content:
@@ -801,8 +1019,25 @@ router.post("/request-plot-transfer", async (req, res) => {
       });
     }
 
+    if (isDryRunRequest(req)) {
+      const simulation = await simulateTransaction(
+        contract,
+        "requestForWholePlotTransfer",
+        [plotId, to]
+      );
+      return res.json(dryRunResponse(simulation));
+    }
     const tx = await contract.requestForWholePlotTransfer(plotId, to);
-    const receipt = await tx.wait();
+    if (isAsyncRequest(req)) {
+      const job = await createJob(tx, {
+        endpoint: "/api/setter/request-plot-transfer",
+        functionName: "requestForWholePlotTransfer",
+        requestBody: req.body,
+        req,
+      });
+      return res.status(202).json(jobAcceptedResponse(job));
+    }
+    const receipt = await waitForReceipt(tx);
 
     // Parse events to get request ID
     let requestId = null;
@@ -825,7 +1060,7 @@ router.post("/request-plot-transfer", async (req, res) => {
         plotId,
         to,
         transaction: {
-          hash: tx.hash,
+          hash: receipt.hash,
           gasUsed: receipt.gasUsed?.toString(),
           status: receipt.status,
         },
@@ -835,14 +1070,9 @@ router.post("/request-plot-transfer", async (req, res) => {
     });
   } catch (error) {
     console.error("Error in /api/setter/request-plot-transfer:", error.message);
-    res.status(500).json({
-      success: false,
-      error: {
-        message: "Failed to request plot transfer",
-        details: error.message,
-        timestamp: new Date().toISOString(),
-        endpoint: "/api/setter/request-plot-transfer",
-      },
+    sendErrorResponse(res, error, {
+      message: "Failed to request plot transfer",
+      endpoint: "/api/setter/request-plot-transfer",
     });
   }
 });
@@ -854,6 +1084,10 @@ router.post("/request-plot-transfer", async (req, res) => {
  *     summary: Request Parcel Transfer
  *     description: Creates a request to transfer a parcel (or parcels) from one address to another, optionally as a plot transfer.
  *     tags: [Transfer]
+ *     parameters:
+ *       - $ref: '#/components/parameters/AsyncMode'
+ *       - $ref: '#/components/parameters/DryRun'
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -945,6 +1179,12 @@ router.post("/request-plot-transfer", async (req, res) => {
  *                 message:
  *                   type: string
  *                   example: "Parcel transfer request created successfully"
+ *       202:
+ *         description: Transaction submitted in async mode (`?async=true`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/JobAccepted'
  *       400:
  *         description: Bad request - invalid input
  *         content:
@@ -1045,6 +1285,14 @@ router.post("/request-parcel-transfer", async (req, res) => {
       });
     }
 
+    if (isDryRunRequest(req)) {
+      const simulation = await simulateTransaction(
+        contract,
+        "requestForParcelTransfer",
+        [_parcelId, parcelAmount, to, _plotId, isPlotTransfer]
+      );
+      return res.json(dryRunResponse(simulation));
+    }
     const tx = await contract.requestForParcelTransfer(
       _parcelId,
       parcelAmount,
@@ -1052,7 +1300,16 @@ router.post("/request-parcel-transfer", async (req, res) => {
       _plotId,
       isPlotTransfer
     );
-    const receipt = await tx.wait();
+    if (isAsyncRequest(req)) {
+      const job = await createJob(tx, {
+        endpoint: "/api/setter/request-parcel-transfer",
+        functionName: "requestForParcelTransfer",
+        requestBody: req.body,
+        req,
+      });
+      return res.status(202).json(jobAcceptedResponse(job));
+    }
+    const receipt = await waitForReceipt(tx);
 
     // Parse events to get request ID
     let requestId = null;
@@ -1078,7 +1335,7 @@ router.post("/request-parcel-transfer", async (req, res) => {
         _plotId,
         isPlotTransfer,
         transaction: {
-          hash: tx.hash,
+          hash: receipt.hash,
           gasUsed: receipt.gasUsed?.toString(),
           status: receipt.status,
         },
@@ -1091,14 +1348,9 @@ router.post("/request-parcel-transfer", async (req, res) => {
       "Error in /api/setter/request-parcel-transfer:",
       error.message
     );
-    res.status(500).json({
-      success: false,
-      error: {
-        message: "Failed to request parcel transfer",
-        details: error.message,
-        timestamp: new Date().toISOString(),
-        endpoint: "/api/setter/request-parcel-transfer",
-      },
+    sendErrorResponse(res, error, {
+      message: "Failed to request parcel transfer",
+      endpoint: "/api/setter/request-parcel-transfer",
     });
   }
 });
@@ -1111,7 +1363,15 @@ router.post("/request-parcel-transfer", async (req, res) => {
  *     description: |
  *       Approves a transfer request by a delegated authority (Land Authority, Bank, or Lawyer).
  *       Each role has specific approval rights in the transfer process.
+ *
+ *       The approver's wallet must sign an EIP-712 `TransferApproval(uint256 requestId, uint8 role, uint256 deadline, uint256 nonce)`
+ *       (get it from `GET /api/transfers/{requestId}/approval-typed-data`). The signer must be registered for the role
+ *       in `ROLE_HOLDERS`; expired or already used signatures are rejected.
  *     tags: [Transfer]
+ *     parameters:
+ *       - $ref: '#/components/parameters/AsyncMode'
+ *       - $ref: '#/components/parameters/DryRun'
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -1122,6 +1382,9 @@ router.post("/request-parcel-transfer", async (req, res) => {
  *               - signerWallet
  *               - requestId
  *               - role
+ *               - deadline
+ *               - nonce
+ *               - signature
  *             properties:
  *               signerWallet:
  *                 type: string
@@ -1141,10 +1404,25 @@ router.post("/request-parcel-transfer", async (req, res) => {
  *                   - 2: Bank
  *                   - 3: Lawyer
  *                 example: 1
+ *               deadline:
+ *                 type: integer
+ *                 description: Unix time (seconds) after which the signature is no longer accepted
+ *                 example: 1767225600
+ *               nonce:
+ *                 type: string
+ *                 description: Single-use nonce included in the signed approval
+ *                 example: "271828182845904523536028747135266249775"
+ *               signature:
+ *                 type: string
+ *                 description: EIP-712 signature of the approval by signerWallet
+ *                 example: "0x5b1d..."
  *           example:
  *             signerWallet: "0x742d35Cc6634C0532925a3b8D2DE0f87b7b82fd0"
  *             requestId: "1"
  *             role: 1
+ *             deadline: 1767225600
+ *             nonce: "271828182845904523536028747135266249775"
+ *             signature: "0x5b1d..."
  *     responses:
  *       200:
  *         description: Transfer request approved successfully
@@ -1196,6 +1474,12 @@ router.post("/request-parcel-transfer", async (req, res) => {
  *                 message:
  *                   type: string
  *                   example: "Transfer request approved successfully by Land Authority"
+ *       202:
+ *         description: Transaction submitted in async mode (`?async=true`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/JobAccepted'
  *       400:
  *         description: Bad request - invalid input or role
  *         content:
@@ -1224,6 +1508,24 @@ router.post("/request-parcel-transfer", async (req, res) => {
  *                     endpoint:
  *                       type: string
  *                       example: "/api/setter/endpoint"
+ *       401:
+ *         description: Approval signature is invalid, expired or not made by signerWallet
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Signer is not a registered holder of the role, or the role does not match the caller
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: Approval signature was already used
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  *       500:
  *         description: Internal server error
  *         content:
@@ -1263,14 +1565,23 @@ router.post("/approve-transfer", async (req, res) => {
       contract = getContract();
     }
 
-    const { signerWallet, requestId, role } = req.body;
+    const { signerWallet, requestId, role, deadline, nonce, signature } =
+      req.body;
 
-    if (!signerWallet || !requestId || role === undefined) {
+    if (
+      !signerWallet ||
+      !requestId ||
+      role === undefined ||
+      deadline === undefined ||
+      nonce === undefined ||
+      !signature
+    ) {
       return res.status(400).json({
         success: false,
         error: {
           message: "All fields are required",
-          details: "Please provide signerWallet, requestId, and role",
+          details:
+            "Please provide signerWallet, requestId, role, deadline, nonce and signature",
           timestamp: new Date().toISOString(),
           endpoint: "/api/setter/approve-transfer",
         },
@@ -1301,13 +1612,143 @@ router.post("/approve-transfer", async (req, res) => {
       });
     }
 
-    const signerWalletLower = signerWallet.toLowerCase();
-    const tx = await contract.delegateApproveTransfer(
-      signerWalletLower,
+    if (
+      ![requestId, deadline, nonce].every((value) =>
+        /^\d+$/.test(String(value))
+      ) ||
+      !/^0x[a-fA-F0-9]+$/.test(signature)
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: "Invalid approval fields",
+          details:
+            "requestId, deadline and nonce must be non-negative integers and signature a hex string",
+          code: "INVALID_INPUT",
+          timestamp: new Date().toISOString(),
+          endpoint: "/api/setter/approve-transfer",
+        },
+      });
+    }
+
+    // The approver's wallet must have signed this exact approval (EIP-712)
+    const approval = {
       requestId,
-      role
-    );
-    const receipt = await tx.wait();
+      role: parseInt(role),
+      deadline,
+      nonce,
+      signature,
+    };
+    const verification = await verifyApprovalSignature(contract, approval);
+    const signerWalletLower = signerWallet.toLowerCase();
+    if (!verification.error && verification.signer !== signerWalletLower) {
+      verification.error = {
+        statusCode: 401,
+        code: "INVALID_SIGNATURE",
+        details: `Signature was made by ${verification.signer}, not ${signerWallet}`,
+      };
+    }
+    if (verification.error) {
+      return res.status(verification.error.statusCode).json({
+        success: false,
+        error: {
+          message: "Approval signature rejected",
+          details: verification.error.details,
+          code: verification.error.code,
+          timestamp: new Date().toISOString(),
+          endpoint: "/api/setter/approve-transfer",
+        },
+      });
+    }
+
+    // Approvers may only approve in their own role (and as their own
+    // wallet); admins may relay any role holder's signed approval
+    const { principal } = req;
+    if (
+      principal &&
+      principal.role !== "admin" &&
+      (APPROVER_ROLE_IDS[principal.role] !== parseInt(role) ||
+        (principal.address && principal.address !== signerWalletLower))
+    ) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          message: "Role does not match the authenticated principal",
+          details: `Authenticated as ${principal.role}; cannot approve as role ${role} for ${signerWallet}`,
+          code: "FORBIDDEN",
+          timestamp: new Date().toISOString(),
+          endpoint: "/api/setter/approve-transfer",
+        },
+      });
+    }
+
+    if (isDryRunRequest(req)) {
+      const simulation = await simulateTransaction(
+        contract,
+        "delegateApproveTransfer",
+        [signerWalletLower, requestId, role]
+      );
+      return res.json(dryRunResponse(simulation));
+    }
+
+    if (!(await consumeApprovalSignature(signerWalletLower, approval))) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          message: "Approval signature rejected",
+          details: "This signature was already used",
+          code: "SIGNATURE_REPLAYED",
+          timestamp: new Date().toISOString(),
+          endpoint: "/api/setter/approve-transfer",
+        },
+      });
+    }
+    // The signature is consumed before sending so a concurrent submission
+    // cannot use it too. If the approval never takes effect (failed send,
+    // revert or dropped transaction), it is released so the approver can
+    // retry it; outcomes known only later are released from the job.
+    const releaseSignature = () =>
+      releaseApprovalSignature(signerWalletLower, approval).catch((e) =>
+        console.error("Failed to release approval signature:", e.message)
+      );
+
+    let tx;
+    try {
+      tx = await contract.delegateApproveTransfer(
+        signerWalletLower,
+        requestId,
+        role
+      );
+    } catch (error) {
+      await releaseSignature();
+      throw error;
+    }
+    if (isAsyncRequest(req)) {
+      const job = await createJob(tx, {
+        endpoint: "/api/setter/approve-transfer",
+        functionName: "delegateApproveTransfer",
+        requestBody: req.body,
+        req,
+      });
+      return res.status(202).json(jobAcceptedResponse(job));
+    }
+    let receipt;
+    try {
+      receipt = await waitForReceipt(tx);
+    } catch (error) {
+      if (error.code === "CALL_EXCEPTION") {
+        await releaseSignature();
+      } else {
+        // Still unsettled (e.g. the wait timed out): keep tracking it as a
+        // job, whose outcome releases the signature if it fails
+        await createJob(tx, {
+          endpoint: "/api/setter/approve-transfer",
+          functionName: "delegateApproveTransfer",
+          requestBody: req.body,
+        });
+      }
+      throw error;
+    }
 
     const roleNames = { 1: "Land Authority", 2: "Bank", 3: "Lawyer" };
 
@@ -1319,7 +1760,7 @@ router.post("/approve-transfer", async (req, res) => {
         role: parseInt(role),
         roleName: roleNames[parseInt(role)],
         transaction: {
-          hash: tx.hash,
+          hash: receipt.hash,
           gasUsed: receipt.gasUsed?.toString(),
           status: receipt.status,
         },
@@ -1329,14 +1770,9 @@ router.post("/approve-transfer", async (req, res) => {
     });
   } catch (error) {
     console.error("Error in /api/setter/approve-transfer:", error.message);
-    res.status(500).json({
-      success: false,
-      error: {
-        message: "Failed to approve transfer",
-        details: error.message,
-        timestamp: new Date().toISOString(),
-        endpoint: "/api/setter/approve-transfer",
-      },
+    sendErrorResponse(res, error, {
+      message: "Failed to approve transfer",
+      endpoint: "/api/setter/approve-transfer",
     });
   }
 });
@@ -1348,6 +1784,10 @@ router.post("/approve-transfer", async (req, res) => {
  *     summary: Finalize Parcel Transfer
  *     description: Finalizes a parcel transfer by its request ID.
  *     tags: [Transfer]
+ *     parameters:
+ *       - $ref: '#/components/parameters/AsyncMode'
+ *       - $ref: '#/components/parameters/DryRun'
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -1395,6 +1835,12 @@ router.post("/approve-transfer", async (req, res) => {
  *                 message:
  *                   type: string
  *                   example: "Parcel transfer finalized successfully"
+ *       202:
+ *         description: Transaction submitted in async mode (`?async=true`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/JobAccepted'
  *       400:
  *         description: Bad request - invalid input
  *         content:
@@ -1474,13 +1920,30 @@ router.post("/finalize-parcel-transfer", async (req, res) => {
         },
       });
     }
+    if (isDryRunRequest(req)) {
+      const simulation = await simulateTransaction(
+        contract,
+        "finalizeParcelTransfer",
+        [requestId]
+      );
+      return res.json(dryRunResponse(simulation));
+    }
     const tx = await contract.finalizeParcelTransfer(requestId);
-    const receipt = await tx.wait();
+    if (isAsyncRequest(req)) {
+      const job = await createJob(tx, {
+        endpoint: "/api/setter/finalize-parcel-transfer",
+        functionName: "finalizeParcelTransfer",
+        requestBody: req.body,
+        req,
+      });
+      return res.status(202).json(jobAcceptedResponse(job));
+    }
+    const receipt = await waitForReceipt(tx);
     res.json({
       success: true,
       data: {
         transaction: {
-          hash: tx.hash,
+          hash: receipt.hash,
           gasUsed: receipt.gasUsed?.toString(),
           status: receipt.status,
         },
@@ -1493,15 +1956,9 @@ router.post("/finalize-parcel-transfer", async (req, res) => {
       "Error in /api/setter/finalize-parcel-transfer:",
       error.message
     );
-    res.status(500).json({
-      success: false,
-      error: {
-        message: "Failed to finalize parcel transfer",
-        details: error.message,
-        code: error.code,
-        timestamp: new Date().toISOString(),
-        endpoint: "/api/setter/finalize-parcel-transfer",
-      },
+    sendErrorResponse(res, error, {
+      message: "Failed to finalize parcel transfer",
+      endpoint: "/api/setter/finalize-parcel-transfer",
     });
   }
 });
@@ -1513,6 +1970,10 @@ router.post("/finalize-parcel-transfer", async (req, res) => {
  *     summary: Finalize Plot Transfer
  *     description: Finalizes a plot transfer by its request ID.
  *     tags: [Transfer]
+ *     parameters:
+ *       - $ref: '#/components/parameters/AsyncMode'
+ *       - $ref: '#/components/parameters/DryRun'
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -1560,6 +2021,12 @@ router.post("/finalize-parcel-transfer", async (req, res) => {
  *                 message:
  *                   type: string
  *                   example: "Plot transfer finalized successfully"
+ *       202:
+ *         description: Transaction submitted in async mode (`?async=true`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/JobAccepted'
  *       400:
  *         description: Bad request - invalid input
  *         content:
@@ -1639,13 +2106,30 @@ router.post("/finalize-plot-transfer", async (req, res) => {
         },
       });
     }
+    if (isDryRunRequest(req)) {
+      const simulation = await simulateTransaction(
+        contract,
+        "finalizePlotTransfer",
+        [requestId]
+      );
+      return res.json(dryRunResponse(simulation));
+    }
     const tx = await contract.finalizePlotTransfer(requestId);
-    const receipt = await tx.wait();
+    if (isAsyncRequest(req)) {
+      const job = await createJob(tx, {
+        endpoint: "/api/setter/finalize-plot-transfer",
+        functionName: "finalizePlotTransfer",
+        requestBody: req.body,
+        req,
+      });
+      return res.status(202).json(jobAcceptedResponse(job));
+    }
+    const receipt = await waitForReceipt(tx);
     res.json({
       success: true,
       data: {
         transaction: {
-          hash: tx.hash,
+          hash: receipt.hash,
           gasUsed: receipt.gasUsed?.toString(),
           status: receipt.status,
         },
@@ -1658,15 +2142,9 @@ router.post("/finalize-plot-transfer", async (req, res) => {
       "Error in /api/setter/finalize-plot-transfer:",
       error.message
     );
-    res.status(500).json({
-      success: false,
-      error: {
-        message: "Failed to finalize plot transfer",
-        details: error.message,
-        code: error.code,
-        timestamp: new Date().toISOString(),
-        endpoint: "/api/setter/finalize-plot-transfer",
-      },
+    sendErrorResponse(res, error, {
+      message: "Failed to finalize plot transfer",
+      endpoint: "/api/setter/finalize-plot-transfer",
     });
   }
 });
@@ -1678,6 +2156,10 @@ router.post("/finalize-plot-transfer", async (req, res) => {
  *     summary: Initiate a new Plot
  *     description: Initiates a new plot with the given parcel IDs and parcel amounts.
  *     tags: [Plot]
+ *     parameters:
+ *       - $ref: '#/components/parameters/AsyncMode'
+ *       - $ref: '#/components/parameters/DryRun'
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -1735,6 +2217,12 @@ router.post("/finalize-plot-transfer", async (req, res) => {
  *                 message:
  *                   type: string
  *                   example: "Plot initiated successfully"
+ *       202:
+ *         description: Transaction submitted in async mode (`?async=true`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/JobAccepted'
  *       400:
  *         description: Bad request - invalid input
  *         content:
@@ -1820,8 +2308,24 @@ router.post("/plot-initiate", async (req, res) => {
         },
       });
     }
+    if (isDryRunRequest(req)) {
+      const simulation = await simulateTransaction(contract, "plotInitiate", [
+        parcelIds,
+        parcelAmounts,
+      ]);
+      return res.json(dryRunResponse(simulation));
+    }
     const tx = await contract.plotInitiate(parcelIds, parcelAmounts);
-    const receipt = await tx.wait();
+    if (isAsyncRequest(req)) {
+      const job = await createJob(tx, {
+        endpoint: "/api/setter/plot-initiate",
+        functionName: "plotInitiate",
+        requestBody: req.body,
+        req,
+      });
+      return res.status(202).json(jobAcceptedResponse(job));
+    }
+    const receipt = await waitForReceipt(tx);
     // Try to extract plotId from events if available
     let plotId = null;
     if (receipt && receipt.logs) {
@@ -1839,7 +2343,7 @@ router.post("/plot-initiate", async (req, res) => {
       success: true,
       data: {
         transaction: {
-          hash: tx.hash,
+          hash: receipt.hash,
           gasUsed: receipt.gasUsed?.toString(),
           status: receipt.status,
         },
@@ -1849,15 +2353,9 @@ router.post("/plot-initiate", async (req, res) => {
     });
   } catch (error) {
     console.error("Error in /api/setter/plot-initiate:", error.message);
-    res.status(500).json({
-      success: false,
-      error: {
-        message: "Failed to initiate plot",
-        details: error.message,
-        code: error.code,
-        timestamp: new Date().toISOString(),
-        endpoint: "/api/setter/plot-initiate",
-      },
+    sendErrorResponse(res, error, {
+      message: "Failed to initiate plot",
+      endpoint: "/api/setter/plot-initiate",
     });
   }
 });
@@ -1869,6 +2367,10 @@ router.post("/plot-initiate", async (req, res) => {
  *     summary: Finalize a Plot
  *     description: Finalizes a plot by its plot ID.
  *     tags: [Plot]
+ *     parameters:
+ *       - $ref: '#/components/parameters/AsyncMode'
+ *       - $ref: '#/components/parameters/DryRun'
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -1916,6 +2418,12 @@ router.post("/plot-initiate", async (req, res) => {
  *                 message:
  *                   type: string
  *                   example: "Plot finalized successfully"
+ *       202:
+ *         description: Transaction submitted in async mode (`?async=true`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/JobAccepted'
  *       400:
  *         description: Bad request - invalid input
  *         content:
@@ -1995,13 +2503,28 @@ router.post("/plot-finalize", async (req, res) => {
         },
       });
     }
+    if (isDryRunRequest(req)) {
+      const simulation = await simulateTransaction(contract, "plotFinalize", [
+        plotId,
+      ]);
+      return res.json(dryRunResponse(simulation));
+    }
     const tx = await contract.plotFinalize(plotId);
-    const receipt = await tx.wait();
+    if (isAsyncRequest(req)) {
+      const job = await createJob(tx, {
+        endpoint: "/api/setter/plot-finalize",
+        functionName: "plotFinalize",
+        requestBody: req.body,
+        req,
+      });
+      return res.status(202).json(jobAcceptedResponse(job));
+    }
+    const receipt = await waitForReceipt(tx);
     res.json({
       success: true,
       data: {
         transaction: {
-          hash: tx.hash,
+          hash: receipt.hash,
           gasUsed: receipt.gasUsed?.toString(),
           status: receipt.status,
         },
@@ -2011,15 +2534,853 @@ router.post("/plot-finalize", async (req, res) => {
     });
   } catch (error) {
     console.error("Error in /api/setter/plot-finalize:", error.message);
-    res.status(500).json({
-      success: false,
-      error: {
-        message: "Failed to finalize plot",
-        details: error.message,
-        code: error.code,
-        timestamp: new Date().toISOString(),
-        endpoint: "/api/setter/plot-finalize",
-      },
+    sendErrorResponse(res, error, {
+      message: "Failed to finalize plot",
+      endpoint: "/api/setter/plot-finalize",
+    });
+  }
+});
+
+// Shared validation for the admin token routes
+const ADDRESS_PATTERN = /^0x[a-fA-F0-9]{40}$/;
+const UINT_PATTERN = /^\d+$/;
+const BYTES_PATTERN = /^0x([a-fA-F0-9]{2})*$/;
+
+function invalidAdminInput(res, endpoint, message, details) {
+  return res.status(400).json({
+    success: false,
+    error: {
+      message,
+      details,
+      code: "INVALID_INPUT",
+      timestamp: new Date().toISOString(),
+      endpoint,
+    },
+  });
+}
+
+// Decoded events of `names` from a receipt, for the response body
+function receiptEvents(contract, receipt, names) {
+  return parseReceiptEvents(contract, receipt).filter((event) =>
+    names.includes(event.name)
+  );
+}
+
+/**
+ * @swagger
+ * /api/setter/set-treasury-wallet:
+ *   post:
+ *     summary: Set Treasury Wallet Address
+ *     description: |
+ *       Sets the treasury wallet address (`setTreasuryWalletAddress`). Read it back with `GET /api/getter/get-treasury`.
+ *     tags: [Admin]
+ *     parameters:
+ *       - $ref: '#/components/parameters/AsyncMode'
+ *       - $ref: '#/components/parameters/DryRun'
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - treasuryWalletAddress
+ *             properties:
+ *               treasuryWalletAddress:
+ *                 type: string
+ *                 pattern: "^0x[a-fA-F0-9]{40}$"
+ *                 example: "0x742d35Cc6634C0532925a3b8D2DE0f87b7b82fd0"
+ *                 description: The new treasury wallet address
+ *           example:
+ *             treasuryWalletAddress: "0x742d35Cc6634C0532925a3b8D2DE0f87b7b82fd0"
+ *     responses:
+ *       200:
+ *         description: Treasury wallet address set successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     transaction:
+ *                       type: object
+ *                       properties:
+ *                         hash:
+ *                           type: string
+ *                           example: "0x1234567890abcdef1234567890abcdef12345678"
+ *                         from:
+ *                           type: string
+ *                           example: "0x742d35Cc6634C0532925a3b8D2DE0f87b7b82fd0"
+ *                         to:
+ *                           type: string
+ *                           example: "0x1B8683e1885B3ee93524cD58BC10Cf3Ed6af4298"
+ *                         gasUsed:
+ *                           type: string
+ *                           example: "52000"
+ *                         status:
+ *                           type: number
+ *                           example: 1
+ *                     treasuryWalletAddress:
+ *                       type: string
+ *                       example: "0x742d35Cc6634C0532925a3b8D2DE0f87b7b82fd0"
+ *                     events:
+ *                       type: array
+ *                       description: Decoded contract events emitted by the transaction
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           name:
+ *                             type: string
+ *                           logIndex:
+ *                             type: number
+ *                           args:
+ *                             type: object
+ *                     confirmedAt:
+ *                       type: string
+ *                       format: date-time
+ *                 message:
+ *                   type: string
+ *                   example: "Treasury wallet address set successfully"
+ *       202:
+ *         description: Transaction submitted in async mode (`?async=true`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/JobAccepted'
+ *       400:
+ *         description: Bad request - invalid input
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post("/set-treasury-wallet", async (req, res) => {
+  const endpoint = "/api/setter/set-treasury-wallet";
+  try {
+    let contract;
+    try {
+      contract = getContract();
+    } catch (error) {
+      await initializeContract();
+      contract = getContract();
+    }
+
+    const { treasuryWalletAddress } = req.body;
+
+    if (
+      !treasuryWalletAddress ||
+      !ADDRESS_PATTERN.test(treasuryWalletAddress)
+    ) {
+      return invalidAdminInput(
+        res,
+        endpoint,
+        "Invalid treasury wallet address",
+        "Please provide 'treasuryWalletAddress' as a 42-character hex string starting with 0x"
+      );
+    }
+
+    if (isDryRunRequest(req)) {
+      const simulation = await simulateTransaction(
+        contract,
+        "setTreasuryWalletAddress",
+        [treasuryWalletAddress]
+      );
+      return res.json(dryRunResponse(simulation));
+    }
+    const tx = await contract.setTreasuryWalletAddress(treasuryWalletAddress);
+    if (isAsyncRequest(req)) {
+      const job = await createJob(tx, {
+        endpoint,
+        functionName: "setTreasuryWalletAddress",
+        requestBody: req.body,
+        req,
+      });
+      return res.status(202).json(jobAcceptedResponse(job));
+    }
+    const receipt = await waitForReceipt(tx);
+
+    res.json({
+      success: true,
+      data: {
+        transaction: {
+          hash: receipt.hash,
+          from: tx.from,
+          to: tx.to,
+          gasUsed: receipt.gasUsed?.toString(),
+          status: receipt.status,
+        },
+        treasuryWalletAddress,
+        events: parseReceiptEvents(contract, receipt),
+        confirmedAt: new Date().toISOString(),
+      },
+      message: "Treasury wallet address set successfully",
+    });
+  } catch (error) {
+    console.error(`Error in ${endpoint}:`, error.message);
+    sendErrorResponse(res, error, {
+      message: "Failed to set treasury wallet address",
+      endpoint,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/setter/set-approval-for-all:
+ *   post:
+ *     summary: Set Operator Approval
+ *     description: |
+ *       Grants or revokes an operator's right to transfer all of the server wallet's tokens (`setApprovalForAll`).
+ *       The response includes the decoded `ApprovalForAll` event.
+ *     tags: [Admin]
+ *     parameters:
+ *       - $ref: '#/components/parameters/AsyncMode'
+ *       - $ref: '#/components/parameters/DryRun'
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - operator
+ *               - approved
+ *             properties:
+ *               operator:
+ *                 type: string
+ *                 pattern: "^0x[a-fA-F0-9]{40}$"
+ *                 example: "0x742d35Cc6634C0532925a3b8D2DE0f87b7b82fd0"
+ *                 description: The operator address
+ *               approved:
+ *                 type: boolean
+ *                 example: true
+ *                 description: true to grant, false to revoke
+ *           example:
+ *             operator: "0x1B8683e1885B3ee93524cD58BC10Cf3Ed6af4298"
+ *             approved: true
+ *     responses:
+ *       200:
+ *         description: Operator approval updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     transaction:
+ *                       type: object
+ *                       properties:
+ *                         hash:
+ *                           type: string
+ *                           example: "0x1234567890abcdef1234567890abcdef12345678"
+ *                         from:
+ *                           type: string
+ *                           example: "0x742d35Cc6634C0532925a3b8D2DE0f87b7b82fd0"
+ *                         to:
+ *                           type: string
+ *                           example: "0x1B8683e1885B3ee93524cD58BC10Cf3Ed6af4298"
+ *                         gasUsed:
+ *                           type: string
+ *                           example: "52000"
+ *                         status:
+ *                           type: number
+ *                           example: 1
+ *                     operator:
+ *                       type: string
+ *                       example: "0x1B8683e1885B3ee93524cD58BC10Cf3Ed6af4298"
+ *                     approved:
+ *                       type: boolean
+ *                       example: true
+ *                     events:
+ *                       type: array
+ *                       description: Decoded contract events emitted by the transaction
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           name:
+ *                             type: string
+ *                           logIndex:
+ *                             type: number
+ *                           args:
+ *                             type: object
+ *                     confirmedAt:
+ *                       type: string
+ *                       format: date-time
+ *                 message:
+ *                   type: string
+ *                   example: "Operator approval updated successfully"
+ *       202:
+ *         description: Transaction submitted in async mode (`?async=true`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/JobAccepted'
+ *       400:
+ *         description: Bad request - invalid input
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post("/set-approval-for-all", async (req, res) => {
+  const endpoint = "/api/setter/set-approval-for-all";
+  try {
+    let contract;
+    try {
+      contract = getContract();
+    } catch (error) {
+      await initializeContract();
+      contract = getContract();
+    }
+
+    const { operator, approved } = req.body;
+
+    if (!operator || !ADDRESS_PATTERN.test(operator)) {
+      return invalidAdminInput(
+        res,
+        endpoint,
+        "Invalid operator address",
+        "Please provide 'operator' as a 42-character hex string starting with 0x"
+      );
+    }
+    if (typeof approved !== "boolean") {
+      return invalidAdminInput(
+        res,
+        endpoint,
+        "approved is required",
+        "Please provide 'approved' as true (grant) or false (revoke)"
+      );
+    }
+
+    if (isDryRunRequest(req)) {
+      const simulation = await simulateTransaction(
+        contract,
+        "setApprovalForAll",
+        [operator, approved]
+      );
+      return res.json(dryRunResponse(simulation));
+    }
+    const tx = await contract.setApprovalForAll(operator, approved);
+    if (isAsyncRequest(req)) {
+      const job = await createJob(tx, {
+        endpoint,
+        functionName: "setApprovalForAll",
+        requestBody: req.body,
+        req,
+      });
+      return res.status(202).json(jobAcceptedResponse(job));
+    }
+    const receipt = await waitForReceipt(tx);
+
+    res.json({
+      success: true,
+      data: {
+        transaction: {
+          hash: receipt.hash,
+          from: tx.from,
+          to: tx.to,
+          gasUsed: receipt.gasUsed?.toString(),
+          status: receipt.status,
+        },
+        operator,
+        approved,
+        events: receiptEvents(contract, receipt, ["ApprovalForAll"]),
+        confirmedAt: new Date().toISOString(),
+      },
+      message: `Operator approval ${
+        approved ? "granted" : "revoked"
+      } successfully`,
+    });
+  } catch (error) {
+    console.error(`Error in ${endpoint}:`, error.message);
+    sendErrorResponse(res, error, {
+      message: "Failed to set operator approval",
+      endpoint,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/setter/safe-transfer:
+ *   post:
+ *     summary: Safe Transfer Parcel Tokens
+ *     description: |
+ *       Transfers `amount` units of token `tokenId` from `from` to `to` (`safeTransferFrom`).
+ *       The server wallet must be `from` or an approved operator of it. The response includes the decoded `TransferSingle` event.
+ *     tags: [Admin]
+ *     parameters:
+ *       - $ref: '#/components/parameters/AsyncMode'
+ *       - $ref: '#/components/parameters/DryRun'
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - from
+ *               - to
+ *               - tokenId
+ *               - amount
+ *             properties:
+ *               from:
+ *                 type: string
+ *                 pattern: "^0x[a-fA-F0-9]{40}$"
+ *                 example: "0x742d35Cc6634C0532925a3b8D2DE0f87b7b82fd0"
+ *                 description: Current holder
+ *               to:
+ *                 type: string
+ *                 pattern: "^0x[a-fA-F0-9]{40}$"
+ *                 example: "0x742d35Cc6634C0532925a3b8D2DE0f87b7b82fd0"
+ *                 description: Recipient
+ *               tokenId:
+ *                 type: string
+ *                 example: "1"
+ *               amount:
+ *                 type: string
+ *                 example: "100"
+ *               data:
+ *                 type: string
+ *                 description: Optional bytes passed to the receiver hook (hex, defaults to 0x)
+ *                 example: "0x"
+ *           example:
+ *             from: "0x742d35Cc6634C0532925a3b8D2DE0f87b7b82fd0"
+ *             to: "0x1B8683e1885B3ee93524cD58BC10Cf3Ed6af4298"
+ *             tokenId: "1"
+ *             amount: "100"
+ *     responses:
+ *       200:
+ *         description: Tokens transferred successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     transaction:
+ *                       type: object
+ *                       properties:
+ *                         hash:
+ *                           type: string
+ *                           example: "0x1234567890abcdef1234567890abcdef12345678"
+ *                         from:
+ *                           type: string
+ *                           example: "0x742d35Cc6634C0532925a3b8D2DE0f87b7b82fd0"
+ *                         to:
+ *                           type: string
+ *                           example: "0x1B8683e1885B3ee93524cD58BC10Cf3Ed6af4298"
+ *                         gasUsed:
+ *                           type: string
+ *                           example: "52000"
+ *                         status:
+ *                           type: number
+ *                           example: 1
+ *                     from:
+ *                       type: string
+ *                     to:
+ *                       type: string
+ *                     tokenId:
+ *                       type: string
+ *                       example: "1"
+ *                     amount:
+ *                       type: string
+ *                       example: "100"
+ *                     events:
+ *                       type: array
+ *                       description: Decoded contract events emitted by the transaction
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           name:
+ *                             type: string
+ *                           logIndex:
+ *                             type: number
+ *                           args:
+ *                             type: object
+ *                     confirmedAt:
+ *                       type: string
+ *                       format: date-time
+ *                 message:
+ *                   type: string
+ *                   example: "Tokens transferred successfully"
+ *       202:
+ *         description: Transaction submitted in async mode (`?async=true`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/JobAccepted'
+ *       400:
+ *         description: Bad request - invalid input
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post("/safe-transfer", async (req, res) => {
+  const endpoint = "/api/setter/safe-transfer";
+  try {
+    let contract;
+    try {
+      contract = getContract();
+    } catch (error) {
+      await initializeContract();
+      contract = getContract();
+    }
+
+    const { from, to, tokenId, amount, data = "0x" } = req.body;
+
+    if (!ADDRESS_PATTERN.test(from || "") || !ADDRESS_PATTERN.test(to || "")) {
+      return invalidAdminInput(
+        res,
+        endpoint,
+        "Invalid from or to address",
+        "Please provide 'from' and 'to' as 42-character hex strings starting with 0x"
+      );
+    }
+    if (
+      !UINT_PATTERN.test(String(tokenId)) ||
+      !UINT_PATTERN.test(String(amount)) ||
+      BigInt(amount) === 0n
+    ) {
+      return invalidAdminInput(
+        res,
+        endpoint,
+        "Invalid tokenId or amount",
+        "tokenId must be a non-negative integer and amount a positive integer"
+      );
+    }
+    if (!BYTES_PATTERN.test(data)) {
+      return invalidAdminInput(
+        res,
+        endpoint,
+        "Invalid data",
+        "data must be a 0x-prefixed hex string"
+      );
+    }
+
+    const args = [from, to, tokenId, amount, data];
+    if (isDryRunRequest(req)) {
+      const simulation = await simulateTransaction(
+        contract,
+        "safeTransferFrom",
+        args
+      );
+      return res.json(dryRunResponse(simulation));
+    }
+    const tx = await contract.safeTransferFrom(...args);
+    if (isAsyncRequest(req)) {
+      const job = await createJob(tx, {
+        endpoint,
+        functionName: "safeTransferFrom",
+        requestBody: req.body,
+        req,
+      });
+      return res.status(202).json(jobAcceptedResponse(job));
+    }
+    const receipt = await waitForReceipt(tx);
+
+    res.json({
+      success: true,
+      data: {
+        transaction: {
+          hash: receipt.hash,
+          from: tx.from,
+          to: tx.to,
+          gasUsed: receipt.gasUsed?.toString(),
+          status: receipt.status,
+        },
+        from,
+        to,
+        tokenId: String(tokenId),
+        amount: String(amount),
+        events: receiptEvents(contract, receipt, ["TransferSingle"]),
+        confirmedAt: new Date().toISOString(),
+      },
+      message: "Tokens transferred successfully",
+    });
+  } catch (error) {
+    console.error(`Error in ${endpoint}:`, error.message);
+    sendErrorResponse(res, error, {
+      message: "Failed to transfer tokens",
+      endpoint,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/setter/safe-batch-transfer:
+ *   post:
+ *     summary: Safe Batch Transfer Parcel Tokens
+ *     description: |
+ *       Transfers several token IDs from `from` to `to` in one transaction (`safeBatchTransferFrom`).
+ *       `tokenIds` and `amounts` are parallel arrays. The server wallet must be `from` or an approved operator of it.
+ *       The response includes the decoded `TransferBatch` event.
+ *     tags: [Admin]
+ *     parameters:
+ *       - $ref: '#/components/parameters/AsyncMode'
+ *       - $ref: '#/components/parameters/DryRun'
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - from
+ *               - to
+ *               - tokenIds
+ *               - amounts
+ *             properties:
+ *               from:
+ *                 type: string
+ *                 pattern: "^0x[a-fA-F0-9]{40}$"
+ *                 example: "0x742d35Cc6634C0532925a3b8D2DE0f87b7b82fd0"
+ *                 description: Current holder
+ *               to:
+ *                 type: string
+ *                 pattern: "^0x[a-fA-F0-9]{40}$"
+ *                 example: "0x742d35Cc6634C0532925a3b8D2DE0f87b7b82fd0"
+ *                 description: Recipient
+ *               tokenIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["1", "2"]
+ *               amounts:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["100", "50"]
+ *               data:
+ *                 type: string
+ *                 description: Optional bytes passed to the receiver hook (hex, defaults to 0x)
+ *                 example: "0x"
+ *           example:
+ *             from: "0x742d35Cc6634C0532925a3b8D2DE0f87b7b82fd0"
+ *             to: "0x1B8683e1885B3ee93524cD58BC10Cf3Ed6af4298"
+ *             tokenIds: ["1", "2"]
+ *             amounts: ["100", "50"]
+ *     responses:
+ *       200:
+ *         description: Tokens batch transferred successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     transaction:
+ *                       type: object
+ *                       properties:
+ *                         hash:
+ *                           type: string
+ *                           example: "0x1234567890abcdef1234567890abcdef12345678"
+ *                         from:
+ *                           type: string
+ *                           example: "0x742d35Cc6634C0532925a3b8D2DE0f87b7b82fd0"
+ *                         to:
+ *                           type: string
+ *                           example: "0x1B8683e1885B3ee93524cD58BC10Cf3Ed6af4298"
+ *                         gasUsed:
+ *                           type: string
+ *                           example: "52000"
+ *                         status:
+ *                           type: number
+ *                           example: 1
+ *                     from:
+ *                       type: string
+ *                     to:
+ *                       type: string
+ *                     tokenIds:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                     amounts:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                     events:
+ *                       type: array
+ *                       description: Decoded contract events emitted by the transaction
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           name:
+ *                             type: string
+ *                           logIndex:
+ *                             type: number
+ *                           args:
+ *                             type: object
+ *                     confirmedAt:
+ *                       type: string
+ *                       format: date-time
+ *                 message:
+ *                   type: string
+ *                   example: "Tokens batch transferred successfully"
+ *       202:
+ *         description: Transaction submitted in async mode (`?async=true`)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/JobAccepted'
+ *       400:
+ *         description: Bad request - invalid input
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post("/safe-batch-transfer", async (req, res) => {
+  const endpoint = "/api/setter/safe-batch-transfer";
+  try {
+    let contract;
+    try {
+      contract = getContract();
+    } catch (error) {
+      await initializeContract();
+      contract = getContract();
+    }
+
+    const { from, to, tokenIds, amounts, data = "0x" } = req.body;
+
+    if (!ADDRESS_PATTERN.test(from || "") || !ADDRESS_PATTERN.test(to || "")) {
+      return invalidAdminInput(
+        res,
+        endpoint,
+        "Invalid from or to address",
+        "Please provide 'from' and 'to' as 42-character hex strings starting with 0x"
+      );
+    }
+    if (
+      !Array.isArray(tokenIds) ||
+      !Array.isArray(amounts) ||
+      tokenIds.length === 0 ||
+      tokenIds.length !== amounts.length
+    ) {
+      return invalidAdminInput(
+        res,
+        endpoint,
+        "Invalid tokenIds or amounts",
+        "tokenIds and amounts must be non-empty arrays of the same length"
+      );
+    }
+    if (
+      !tokenIds.every((id) => UINT_PATTERN.test(String(id))) ||
+      !amounts.every(
+        (amount) => UINT_PATTERN.test(String(amount)) && BigInt(amount) > 0n
+      )
+    ) {
+      return invalidAdminInput(
+        res,
+        endpoint,
+        "Invalid tokenIds or amounts",
+        "Each tokenId must be a non-negative integer and each amount a positive integer"
+      );
+    }
+    if (!BYTES_PATTERN.test(data)) {
+      return invalidAdminInput(
+        res,
+        endpoint,
+        "Invalid data",
+        "data must be a 0x-prefixed hex string"
+      );
+    }
+
+    const args = [from, to, tokenIds, amounts, data];
+    if (isDryRunRequest(req)) {
+      const simulation = await simulateTransaction(
+        contract,
+        "safeBatchTransferFrom",
+        args
+      );
+      return res.json(dryRunResponse(simulation));
+    }
+    const tx = await contract.safeBatchTransferFrom(...args);
+    if (isAsyncRequest(req)) {
+      const job = await createJob(tx, {
+        endpoint,
+        functionName: "safeBatchTransferFrom",
+        requestBody: req.body,
+        req,
+      });
+      return res.status(202).json(jobAcceptedResponse(job));
+    }
+    const receipt = await waitForReceipt(tx);
+
+    res.json({
+      success: true,
+      data: {
+        transaction: {
+          hash: receipt.hash,
+          from: tx.from,
+          to: tx.to,
+          gasUsed: receipt.gasUsed?.toString(),
+          status: receipt.status,
+        },
+        from,
+        to,
+        tokenIds: tokenIds.map(String),
+        amounts: amounts.map(String),
+        events: receiptEvents(contract, receipt, ["TransferBatch"]),
+        confirmedAt: new Date().toISOString(),
+      },
+      message: "Tokens batch transferred successfully",
+    });
+  } catch (error) {
+    console.error(`Error in ${endpoint}:`, error.message);
+    sendErrorResponse(res, error, {
+      message: "Failed to batch transfer tokens",
+      endpoint,
     });
   }
 });
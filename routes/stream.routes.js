@@ -0,0 +1,161 @@
+const express = require("express");
+const {
+  STREAM_HEARTBEAT_MS,
+  emptyFilters,
+  addFilters,
+  describeFilters,
+  subscribe,
+  unsubscribe,
+} = require("../utils/eventStream");
+const { principalFromJwt, requireAuth } = require("../utils/auth");
+const router = express.Router();
+
+// EventSource cannot send headers, so a JWT may also come as ?access_token=
+router.use((req, res, next) => {
+  if (req.principal || !req.query.access_token) return next();
+
+  const principal = principalFromJwt(String(req.query.access_token));
+  if (!principal) {
+    return res.status(401).json({
+      success: false,
+      error: {
+        message: "Invalid credentials",
+        details: "The access_token is malformed or expired",
+        code: "UNAUTHORIZED",
+        timestamp: new Date().toISOString(),
+        endpoint: req.originalUrl.split("?")[0],
+      },
+    });
+  }
+  req.principal = principal;
+  next();
+});
+
+// Read-only routes: any authenticated role may call them
+router.use(requireAuth);
+
+/**
+ * @swagger
+ * /api/stream/events:
+ *   get:
+ *     summary: Stream Contract Events (Server-Sent Events)
+ *     description: |
+ *       Pushes decoded `TransferRequestCreated`, `TransferApproved`, `TransferExecuted`, `PlotCreated` and
+ *       `TokenCreated` events as the indexer stores them, so clients do not have to poll transfer status.
+ *       Each message has the event name as its SSE `event`, `<transactionHash>:<logIndex>` as its `id`, and the
+ *       event document (same shape as `GET /api/events` items) as JSON `data`. Approvals and executions
+ *       carry the `plotId` of their request.
+ *
+ *       Without filters every streamed event is sent. With filters, an event is sent if it matches any of
+ *       them. Browsers using `EventSource` can pass a JWT as `access_token`. Owners only receive events
+ *       involving their address or their own transfer requests.
+ *
+ *       The same stream is available over WebSocket at `/api/stream/ws` (same query parameters). Send
+ *       `{"action": "subscribe", "plotId": "1"}` or `{"action": "unsubscribe", "address": "0x..."}` to change
+ *       filters on an open connection. The server replies with `{"type": "subscriptions", ...}` and pushes
+ *       `{"type": "event", "event": {...}}`.
+ *     tags: [Events]
+ *     parameters:
+ *       - name: plotId
+ *         in: query
+ *         required: false
+ *         description: Comma-separated plot IDs
+ *         schema:
+ *           type: string
+ *           example: "1,2"
+ *       - name: requestId
+ *         in: query
+ *         required: false
+ *         description: Comma-separated transfer request IDs
+ *         schema:
+ *           type: string
+ *           example: "5"
+ *       - name: address
+ *         in: query
+ *         required: false
+ *         description: Comma-separated addresses (sender, receiver or approver)
+ *         schema:
+ *           type: string
+ *           example: "0x742d35Cc6634C0532925a3b8D2DE0f87b7b82fd0"
+ *       - name: access_token
+ *         in: query
+ *         required: false
+ *         description: JWT, for clients that cannot send an Authorization header
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Event stream
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *               example: |
+ *                 id: 0xabc...:3
+ *                 event: TransferApproved
+ *                 data: {"event":"TransferApproved","requestId":"5","plotId":"1","args":{"isFullyApproved":true}}
+ *       400:
+ *         description: Bad request - invalid filter value
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get("/events", (req, res) => {
+  const filters = emptyFilters();
+  const error = addFilters(filters, req.query);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: "Invalid filter",
+        details: error,
+        code: "INVALID_INPUT",
+        timestamp: new Date().toISOString(),
+        endpoint: "/api/stream/events",
+      },
+    });
+  }
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // Keep nginx from buffering the stream
+  });
+  res.flushHeaders();
+  const subscriptions = JSON.stringify(describeFilters(filters));
+  res.write(`event: subscriptions\ndata: ${subscriptions}\n\n`);
+
+  const subscriber = subscribe(
+    filters,
+    (message) => {
+      res.write(
+        `id: ${message.transactionHash}:${message.logIndex}\n` +
+          `event: ${message.event}\n` +
+          `data: ${JSON.stringify(message)}\n\n`
+      );
+    },
+    // Owners only receive events involving them or their transfer requests
+    req.principal?.role === "owner" ? req.principal.address : null
+  );
+
+  // Comment lines keep proxies from closing an idle stream
+  const heartbeat = setInterval(
+    () => res.write(": ping\n\n"),
+    STREAM_HEARTBEAT_MS
+  );
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    unsubscribe(subscriber);
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,636 @@
+const express = require("express");
+const TransferRequest = require("../models/transferRequest.model");
+const {
+  APPROVER_ROLES,
+  formatTransferRequest,
+} = require("../utils/transferProjection");
+const { sendErrorResponse } = require("../utils/contractErrors");
+const {
+  initializeContract,
+  getContract,
+} = require("../utils/contractInstance");
+const { buildApprovalTypedData } = require("../utils/approvalSignatures");
+const { requireAuth, requireRole } = require("../utils/auth");
+const router = express.Router();
+
+// Read-only routes: any authenticated role may call them, except the
+// approver inboxes, which list every open request
+router.use(requireAuth);
+router.get("/inbox/:role", requireRole("land-authority", "bank", "lawyer"));
+
+const STATUSES = ["pending", "approved", "executed"];
+const SORT_FIELDS = [
+  "requestId",
+  "requestedAt",
+  "fullyApprovedAt",
+  "executedAt",
+];
+const BOOLEAN_FILTERS = [
+  "isPlotTransfer",
+  "landAuthorityApproved",
+  "bankApproved",
+  "lawyerApproved",
+];
+
+function invalidInput(res, message, details) {
+  return res.status(400).json({
+    success: false,
+    error: {
+      message,
+      details,
+      code: "INVALID_INPUT",
+      timestamp: new Date().toISOString(),
+      endpoint: "/api/transfers",
+    },
+  });
+}
+
+/**
+ * @swagger
+ * /api/transfers:
+ *   get:
+ *     summary: List Transfer Requests
+ *     description: |
+ *       Lists transfer requests built from indexed `TransferRequestCreated`, `TransferApproved`
+ *       and `TransferExecuted` events, with filtering, pagination and sorting.
+ *     tags: [Transfer]
+ *     parameters:
+ *       - name: from
+ *         in: query
+ *         required: false
+ *         description: Sender address
+ *         schema:
+ *           $ref: '#/components/schemas/EthereumAddress'
+ *       - name: to
+ *         in: query
+ *         required: false
+ *         description: Recipient address
+ *         schema:
+ *           $ref: '#/components/schemas/EthereumAddress'
+ *       - name: plotId
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: string
+ *           example: "1"
+ *       - name: parcelId
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: string
+ *           example: "101"
+ *       - name: isPlotTransfer
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *       - name: status
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, executed]
+ *       - name: landAuthorityApproved
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *       - name: bankApproved
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *       - name: lawyerApproved
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *       - name: sortBy
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [requestId, requestedAt, fullyApprovedAt, executedAt]
+ *           default: requestId
+ *       - name: sortOrder
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: desc
+ *       - name: page
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - name: limit
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 200
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Transfer requests retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     transfers:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           requestId:
+ *                             type: string
+ *                             example: "1"
+ *                           from:
+ *                             $ref: '#/components/schemas/EthereumAddress'
+ *                           to:
+ *                             $ref: '#/components/schemas/EthereumAddress'
+ *                           parcelId:
+ *                             type: string
+ *                             example: "101"
+ *                           parcelAmount:
+ *                             type: string
+ *                             example: "1000"
+ *                           isPlotTransfer:
+ *                             type: boolean
+ *                             example: false
+ *                           plotId:
+ *                             type: string
+ *                             example: "1"
+ *                           status:
+ *                             type: string
+ *                             example: "pending"
+ *                           landAuthorityApproved:
+ *                             type: boolean
+ *                             example: true
+ *                           bankApproved:
+ *                             type: boolean
+ *                             example: false
+ *                           lawyerApproved:
+ *                             type: boolean
+ *                             example: false
+ *                           requestedAt:
+ *                             type: string
+ *                             format: date-time
+ *                     page:
+ *                       type: number
+ *                       example: 1
+ *                     limit:
+ *                       type: number
+ *                       example: 50
+ *                     total:
+ *                       type: number
+ *                       example: 12
+ *                 message:
+ *                   type: string
+ *                   example: "Transfer requests retrieved successfully"
+ *       400:
+ *         description: Bad request - invalid filter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get("/", async (req, res) => {
+  try {
+    const { from, to, plotId, parcelId, status } = req.query;
+    const sortBy = req.query.sortBy || "requestId";
+    const sortOrder = req.query.sortOrder || "desc";
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    const filter = {};
+
+    for (const [name, value] of Object.entries({ from, to })) {
+      if (value === undefined) continue;
+      if (!/^0x[a-fA-F0-9]{40}$/.test(value)) {
+        return invalidInput(
+          res,
+          `Invalid '${name}' address format`,
+          "Address must be a valid 42-character hex string starting with 0x"
+        );
+      }
+      filter[name] = value.toLowerCase();
+    }
+
+    if (plotId !== undefined) filter.plotId = plotId;
+    if (parcelId !== undefined) filter.parcelId = parcelId;
+
+    // Owners only see requests they sent or receive
+    if (req.principal?.role === "owner") {
+      const address = req.principal.address;
+      filter.$or = [{ from: address }, { to: address }];
+    }
+
+    if (status !== undefined) {
+      if (!STATUSES.includes(status)) {
+        return invalidInput(
+          res,
+          "Invalid status",
+          `Status must be one of: ${STATUSES.join(", ")}`
+        );
+      }
+      filter.status = status;
+    }
+
+    for (const name of BOOLEAN_FILTERS) {
+      const value = req.query[name];
+      if (value === undefined) continue;
+      if (value !== "true" && value !== "false") {
+        return invalidInput(
+          res,
+          `Invalid '${name}' value`,
+          `'${name}' must be true or false`
+        );
+      }
+      filter[name] = value === "true";
+    }
+
+    if (!SORT_FIELDS.includes(sortBy)) {
+      return invalidInput(
+        res,
+        "Invalid sortBy",
+        `sortBy must be one of: ${SORT_FIELDS.join(", ")}`
+      );
+    }
+    if (!["asc", "desc"].includes(sortOrder)) {
+      return invalidInput(
+        res,
+        "Invalid sortOrder",
+        "sortOrder must be asc or desc"
+      );
+    }
+
+    const direction = sortOrder === "asc" ? 1 : -1;
+    const [transfers, total] = await Promise.all([
+      TransferRequest.find(filter)
+        .sort({ [sortBy]: direction, requestId: direction })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      TransferRequest.countDocuments(filter),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        transfers: transfers.map(formatTransferRequest),
+        page,
+        limit,
+        total,
+      },
+      message: "Transfer requests retrieved successfully",
+    });
+  } catch (error) {
+    console.error("Error in /api/transfers:", error.message);
+    sendErrorResponse(res, error, {
+      message: "Failed to fetch transfer requests",
+      endpoint: "/api/transfers",
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/transfers/inbox/{role}:
+ *   get:
+ *     summary: Pending-Approval Inbox for an Approver Role
+ *     description: |
+ *       Lists every open (not executed) transfer request that the given role has not approved yet,
+ *       oldest first, with the age of each request and the sign-off state of the other roles.
+ *
+ *       **Roles:** 1 = Land Authority, 2 = Bank, 3 = Lawyer
+ *     tags: [Transfer]
+ *     parameters:
+ *       - name: role
+ *         in: path
+ *         required: true
+ *         description: Approver role
+ *         schema:
+ *           type: integer
+ *           enum: [1, 2, 3]
+ *           example: 1
+ *       - name: page
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - name: limit
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 200
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Pending approvals retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     role:
+ *                       type: number
+ *                       example: 2
+ *                     roleName:
+ *                       type: string
+ *                       example: "Bank"
+ *                     pending:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           requestId:
+ *                             type: string
+ *                             example: "1"
+ *                           from:
+ *                             $ref: '#/components/schemas/EthereumAddress'
+ *                           to:
+ *                             $ref: '#/components/schemas/EthereumAddress'
+ *                           plotId:
+ *                             type: string
+ *                             example: "1"
+ *                           parcelId:
+ *                             type: string
+ *                             example: "101"
+ *                           requestedAt:
+ *                             type: string
+ *                             format: date-time
+ *                           ageSeconds:
+ *                             type: number
+ *                             example: 86400
+ *                           otherApprovals:
+ *                             type: object
+ *                             example: { "Land Authority": true, "Lawyer": false }
+ *                     page:
+ *                       type: number
+ *                       example: 1
+ *                     limit:
+ *                       type: number
+ *                       example: 50
+ *                     total:
+ *                       type: number
+ *                       example: 3
+ *                 message:
+ *                   type: string
+ *                   example: "Pending approvals for Bank retrieved successfully"
+ *       400:
+ *         description: Bad request - invalid role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       403:
+ *         description: Only approvers (and admins) may read the inboxes
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get("/inbox/:role", async (req, res) => {
+  try {
+    const role = parseInt(req.params.role);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    // Validate role (1 = Land Authority, 2 = Bank, 3 = Lawyer)
+    if (!APPROVER_ROLES[role]) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: "Invalid role",
+          details: "Role must be 1 (Land Authority), 2 (Bank), or 3 (Lawyer)",
+          code: "INVALID_INPUT",
+          timestamp: new Date().toISOString(),
+          endpoint: "/api/transfers/inbox/:role",
+        },
+      });
+    }
+
+    const { name: roleName, field } = APPROVER_ROLES[role];
+    const filter = { status: { $ne: "executed" }, [field]: false };
+
+    const [requests, total] = await Promise.all([
+      TransferRequest.find(filter)
+        .sort({ requestedAt: 1, requestId: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      TransferRequest.countDocuments(filter),
+    ]);
+
+    const now = Date.now();
+    const pending = requests.map((doc) => {
+      const otherApprovals = {};
+      for (const [otherRole, info] of Object.entries(APPROVER_ROLES)) {
+        if (Number(otherRole) !== role) {
+          otherApprovals[info.name] = doc[info.field];
+        }
+      }
+      return {
+        ...formatTransferRequest(doc),
+        ageSeconds: doc.requestedAt
+          ? Math.floor((now - new Date(doc.requestedAt).getTime()) / 1000)
+          : null,
+        otherApprovals,
+      };
+    });
+
+    res.json({
+      success: true,
+      data: {
+        role,
+        roleName,
+        pending,
+        page,
+        limit,
+        total,
+      },
+      message: `Pending approvals for ${roleName} retrieved successfully`,
+    });
+  } catch (error) {
+    console.error("Error in /api/transfers/inbox/:role:", error.message);
+    sendErrorResponse(res, error, {
+      message: "Failed to fetch pending approvals",
+      endpoint: "/api/transfers/inbox/:role",
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/transfers/{requestId}/approval-typed-data:
+ *   get:
+ *     summary: Get EIP-712 Approval Data to Sign
+ *     description: |
+ *       Returns the EIP-712 typed data (domain, types, message) an approver's wallet signs with
+ *       `eth_signTypedData_v4` before calling `POST /api/setter/approve-transfer`.
+ *       The message carries a fresh random nonce and a deadline; send both back with the signature.
+ *
+ *       **Roles:** 1 = Land Authority, 2 = Bank, 3 = Lawyer
+ *     tags: [Transfer]
+ *     parameters:
+ *       - name: requestId
+ *         in: path
+ *         required: true
+ *         description: The ID of the transfer request to approve
+ *         schema:
+ *           type: integer
+ *           example: 1
+ *       - name: role
+ *         in: query
+ *         required: true
+ *         description: Approver role
+ *         schema:
+ *           type: integer
+ *           enum: [1, 2, 3]
+ *           example: 2
+ *     responses:
+ *       200:
+ *         description: Typed data built successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     domain:
+ *                       type: object
+ *                       properties:
+ *                         name:
+ *                           type: string
+ *                           example: "LandManagement"
+ *                         version:
+ *                           type: string
+ *                           example: "1"
+ *                         chainId:
+ *                           type: string
+ *                           example: "84532"
+ *                         verifyingContract:
+ *                           type: string
+ *                           example: "0x1B8683e1885B3ee93524cD58BC10Cf3Ed6af4298"
+ *                     types:
+ *                       type: object
+ *                     primaryType:
+ *                       type: string
+ *                       example: "TransferApproval"
+ *                     message:
+ *                       type: object
+ *                       properties:
+ *                         requestId:
+ *                           type: string
+ *                           example: "1"
+ *                         role:
+ *                           type: integer
+ *                           example: 2
+ *                         deadline:
+ *                           type: integer
+ *                           example: 1767225600
+ *                         nonce:
+ *                           type: string
+ *                           example: "271828182845904523536028747135266249775"
+ *                 message:
+ *                   type: string
+ *                   example: "Approval typed data built successfully"
+ *       400:
+ *         description: Bad request - invalid requestId or role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get("/:requestId/approval-typed-data", async (req, res) => {
+  try {
+    let contract;
+    try {
+      contract = getContract();
+    } catch (error) {
+      await initializeContract();
+      contract = getContract();
+    }
+
+    const { requestId } = req.params;
+    const role = parseInt(req.query.role);
+
+    if (!/^\d+$/.test(requestId) || !APPROVER_ROLES[role]) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: "Invalid requestId or role",
+          details:
+            "requestId must be a number and role must be 1 (Land Authority), 2 (Bank), or 3 (Lawyer)",
+          code: "INVALID_INPUT",
+          timestamp: new Date().toISOString(),
+          endpoint: "/api/transfers/:requestId/approval-typed-data",
+        },
+      });
+    }
+
+    const typedData = await buildApprovalTypedData(contract, requestId, role);
+
+    res.json({
+      success: true,
+      data: typedData,
+      message: "Approval typed data built successfully",
+    });
+  } catch (error) {
+    console.error(
+      "Error in /api/transfers/:requestId/approval-typed-data:",
+      error.message
+    );
+    sendErrorResponse(res, error, {
+      message: "Failed to build approval typed data",
+      endpoint: "/api/transfers/:requestId/approval-typed-data",
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,401 @@
+const express = require("express");
+const {
+  initializeContract,
+  getContract,
+  getProvider,
+  getSigner,
+} = require("../utils/contractInstance");
+const {
+  getWriteFunctionNames,
+  buildUnsignedTransaction,
+  verifySignedTransaction,
+} = require("../utils/txBuilder");
+const { createJob, jobAcceptedResponse } = require("../utils/jobTracker");
+const { toPlainValue } = require("../utils/receiptEvents");
+const { sendErrorResponse } = require("../utils/contractErrors");
+const { requireAuth, requireRole } = require("../utils/auth");
+const { auditWrite } = require("../utils/auditLog");
+const router = express.Router();
+
+// Client-signed transactions carry their own authority; the queue is admin-only
+router.post("/build/:functionName", requireAuth);
+router.post("/broadcast", requireAuth);
+router.get("/queue", requireRole("admin"));
+
+// Broadcasts are audited like setter calls; the function is decoded from the tx
+router.post("/broadcast", auditWrite());
+
+/**
+ * @swagger
+ * /api/tx/build/{functionName}:
+ *   post:
+ *     summary: Build Unsigned Contract Transaction
+ *     description: |
+ *       Returns a fully populated unsigned transaction (to, data, value, gas, fees, chainId, nonce hint)
+ *       for any contract write, so the caller can sign it with their own wallet
+ *       (for example `requestForWholePlotTransfer` or `requestForParcelTransfer` signed by the plot owner).
+ *       Gas is estimated from the `from` address, so a call that would revert for that sender fails here
+ *       with the decoded revert.
+ *     tags: [Transactions]
+ *     parameters:
+ *       - name: functionName
+ *         in: path
+ *         required: true
+ *         description: Contract write function to call
+ *         schema:
+ *           type: string
+ *           enum: [createBlockParcelToken, delegateApproveTransfer, finalizeParcelTransfer, finalizePlotTransfer, plotFinalize, plotInitiate, requestForParcelTransfer, requestForWholePlotTransfer, safeBatchTransferFrom, safeTransferFrom, setApprovalForAll, setPlotRegistryContract, setTreasuryWalletAddress, setplotOwnershipContract]
+ *           example: requestForWholePlotTransfer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - from
+ *               - args
+ *             properties:
+ *               from:
+ *                 $ref: '#/components/schemas/EthereumAddress'
+ *               args:
+ *                 type: array
+ *                 description: Function arguments in ABI order
+ *                 items: {}
+ *           example:
+ *             from: "0x742d35Cc6634C0532925a3b8D2DE0f87b7b82fd0"
+ *             args: ["1", "0x1B8683e1885B3ee93524cD58BC10Cf3Ed6af4298"]
+ *     responses:
+ *       200:
+ *         description: Unsigned transaction built successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     functionName:
+ *                       type: string
+ *                       example: "requestForWholePlotTransfer"
+ *                     args:
+ *                       type: array
+ *                       items: {}
+ *                     transaction:
+ *                       type: object
+ *                       properties:
+ *                         to:
+ *                           type: string
+ *                         from:
+ *                           type: string
+ *                         data:
+ *                           type: string
+ *                         value:
+ *                           type: string
+ *                           example: "0"
+ *                         chainId:
+ *                           type: string
+ *                           example: "84532"
+ *                         nonce:
+ *                           type: number
+ *                           example: 4
+ *                         gasLimit:
+ *                           type: string
+ *                           example: "120000"
+ *                         type:
+ *                           type: number
+ *                           example: 2
+ *                         maxFeePerGas:
+ *                           type: string
+ *                         maxPriorityFeePerGas:
+ *                           type: string
+ *                         gasPrice:
+ *                           type: string
+ *                     unsignedSerialized:
+ *                       type: string
+ *                       description: RLP-encoded unsigned transaction
+ *                 message:
+ *                   type: string
+ *                   example: "Unsigned transaction built successfully"
+ *       400:
+ *         description: Bad request - unknown function or invalid arguments
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       422:
+ *         description: The call would revert for this sender
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post("/build/:functionName", async (req, res) => {
+  try {
+    let contract;
+    try {
+      contract = getContract();
+    } catch (error) {
+      await initializeContract();
+      contract = getContract();
+    }
+
+    const { functionName } = req.params;
+    const { from, args } = req.body;
+
+    const writeFunctions = getWriteFunctionNames(contract);
+    if (!writeFunctions.includes(functionName)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: "Unknown contract write function",
+          details: `functionName must be one of: ${writeFunctions.join(", ")}`,
+          code: "INVALID_INPUT",
+          timestamp: new Date().toISOString(),
+          endpoint: "/api/tx/build/:functionName",
+        },
+      });
+    }
+
+    if (!from || !/^0x[a-fA-F0-9]{40}$/.test(from) || !Array.isArray(args)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: "from and args are required",
+          details:
+            "Please provide 'from' (signer address) and 'args' (array of function arguments)",
+          code: "INVALID_INPUT",
+          timestamp: new Date().toISOString(),
+          endpoint: "/api/tx/build/:functionName",
+        },
+      });
+    }
+
+    const built = await buildUnsignedTransaction(
+      contract,
+      functionName,
+      args,
+      from
+    );
+
+    res.json({
+      success: true,
+      data: built,
+      message: "Unsigned transaction built successfully",
+    });
+  } catch (error) {
+    console.error("Error in /api/tx/build/:functionName:", error.message);
+    sendErrorResponse(res, error, {
+      message: "Failed to build transaction",
+      endpoint: "/api/tx/build/:functionName",
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/tx/broadcast:
+ *   post:
+ *     summary: Broadcast a Client-Signed Transaction
+ *     description: |
+ *       Accepts a signed raw transaction, checks that it targets this backend's contract on the
+ *       configured chain and calls a contract write function, then broadcasts it and tracks it as a job.
+ *       Poll `GET /api/jobs/{id}` for the result.
+ *     tags: [Transactions]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - signedTransaction
+ *             properties:
+ *               signedTransaction:
+ *                 type: string
+ *                 description: Signed, RLP-encoded transaction (0x-prefixed hex)
+ *                 example: "0x02f8b1..."
+ *     responses:
+ *       202:
+ *         description: Transaction broadcast and tracked as a job
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/JobAccepted'
+ *       400:
+ *         description: Bad request - transaction is invalid or does not target the contract
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post("/broadcast", async (req, res) => {
+  try {
+    let contract;
+    try {
+      contract = getContract();
+    } catch (error) {
+      await initializeContract();
+      contract = getContract();
+    }
+
+    const { signedTransaction } = req.body;
+
+    if (
+      typeof signedTransaction !== "string" ||
+      !/^0x[a-fA-F0-9]+$/.test(signedTransaction)
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: "signedTransaction is required",
+          details: "Please provide the signed raw transaction as a hex string",
+          code: "INVALID_INPUT",
+          timestamp: new Date().toISOString(),
+          endpoint: "/api/tx/broadcast",
+        },
+      });
+    }
+
+    const { transaction, call, error } = await verifySignedTransaction(
+      contract,
+      signedTransaction
+    );
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: "Transaction rejected",
+          details: error,
+          code: "INVALID_TRANSACTION",
+          timestamp: new Date().toISOString(),
+          endpoint: "/api/tx/broadcast",
+        },
+      });
+    }
+
+    const tx = await getProvider().broadcastTransaction(signedTransaction);
+    const job = await createJob(tx, {
+      endpoint: "/api/tx/broadcast",
+      functionName: call.name,
+      requestBody: {
+        from: transaction.from,
+        args: toPlainValue(Array.from(call.args)),
+      },
+      req,
+    });
+
+    res.status(202).json(jobAcceptedResponse(job));
+  } catch (error) {
+    console.error("Error in /api/tx/broadcast:", error.message);
+    sendErrorResponse(res, error, {
+      message: "Failed to broadcast transaction",
+      endpoint: "/api/tx/broadcast",
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/tx/queue:
+ *   get:
+ *     summary: Get Transaction Queue Status
+ *     description: |
+ *       Shows the server wallet's local nonce and the transactions it has sent that are not mined yet.
+ *       Stuck or dropped transactions are re-sent automatically with a higher fee.
+ *     tags: [Transactions]
+ *     responses:
+ *       200:
+ *         description: Queue status retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     signer:
+ *                       $ref: '#/components/schemas/EthereumAddress'
+ *                     nextNonce:
+ *                       type: number
+ *                       nullable: true
+ *                       example: 42
+ *                     inFlight:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           nonce:
+ *                             type: number
+ *                             example: 41
+ *                           hash:
+ *                             type: string
+ *                             example: "0x1234567890abcdef1234567890abcdef12345678"
+ *                           sentAt:
+ *                             type: string
+ *                             format: date-time
+ *                           replacements:
+ *                             type: number
+ *                             example: 0
+ *                           stuck:
+ *                             type: boolean
+ *                             description: Still unmined after TX_MAX_REPLACEMENTS re-sends; later nonces wait for it
+ *                             example: false
+ *                 message:
+ *                   type: string
+ *                   example: "Transaction queue status retrieved successfully"
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get("/queue", async (req, res) => {
+  try {
+    let signer;
+    try {
+      signer = getSigner();
+    } catch (error) {
+      await initializeContract();
+      signer = getSigner();
+    }
+
+    res.json({
+      success: true,
+      data: {
+        signer: await signer.getAddress(),
+        ...signer.getStatus(),
+      },
+      message: "Transaction queue status retrieved successfully",
+    });
+  } catch (error) {
+    console.error("Error in /api/tx/queue:", error.message);
+    sendErrorResponse(res, error, {
+      message: "Failed to fetch transaction queue status",
+      endpoint: "/api/tx/queue",
+    });
+  }
+});
+
+module.exports = router;
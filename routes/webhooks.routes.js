@@ -0,0 +1,575 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const WebhookSubscription = require("../models/webhookSubscription.model");
+const WebhookDelivery = require("../models/webhookDelivery.model");
+const {
+  WEBHOOK_EVENT_TYPES,
+  generateWebhookSecret,
+  replayDelivery,
+  formatSubscription,
+  formatDelivery,
+} = require("../utils/webhooks");
+const { sendErrorResponse } = require("../utils/contractErrors");
+const { requireRole } = require("../utils/auth");
+const router = express.Router();
+
+// Webhooks push data to external systems: admin only
+router.use(requireRole("admin"));
+
+const DELIVERY_STATUSES = ["pending", "succeeded", "failed"];
+
+function invalidInput(res, endpoint, message, details) {
+  return res.status(400).json({
+    success: false,
+    error: {
+      message,
+      details,
+      code: "INVALID_INPUT",
+      timestamp: new Date().toISOString(),
+      endpoint,
+    },
+  });
+}
+
+function notFound(res, endpoint, message) {
+  return res.status(404).json({
+    success: false,
+    error: {
+      message,
+      code: "NOT_FOUND",
+      timestamp: new Date().toISOString(),
+      endpoint,
+    },
+  });
+}
+
+function isHttpUrl(value) {
+  try {
+    return ["http:", "https:"].includes(new URL(value).protocol);
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     WebhookSubscription:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           example: "665f1c2e9b1d4a0012345678"
+ *         url:
+ *           type: string
+ *           example: "https://cases.example.com/hooks/land"
+ *         events:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [transfer.requested, transfer.approved, transfer.fully_approved, transfer.executed, plot.created, token.created]
+ *         description:
+ *           type: string
+ *         active:
+ *           type: boolean
+ *         createdBy:
+ *           type: string
+ *           nullable: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     WebhookDelivery:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         subscriptionId:
+ *           type: string
+ *         eventId:
+ *           type: string
+ *           description: "<transactionHash>:<logIndex>:<eventType>"
+ *         eventType:
+ *           type: string
+ *           example: "transfer.fully_approved"
+ *         status:
+ *           type: string
+ *           enum: [pending, succeeded, failed]
+ *         attemptCount:
+ *           type: number
+ *           description: Attempts since creation or the last replay
+ *         nextAttemptAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         deliveredAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         replayedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         attempts:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               at:
+ *                 type: string
+ *                 format: date-time
+ *               statusCode:
+ *                 type: number
+ *                 nullable: true
+ *               error:
+ *                 type: string
+ *                 nullable: true
+ *               durationMs:
+ *                 type: number
+ *         payload:
+ *           type: object
+ *           description: The `data` field of the delivered body
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/webhooks:
+ *   post:
+ *     summary: Create Webhook Subscription
+ *     description: |
+ *       Registers a URL that receives a signed `POST` for each selected event type. Events are built from
+ *       the contract events the indexer stores (`TransferRequestCreated`, `TransferApproved`, `TransferExecuted`,
+ *       `PlotCreated`, `TokenCreated`), so they fire for writes made through any route or wallet.
+ *
+ *       The body is `{ "id", "type", "createdAt", "data" }`. Each request carries `X-Webhook-Id`,
+ *       `X-Webhook-Event`, `X-Webhook-Timestamp` and `X-Webhook-Signature: sha256=<hex>`, an HMAC-SHA256 of
+ *       `<timestamp>.<raw body>` keyed with the subscription secret. The secret is only returned here.
+ *
+ *       Any non-2xx response or timeout is retried with exponential backoff.
+ *     tags: [Webhooks]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - url
+ *               - events
+ *             properties:
+ *               url:
+ *                 type: string
+ *                 example: "https://cases.example.com/hooks/land"
+ *               events:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [transfer.requested, transfer.approved, transfer.fully_approved, transfer.executed, plot.created, token.created]
+ *                 example: ["transfer.approved", "transfer.fully_approved", "transfer.executed"]
+ *               description:
+ *                 type: string
+ *                 example: "Bank core system"
+ *     responses:
+ *       201:
+ *         description: Subscription created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/WebhookSubscription'
+ *                     - type: object
+ *                       properties:
+ *                         secret:
+ *                           type: string
+ *                           example: "whsec_3f2a..."
+ *                 message:
+ *                   type: string
+ *                   example: "Webhook subscription created successfully"
+ *       400:
+ *         description: Bad request - invalid URL or event type
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post("/", async (req, res) => {
+  const endpoint = "/api/webhooks";
+  try {
+    const { url, events, description } = req.body;
+
+    if (typeof url !== "string" || !isHttpUrl(url)) {
+      return invalidInput(
+        res,
+        endpoint,
+        "Invalid webhook URL",
+        "url must be an absolute http(s) URL"
+      );
+    }
+    if (
+      !Array.isArray(events) ||
+      events.length === 0 ||
+      !events.every((event) => WEBHOOK_EVENT_TYPES.includes(event))
+    ) {
+      return invalidInput(
+        res,
+        endpoint,
+        "Invalid event types",
+        `events must be a non-empty array of: ${WEBHOOK_EVENT_TYPES.join(", ")}`
+      );
+    }
+
+    const subscription = await WebhookSubscription.create({
+      url,
+      events: [...new Set(events)],
+      description: typeof description === "string" ? description : "",
+      secret: generateWebhookSecret(),
+      createdBy: req.principal?.id ?? null,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: formatSubscription(subscription, { includeSecret: true }),
+      message: "Webhook subscription created successfully",
+    });
+  } catch (error) {
+    console.error("Error in POST /api/webhooks:", error.message);
+    sendErrorResponse(res, error, {
+      message: "Failed to create webhook subscription",
+      endpoint,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/webhooks:
+ *   get:
+ *     summary: List Webhook Subscriptions
+ *     tags: [Webhooks]
+ *     responses:
+ *       200:
+ *         description: Subscriptions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     subscriptions:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/WebhookSubscription'
+ *                     eventTypes:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                 message:
+ *                   type: string
+ *                   example: "Webhook subscriptions retrieved successfully"
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get("/", async (req, res) => {
+  try {
+    const subscriptions = await WebhookSubscription.find()
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.json({
+      success: true,
+      data: {
+        subscriptions: subscriptions.map((doc) => formatSubscription(doc)),
+        eventTypes: WEBHOOK_EVENT_TYPES,
+      },
+      message: "Webhook subscriptions retrieved successfully",
+    });
+  } catch (error) {
+    console.error("Error in GET /api/webhooks:", error.message);
+    sendErrorResponse(res, error, {
+      message: "Failed to fetch webhook subscriptions",
+      endpoint: "/api/webhooks",
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/webhooks/{id}:
+ *   delete:
+ *     summary: Delete Webhook Subscription
+ *     description: Stops all deliveries to the subscription. Its delivery log is kept.
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Subscription deleted
+ *       404:
+ *         description: Subscription not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.delete("/:id", async (req, res) => {
+  const endpoint = "/api/webhooks/:id";
+  try {
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id)) {
+      return invalidInput(res, endpoint, "Invalid subscription ID");
+    }
+
+    const subscription = await WebhookSubscription.findByIdAndDelete(id).lean();
+    if (!subscription) {
+      return notFound(res, endpoint, "Webhook subscription not found");
+    }
+
+    res.json({
+      success: true,
+      data: formatSubscription(subscription),
+      message: "Webhook subscription deleted successfully",
+    });
+  } catch (error) {
+    console.error("Error in DELETE /api/webhooks/:id:", error.message);
+    sendErrorResponse(res, error, {
+      message: "Failed to delete webhook subscription",
+      endpoint,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/webhooks/{id}/deliveries:
+ *   get:
+ *     summary: Get Webhook Delivery Log
+ *     description: Deliveries to one subscription, newest first, with every attempt and the delivered payload.
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - name: status
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [pending, succeeded, failed]
+ *       - name: eventType
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: string
+ *       - name: page
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - name: limit
+ *         in: query
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 200
+ *     responses:
+ *       200:
+ *         description: Deliveries retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     deliveries:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/WebhookDelivery'
+ *                     page:
+ *                       type: number
+ *                     limit:
+ *                       type: number
+ *                     total:
+ *                       type: number
+ *                 message:
+ *                   type: string
+ *                   example: "Webhook deliveries retrieved successfully"
+ *       400:
+ *         description: Bad request - invalid ID or filter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get("/:id/deliveries", async (req, res) => {
+  const endpoint = "/api/webhooks/:id/deliveries";
+  try {
+    const { id } = req.params;
+    const { status, eventType } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    if (!mongoose.isValidObjectId(id)) {
+      return invalidInput(res, endpoint, "Invalid subscription ID");
+    }
+    if (status && !DELIVERY_STATUSES.includes(status)) {
+      return invalidInput(
+        res,
+        endpoint,
+        "Invalid status",
+        `status must be one of: ${DELIVERY_STATUSES.join(", ")}`
+      );
+    }
+
+    const filter = { subscription: id };
+    if (status) filter.status = status;
+    if (eventType) filter.eventType = eventType;
+
+    const [deliveries, total] = await Promise.all([
+      WebhookDelivery.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      WebhookDelivery.countDocuments(filter),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        deliveries: deliveries.map(formatDelivery),
+        page,
+        limit,
+        total,
+      },
+      message: "Webhook deliveries retrieved successfully",
+    });
+  } catch (error) {
+    console.error("Error in /api/webhooks/:id/deliveries:", error.message);
+    sendErrorResponse(res, error, {
+      message: "Failed to fetch webhook deliveries",
+      endpoint,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/webhooks/deliveries/{deliveryId}/replay:
+ *   post:
+ *     summary: Replay Webhook Delivery
+ *     description: |
+ *       Sends a delivery again with its original body and ID (receivers should de-duplicate on `X-Webhook-Id`),
+ *       whatever its status, with a fresh retry budget. The new attempts are appended to its log.
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - name: deliveryId
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       202:
+ *         description: Delivery queued for another attempt
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/WebhookDelivery'
+ *                 message:
+ *                   type: string
+ *                   example: "Webhook delivery queued for replay"
+ *       404:
+ *         description: Delivery not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post("/deliveries/:deliveryId/replay", async (req, res) => {
+  const endpoint = "/api/webhooks/deliveries/:deliveryId/replay";
+  try {
+    const { deliveryId } = req.params;
+    if (!mongoose.isValidObjectId(deliveryId)) {
+      return invalidInput(res, endpoint, "Invalid delivery ID");
+    }
+
+    const delivery = await replayDelivery(deliveryId);
+    if (!delivery) {
+      return notFound(res, endpoint, "Webhook delivery not found");
+    }
+
+    res.status(202).json({
+      success: true,
+      data: formatDelivery(delivery),
+      message: "Webhook delivery queued for replay",
+    });
+  } catch (error) {
+    console.error("Error in " + endpoint + ":", error.message);
+    sendErrorResponse(res, error, {
+      message: "Failed to replay webhook delivery",
+      endpoint,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,173 @@
+const crypto = require("crypto");
+const { ethers } = require("ethers");
+const ApprovalSignature = require("../models/approvalSignature.model");
+const { APPROVER_ROLE_IDS } = require("./auth");
+require("dotenv").config();
+
+// EIP-712 approval configuration
+const EIP712_DOMAIN_NAME = process.env.EIP712_DOMAIN_NAME || "LandManagement";
+const APPROVAL_SIGNATURE_TTL_SECONDS = parseInt(
+  process.env.APPROVAL_SIGNATURE_TTL_SECONDS || "900"
+);
+
+const APPROVAL_TYPES = {
+  TransferApproval: [
+    { name: "requestId", type: "uint256" },
+    { name: "role", type: "uint8" },
+    { name: "deadline", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+  ],
+};
+
+// ROLE_HOLDERS format: "<role>:<address>,<role>:<address>,..." where role is
+// land-authority, bank or lawyer. A role may have several holders.
+function parseRoleHolders(value) {
+  const holders = new Map();
+  for (const entry of (value || "").split(",")) {
+    if (!entry.trim()) continue;
+    const [role, address] = entry.trim().split(":");
+    const roleId = APPROVER_ROLE_IDS[role];
+    if (!roleId || !ethers.isAddress(address)) {
+      console.warn(`Ignoring invalid ROLE_HOLDERS entry "${entry.trim()}"`);
+      continue;
+    }
+    if (!holders.has(roleId)) holders.set(roleId, new Set());
+    holders.get(roleId).add(address.toLowerCase());
+  }
+  return holders;
+}
+
+const ROLE_HOLDERS = parseRoleHolders(process.env.ROLE_HOLDERS);
+
+function isRoleHolder(address, roleId) {
+  return ROLE_HOLDERS.get(roleId)?.has(address.toLowerCase()) || false;
+}
+
+async function getApprovalDomain(contract) {
+  const network = await contract.runner.provider.getNetwork();
+  return {
+    name: EIP712_DOMAIN_NAME,
+    version: "1",
+    chainId: network.chainId.toString(),
+    verifyingContract: await contract.getAddress(),
+  };
+}
+
+// Typed data an approver signs to approve `requestId` in `role`, with a
+// fresh random nonce and a deadline APPROVAL_SIGNATURE_TTL_SECONDS from now
+async function buildApprovalTypedData(contract, requestId, role) {
+  return {
+    domain: await getApprovalDomain(contract),
+    types: APPROVAL_TYPES,
+    primaryType: "TransferApproval",
+    message: {
+      requestId: requestId.toString(),
+      role,
+      deadline: Math.floor(Date.now() / 1000) + APPROVAL_SIGNATURE_TTL_SECONDS,
+      nonce: BigInt(`0x${crypto.randomBytes(16).toString("hex")}`).toString(),
+    },
+  };
+}
+
+function rejection(statusCode, code, details) {
+  return { error: { statusCode, code, details } };
+}
+
+// Recover the signer of an approval and check it may be used: deadline not
+// passed, signer registered for the role, nonce not used before.
+// Returns { signer } or { error: { statusCode, code, details } }.
+async function verifyApprovalSignature(contract, approval) {
+  const { requestId, role, deadline, nonce, signature } = approval;
+
+  let signer;
+  try {
+    signer = ethers.verifyTypedData(
+      await getApprovalDomain(contract),
+      APPROVAL_TYPES,
+      { requestId, role, deadline, nonce },
+      signature
+    );
+  } catch (e) {
+    return rejection(
+      401,
+      "INVALID_SIGNATURE",
+      "Signature could not be decoded"
+    );
+  }
+  signer = signer.toLowerCase();
+
+  if (Number(deadline) <= Math.floor(Date.now() / 1000)) {
+    return rejection(
+      401,
+      "SIGNATURE_EXPIRED",
+      "The signature deadline has passed"
+    );
+  }
+
+  if (!isRoleHolder(signer, role)) {
+    return rejection(
+      403,
+      "NOT_ROLE_HOLDER",
+      `${signer} is not a registered holder of role ${role}`
+    );
+  }
+
+  if (await ApprovalSignature.exists({ signer, nonce: nonce.toString() })) {
+    return rejection(
+      409,
+      "SIGNATURE_REPLAYED",
+      "This signature was already used"
+    );
+  }
+
+  return { signer };
+}
+
+// Mark an approval signature as used. Returns false if it already was, which
+// can happen when the same signature is submitted twice at the same time.
+async function consumeApprovalSignature(signer, approval) {
+  try {
+    await ApprovalSignature.create({
+      signer,
+      nonce: approval.nonce.toString(),
+      requestId: approval.requestId.toString(),
+      role: approval.role,
+      deadline: Number(approval.deadline),
+      signature: approval.signature,
+    });
+    return true;
+  } catch (error) {
+    if (error.code === 11000) return false;
+    throw error;
+  }
+}
+
+// Make a consumed approval signature usable again, for when the approval it
+// was consumed for never took effect on chain
+async function releaseApprovalSignature(signer, approval) {
+  await ApprovalSignature.deleteOne({
+    signer,
+    nonce: approval.nonce.toString(),
+  });
+}
+
+// Release the signature of an approval whose job failed (reverted or
+// dropped). Registered with the job tracker in index.js, so approvals that
+// settle after their request returned (async mode or a sync wait that
+// timed out) do not burn the signature.
+async function releaseFailedApprovalSignature(job) {
+  if (job.functionName !== "delegateApproveTransfer") return;
+  if (job.status !== "failed") return;
+  const { signerWallet, nonce } = job.requestBody || {};
+  if (!signerWallet || nonce === undefined) return;
+  await releaseApprovalSignature(signerWallet.toLowerCase(), { nonce });
+}
+
+module.exports = {
+  APPROVAL_TYPES,
+  buildApprovalTypedData,
+  verifyApprovalSignature,
+  consumeApprovalSignature,
+  releaseApprovalSignature,
+  releaseFailedApprovalSignature,
+};
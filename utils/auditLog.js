@@ -0,0 +1,264 @@
+const AuditLog = require("../models/auditLog.model");
+const Job = require("../models/job.model");
+const { getContract, getProvider } = require("./contractInstance");
+const { parseReceiptEvents } = require("./receiptEvents");
+
+const AUDIT_WRITE_ATTEMPTS = 3;
+
+function principalFields(principal) {
+  if (!principal) return {};
+  const { id, role, address, method } = principal;
+  return { id, role, address, method };
+}
+
+function errorFields(error) {
+  if (!error) return {};
+  const { message, code, details } = error;
+  return {
+    message: message ?? null,
+    code: code ?? null,
+    details:
+      details === undefined || details === null
+        ? null
+        : typeof details === "string"
+        ? details
+        : JSON.stringify(details),
+  };
+}
+
+// Receipt, decoded events and final outcome of a transaction the route
+// waited for. Falls back to the response body if the node cannot return it.
+async function settledTransaction(transaction) {
+  let receipt = null;
+  try {
+    receipt = await getProvider().getTransactionReceipt(transaction.hash);
+  } catch (error) {
+    console.error("Failed to fetch receipt for audit log:", error.message);
+  }
+
+  const status = receipt ? receipt.status : transaction.status ?? null;
+  return {
+    outcome: status === 0 ? "reverted" : "mined",
+    transaction: {
+      hash: transaction.hash,
+      from: receipt?.from ?? transaction.from ?? null,
+      to: receipt?.to ?? transaction.to ?? null,
+    },
+    receipt: {
+      blockNumber: receipt?.blockNumber ?? null,
+      status,
+      gasUsed: receipt?.gasUsed?.toString() ?? transaction.gasUsed ?? null,
+    },
+    events: receipt ? parseReceiptEvents(getContract(), receipt) : [],
+  };
+}
+
+// Store an entry, retrying transient database errors. An entry that still
+// cannot be stored is logged in full, so it can be recovered from the logs.
+async function appendAuditEntry(entry) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await AuditLog.create(entry);
+    } catch (error) {
+      if (attempt >= AUDIT_WRITE_ATTEMPTS) {
+        console.error(
+          `Failed to write audit log entry (${error.message}):`,
+          JSON.stringify(entry)
+        );
+        return null;
+      }
+      await new Promise((resolve) => setTimeout(resolve, 500 * attempt));
+    }
+  }
+}
+
+// Caller and request fields shared by every entry of one API call
+function requestFields(req) {
+  return {
+    principal: principalFields(req.principal),
+    ip: req.ip ?? null,
+    method: req.method,
+    endpoint: req.originalUrl.split("?")[0],
+    requestBody: req.body ?? {},
+  };
+}
+
+// Build and store the entry for one write from its response body
+async function recordWrite(req, statusCode, body, functionName) {
+  const entry = {
+    ...requestFields(req),
+    functionName,
+    httpStatus: statusCode,
+  };
+  const data = (body && body.data) || {};
+
+  if (!body || !body.success) {
+    entry.outcome = "failed";
+    entry.error = errorFields(body?.error);
+  } else if (data.dryRun) {
+    entry.outcome = "dry-run";
+    entry.functionName = data.functionName;
+    if (data.willRevert) {
+      entry.error = errorFields({
+        message: "Transaction would revert",
+        ...data.error,
+      });
+    }
+  } else if (data.jobId !== undefined) {
+    // Recorded by recordJobSubmission when the job was created, even if the
+    // job itself could not be stored (null jobId)
+    return;
+  } else if (data.transaction?.hash) {
+    Object.assign(entry, await settledTransaction(data.transaction));
+  } else {
+    entry.outcome = "failed";
+  }
+
+  await appendAuditEntry(entry);
+}
+
+// Route middleware: record the write in the audit log once its response has
+// been sent. `functionName` is the contract function the route calls; for
+// routes that call different functions it is read from the job.
+function auditWrite(functionName = null) {
+  return (req, res, next) => {
+    let body = null;
+    const json = res.json.bind(res);
+    res.json = (payload) => {
+      body = payload;
+      return json(payload);
+    };
+
+    res.on("finish", () => {
+      recordWrite(req, res.statusCode, body, functionName).catch((error) => {
+        console.error("Failed to write audit log entry:", error.message);
+      });
+    });
+    next();
+  };
+}
+
+// Record an async write as submitted. Called by createJob right after the
+// broadcast, before the job is watched; never throws.
+async function recordJobSubmission(req, job) {
+  await appendAuditEntry({
+    ...requestFields(req),
+    functionName: job.functionName,
+    httpStatus: 202,
+    outcome: "submitted",
+    jobId: job._id?.toString() ?? null,
+    transaction: job.transaction,
+  });
+}
+
+// Append the final outcome of an async write once its job has settled.
+// The caller is copied from the submission entry; if that entry could not
+// be stored, the outcome is still recorded from the job alone. Called by the
+// job tracker; failures are logged, never thrown.
+async function recordJobOutcome(jobId) {
+  try {
+    const job = await Job.findById(jobId).lean();
+    const submitted = await AuditLog.findOne({
+      jobId: jobId.toString(),
+      outcome: "submitted",
+    }).lean();
+
+    let outcome = "mined";
+    if (job.status === "failed") {
+      outcome = job.error?.code === "TX_DROPPED" ? "dropped" : "reverted";
+    }
+
+    await appendAuditEntry({
+      principal: submitted?.principal ?? {},
+      ip: submitted?.ip ?? null,
+      method: submitted?.method ?? "POST",
+      endpoint: submitted?.endpoint ?? job.endpoint,
+      requestBody: submitted?.requestBody ?? job.requestBody,
+      functionName: job.functionName,
+      outcome,
+      jobId: jobId.toString(),
+      transaction: job.transaction,
+      receipt: job.receipt,
+      events: job.events,
+      error: errorFields(job.error),
+    });
+  } catch (error) {
+    console.error(`Failed to audit outcome of job ${jobId}:`, error.message);
+  }
+}
+
+// Shape a stored entry for API responses
+function formatAuditEntry(doc) {
+  return {
+    id: doc._id.toString(),
+    createdAt: doc.createdAt,
+    principal: doc.principal?.id ? doc.principal : null,
+    ip: doc.ip,
+    method: doc.method,
+    endpoint: doc.endpoint,
+    requestBody: doc.requestBody,
+    functionName: doc.functionName,
+    outcome: doc.outcome,
+    httpStatus: doc.httpStatus,
+    jobId: doc.jobId,
+    transaction: doc.transaction?.hash ? doc.transaction : null,
+    receipt: doc.receipt?.status != null ? doc.receipt : null,
+    events: doc.events,
+    error: doc.error?.message ? doc.error : null,
+  };
+}
+
+// CSV export columns: header and value for one stored entry
+const AUDIT_CSV_COLUMNS = [
+  ["createdAt", (doc) => doc.createdAt?.toISOString()],
+  ["principalId", (doc) => doc.principal?.id],
+  ["role", (doc) => doc.principal?.role],
+  ["callerAddress", (doc) => doc.principal?.address],
+  ["authMethod", (doc) => doc.principal?.method],
+  ["ip", (doc) => doc.ip],
+  ["method", (doc) => doc.method],
+  ["endpoint", (doc) => doc.endpoint],
+  ["functionName", (doc) => doc.functionName],
+  ["outcome", (doc) => doc.outcome],
+  ["httpStatus", (doc) => doc.httpStatus],
+  ["jobId", (doc) => doc.jobId],
+  ["transactionHash", (doc) => doc.transaction?.hash],
+  ["from", (doc) => doc.transaction?.from],
+  ["to", (doc) => doc.transaction?.to],
+  ["blockNumber", (doc) => doc.receipt?.blockNumber],
+  ["receiptStatus", (doc) => doc.receipt?.status],
+  ["gasUsed", (doc) => doc.receipt?.gasUsed],
+  ["events", (doc) => JSON.stringify(doc.events ?? [])],
+  ["requestBody", (doc) => JSON.stringify(doc.requestBody ?? {})],
+  ["errorCode", (doc) => doc.error?.code],
+  ["errorMessage", (doc) => doc.error?.message],
+];
+
+// Quote a CSV field. Values starting with a formula character are prefixed
+// with ' so spreadsheets do not evaluate caller-supplied text.
+function csvField(value) {
+  if (value === undefined || value === null) return "";
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function auditCsvHeader() {
+  return AUDIT_CSV_COLUMNS.map(([name]) => name).join(",") + "\r\n";
+}
+
+function auditCsvRow(doc) {
+  return (
+    AUDIT_CSV_COLUMNS.map(([, value]) => csvField(value(doc))).join(",") +
+    "\r\n"
+  );
+}
+
+module.exports = {
+  auditWrite,
+  recordJobSubmission,
+  recordJobOutcome,
+  formatAuditEntry,
+  auditCsvHeader,
+  auditCsvRow,
+};
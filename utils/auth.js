@@ -0,0 +1,239 @@
+const crypto = require("crypto");
+require("dotenv").config();
+
+// Authentication configuration
+const AUTH_ENABLED = process.env.AUTH_ENABLED !== "false";
+const JWT_SECRET = process.env.JWT_SECRET || "";
+const JWT_EXPIRES_IN_SECONDS = parseInt(
+  process.env.JWT_EXPIRES_IN_SECONDS || "3600"
+);
+
+const ROLES = [
+  "admin",
+  "land-authority",
+  "bank",
+  "lawyer",
+  "owner",
+  "read-only",
+];
+
+// Contract approver roles (delegateApproveTransfer `role` argument) by API role
+const APPROVER_ROLE_IDS = {
+  "land-authority": 1,
+  bank: 2,
+  lawyer: 3,
+};
+
+// API_KEYS format: "<key>:<role>[:<address>],<key>:<role>[:<address>],..."
+function parseApiKeys(value) {
+  const keys = new Map();
+  for (const entry of (value || "").split(",")) {
+    if (!entry.trim()) continue;
+    const [key, role, address] = entry.trim().split(":");
+    if (!key || !ROLES.includes(role)) {
+      console.warn(`Ignoring invalid API_KEYS entry for role "${role}"`);
+      continue;
+    }
+    keys.set(key, { role, address: address ? address.toLowerCase() : null });
+  }
+  return keys;
+}
+
+const API_KEYS = parseApiKeys(process.env.API_KEYS);
+
+function base64UrlJson(value) {
+  return Buffer.from(JSON.stringify(value)).toString("base64url");
+}
+
+function hashKey(key) {
+  return crypto.createHash("sha256").update(key).digest("hex");
+}
+
+function hmac(data) {
+  return crypto.createHmac("sha256", JWT_SECRET).update(data).digest();
+}
+
+// Issue an HS256 JWT for a principal
+function signJwt({ id, role, address }, expiresIn = JWT_EXPIRES_IN_SECONDS) {
+  if (!JWT_SECRET) {
+    throw new Error("JWT_SECRET is not configured");
+  }
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64UrlJson({ alg: "HS256", typ: "JWT" });
+  const payload = base64UrlJson({
+    sub: id,
+    role,
+    address: address || undefined,
+    iat: now,
+    exp: now + expiresIn,
+  });
+  const signature = hmac(`${header}.${payload}`).toString("base64url");
+  return `${header}.${payload}.${signature}`;
+}
+
+// Verify an HS256 JWT and return its claims, or null if it is invalid or expired
+function verifyJwt(token) {
+  if (!JWT_SECRET) return null;
+
+  const parts = token.split(".");
+  if (parts.length !== 3) return null;
+  const [header, payload, signature] = parts;
+
+  const expected = hmac(`${header}.${payload}`);
+  const given = Buffer.from(signature, "base64url");
+  if (
+    given.length !== expected.length ||
+    !crypto.timingSafeEqual(given, expected)
+  ) {
+    return null;
+  }
+
+  let claims;
+  try {
+    const { alg } = JSON.parse(Buffer.from(header, "base64url").toString());
+    if (alg !== "HS256") return null;
+    claims = JSON.parse(Buffer.from(payload, "base64url").toString());
+  } catch (e) {
+    return null;
+  }
+
+  if (!claims.exp || claims.exp <= Math.floor(Date.now() / 1000)) return null;
+  return claims;
+}
+
+// Strategies turn a request into a principal. Each returns undefined when its
+// credentials are absent, null when they are present but invalid, or a
+// principal { id, role, address, method }. They only read req.headers, so
+// they also work on raw WebSocket upgrade requests.
+function apiKeyStrategy(req) {
+  const key = req.headers["x-api-key"];
+  if (!key) return undefined;
+
+  const entry = API_KEYS.get(key);
+  if (!entry) return null;
+  return {
+    id: `api-key:${hashKey(key).slice(0, 12)}`,
+    role: entry.role,
+    address: entry.address,
+    method: "api-key",
+  };
+}
+
+// Principal for a JWT, or null if it is invalid or expired
+function principalFromJwt(token) {
+  const claims = verifyJwt(token);
+  if (!claims || !ROLES.includes(claims.role)) return null;
+  return {
+    id: claims.sub,
+    role: claims.role,
+    address: claims.address ? claims.address.toLowerCase() : null,
+    method: "jwt",
+  };
+}
+
+function jwtStrategy(req) {
+  const header = req.headers.authorization;
+  if (!header || !header.startsWith("Bearer ")) return undefined;
+  return principalFromJwt(header.slice("Bearer ".length).trim());
+}
+
+const strategies = [apiKeyStrategy, jwtStrategy];
+
+// Add another way of authenticating requests (tried after the built-in ones)
+function registerAuthStrategy(strategy) {
+  strategies.push(strategy);
+}
+
+function authError(res, status, message, details, code) {
+  return res.status(status).json({
+    success: false,
+    error: {
+      message,
+      details,
+      code,
+      timestamp: new Date().toISOString(),
+      endpoint: res.req.originalUrl.split("?")[0],
+    },
+  });
+}
+
+// Run the strategies in order; same return convention as a strategy
+async function resolvePrincipal(req) {
+  for (const strategy of strategies) {
+    const principal = await strategy(req);
+    if (principal !== undefined) return principal;
+  }
+  return undefined;
+}
+
+// Resolve the caller's principal into req.principal. Requests without
+// credentials continue anonymously; invalid credentials are rejected here.
+async function authenticate(req, res, next) {
+  req.principal = null;
+  if (!AUTH_ENABLED) return next();
+
+  try {
+    const principal = await resolvePrincipal(req);
+    if (principal === null) {
+      return authError(
+        res,
+        401,
+        "Invalid credentials",
+        "The API key or token is unknown, malformed or expired",
+        "UNAUTHORIZED"
+      );
+    }
+    req.principal = principal || null;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Route guard: only principals with one of `roles` get through. Admins are
+// always allowed. With no roles given, any authenticated principal passes.
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!AUTH_ENABLED) return next();
+
+    if (!req.principal) {
+      return authError(
+        res,
+        401,
+        "Authentication required",
+        "Provide an X-API-Key header or an Authorization: Bearer token",
+        "UNAUTHORIZED"
+      );
+    }
+
+    const { role } = req.principal;
+    if (role !== "admin" && roles.length > 0 && !roles.includes(role)) {
+      const allowed = [...new Set(["admin", ...roles])].join(", ");
+      return authError(
+        res,
+        403,
+        "Insufficient role",
+        `This endpoint requires one of: ${allowed}`,
+        "FORBIDDEN"
+      );
+    }
+    next();
+  };
+}
+
+const requireAuth = requireRole();
+
+module.exports = {
+  AUTH_ENABLED,
+  JWT_EXPIRES_IN_SECONDS,
+  ROLES,
+  APPROVER_ROLE_IDS,
+  signJwt,
+  verifyJwt,
+  principalFromJwt,
+  registerAuthStrategy,
+  resolvePrincipal,
+  authenticate,
+  requireRole,
+  requireAuth,
+};
@@ -0,0 +1,127 @@
+const { initializeContract, getProvider } = require("./contractInstance");
+const { sendErrorResponse } = require("./contractErrors");
+
+const BLOCK_NUMBER_PATTERN = /^\d+$/;
+const ISO_DATE_PATTERN =
+  /^\d{4}-\d{2}-\d{2}([T ][\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+// Block timestamps never change once mined, so binary searches share them
+const MAX_CACHED_TIMESTAMPS = 10000;
+const blockTimestamps = new Map();
+
+async function getBlockTimestamp(provider, blockNumber) {
+  if (!blockTimestamps.has(blockNumber)) {
+    const block = await provider.getBlock(blockNumber);
+    if (blockTimestamps.size >= MAX_CACHED_TIMESTAMPS) blockTimestamps.clear();
+    blockTimestamps.set(blockNumber, block.timestamp);
+  }
+  return blockTimestamps.get(blockNumber);
+}
+
+// Last block mined at or before `timestamp` (seconds), by binary search over
+// block timestamps. Returns null if it is before the first block.
+async function findBlockAtTimestamp(provider, timestamp, latestBlock) {
+  if (latestBlock.timestamp <= timestamp) return latestBlock.number;
+  if ((await getBlockTimestamp(provider, 0)) > timestamp) return null;
+
+  let low = 0;
+  let high = latestBlock.number;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if ((await getBlockTimestamp(provider, mid)) <= timestamp) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return low;
+}
+
+// Resolve a blockTag query value (block number or ISO date) to a mined block.
+// Returns { block: { number, timestamp } } or { error } for invalid input.
+async function resolveBlockTag(provider, value) {
+  const latestBlock = await provider.getBlock("latest");
+  let blockNumber;
+
+  if (BLOCK_NUMBER_PATTERN.test(value)) {
+    blockNumber = parseInt(value);
+    if (blockNumber > latestBlock.number) {
+      return {
+        error: `Block ${blockNumber} is not mined yet (latest is ${latestBlock.number})`,
+      };
+    }
+  } else if (ISO_DATE_PATTERN.test(value) && !isNaN(Date.parse(value))) {
+    const timestamp = Math.floor(Date.parse(value) / 1000);
+    if (timestamp > Math.floor(Date.now() / 1000)) {
+      return { error: `${value} is in the future` };
+    }
+    blockNumber = await findBlockAtTimestamp(provider, timestamp, latestBlock);
+    if (blockNumber === null) {
+      return { error: `${value} is before the first block of the chain` };
+    }
+  } else {
+    return {
+      error:
+        "blockTag must be a block number or an ISO 8601 date (e.g. 2025-01-31T12:00:00Z)",
+    };
+  }
+
+  return {
+    block: {
+      number: blockNumber,
+      timestamp: new Date(
+        (await getBlockTimestamp(provider, blockNumber)) * 1000
+      ).toISOString(),
+    },
+  };
+}
+
+// Route middleware: with ?blockTag=..., pin the request's contract reads to
+// that block (req.blockTag) and add the block to successful responses
+async function historicalReads(req, res, next) {
+  req.blockTag = null;
+  const { blockTag } = req.query;
+  if (blockTag === undefined || blockTag === "latest") return next();
+
+  const endpoint = req.originalUrl.split("?")[0];
+  try {
+    let provider;
+    try {
+      provider = getProvider();
+    } catch (error) {
+      await initializeContract();
+      provider = getProvider();
+    }
+
+    const { block, error } = await resolveBlockTag(provider, String(blockTag));
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: "Invalid blockTag",
+          details: error,
+          code: "INVALID_INPUT",
+          timestamp: new Date().toISOString(),
+          endpoint,
+        },
+      });
+    }
+
+    req.blockTag = block.number;
+    res.set("X-Block-Number", block.number.toString());
+    const json = res.json.bind(res);
+    res.json = (body) => json(body && body.success ? { ...body, block } : body);
+    next();
+  } catch (error) {
+    console.error("Error resolving blockTag:", error.message);
+    sendErrorResponse(res, error, {
+      message: "Failed to resolve blockTag",
+      endpoint,
+    });
+  }
+}
+
+module.exports = {
+  resolveBlockTag,
+  historicalReads,
+};
@@ -0,0 +1,114 @@
+const TransferRequest = require("../models/transferRequest.model");
+const { getContract, getProvider } = require("./contractInstance");
+const { normalizeEvent } = require("./eventIndexer");
+const { getViewCache, eventTags, GLOBAL_TAG } = require("./viewCache");
+require("dotenv").config();
+
+// Block watcher configuration
+const CACHE_BLOCK_POLL_INTERVAL_MS = parseInt(
+  process.env.CACHE_BLOCK_POLL_INTERVAL_MS || "4000"
+);
+// Larger gaps (e.g. after the RPC was unreachable) clear the whole cache
+const CACHE_MAX_BLOCK_GAP = parseInt(process.env.CACHE_MAX_BLOCK_GAP || "500");
+
+let timer = null;
+let lastBlock = null;
+
+// Drop cached views touched by one contract event. Registered with the event
+// indexer in index.js and called by the block watcher for unconfirmed blocks.
+async function invalidateCachedViews(eventDoc) {
+  const cache = getViewCache();
+  if (!cache) return;
+
+  await cache.invalidate(eventTags(eventDoc));
+
+  // TransferExecuted does not carry the plot, but the plot's shareholder and
+  // ownership entries are keyed by it. It is read from the transfer request
+  // projection: requestStatus() only answers the request's sender.
+  if (eventDoc.event === "TransferExecuted" && eventDoc.plotId === null) {
+    const request = await TransferRequest.findOne({
+      requestId: Number(eventDoc.requestId),
+    })
+      .select("plotId")
+      .lean();
+    if (request?.plotId != null) {
+      await cache.invalidate([`plot:${request.plotId}`]);
+    }
+  }
+}
+
+// Invalidate for every contract log in the blocks since the last check, then
+// advance the block number cached reads are reported at. Unscoped entries
+// are dropped on every new block: admin address setters emit no event.
+async function checkNewBlocks() {
+  const cache = getViewCache();
+  const contract = getContract();
+  const provider = getProvider();
+
+  const head = await provider.getBlockNumber();
+  if (lastBlock !== null && head <= lastBlock) return;
+
+  if (lastBlock === null || head - lastBlock > CACHE_MAX_BLOCK_GAP) {
+    await cache.clear();
+  } else {
+    const logs = await provider.getLogs({
+      address: await contract.getAddress(),
+      fromBlock: lastBlock + 1,
+      toBlock: head,
+    });
+    for (const log of logs) {
+      let parsed;
+      try {
+        parsed = contract.interface.parseLog(log);
+      } catch (e) {
+        continue;
+      }
+      if (!parsed) continue;
+      // One failing log must not hold back the others or the block number
+      try {
+        await invalidateCachedViews(normalizeEvent(log, parsed, null));
+      } catch (error) {
+        console.error(
+          `View cache invalidation failed for ${parsed.name} in ${log.transactionHash}:`,
+          error.message
+        );
+      }
+    }
+    await cache.invalidate([GLOBAL_TAG]);
+  }
+
+  lastBlock = head;
+  cache.setBlockNumber(head);
+}
+
+function scheduleNextCheck() {
+  timer = setTimeout(async () => {
+    try {
+      await checkNewBlocks();
+    } catch (error) {
+      // The block number is not advanced, so clients can see reads are behind
+      console.error("View cache block check failed:", error.message);
+    }
+    if (timer) scheduleNextCheck();
+  }, CACHE_BLOCK_POLL_INTERVAL_MS);
+  timer.unref();
+}
+
+// Start following new blocks (requires an initialized contract)
+function startBlockWatcher() {
+  if (!getViewCache() || timer) return;
+  scheduleNextCheck();
+}
+
+function stopBlockWatcher() {
+  if (timer) {
+    clearTimeout(timer);
+    timer = null;
+  }
+}
+
+module.exports = {
+  invalidateCachedViews,
+  startBlockWatcher,
+  stopBlockWatcher,
+};
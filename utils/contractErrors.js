@@ -0,0 +1,161 @@
+const { getContract } = require("./contractInstance");
+const { toPlainValue } = require("./receiptEvents");
+
+// HTTP status and machine-readable code for each custom error in utils/abi.json
+const CUSTOM_ERRORS = {
+  ERC1155InsufficientBalance: { statusCode: 422, code: "INSUFFICIENT_BALANCE" },
+  ERC1155MissingApprovalForAll: { statusCode: 403, code: "MISSING_APPROVAL" },
+  ERC1155InvalidReceiver: { statusCode: 400, code: "INVALID_RECEIVER" },
+  ERC1155InvalidSender: { statusCode: 400, code: "INVALID_SENDER" },
+  ERC1155InvalidApprover: { statusCode: 400, code: "INVALID_APPROVER" },
+  ERC1155InvalidOperator: { statusCode: 400, code: "INVALID_OPERATOR" },
+  ERC1155InvalidArrayLength: { statusCode: 400, code: "INVALID_ARRAY_LENGTH" },
+};
+
+// HTTP status for ethers error codes that are not contract reverts
+const ETHERS_ERRORS = {
+  INVALID_ARGUMENT: 400,
+  NUMERIC_FAULT: 400,
+  INSUFFICIENT_FUNDS: 400,
+  NONCE_EXPIRED: 400,
+  REPLACEMENT_UNDERPRICED: 400,
+  TRANSACTION_REPLACED: 409,
+  NETWORK_ERROR: 502,
+  SERVER_ERROR: 502,
+  TIMEOUT: 504,
+};
+
+// Revert strings that mean the caller is not allowed to do this
+const AUTHORIZATION_REVERT =
+  /not (the )?(owner|authori[sz]ed|sender)|\bonly (the )?(owner|admin|authority|approver)|access denied|unauthori[sz]ed/i;
+
+// Revert data can sit on the error itself or on a nested provider error
+function findRevertData(error) {
+  const seen = new Set();
+  let current = error;
+  while (current && typeof current === "object" && !seen.has(current)) {
+    seen.add(current);
+    if (typeof current.data === "string" && current.data.startsWith("0x")) {
+      return current.data.length > 2 ? current.data : null;
+    }
+    current = current.error || current.info?.error || current.data;
+  }
+  return null;
+}
+
+// Whether an error is a contract revert, as opposed to an RPC or network
+// failure that says nothing about the call itself
+function isRevertError(error) {
+  return error.code === "CALL_EXCEPTION" || findRevertData(error) !== null;
+}
+
+function decodeRevertData(data) {
+  let contract;
+  try {
+    contract = getContract();
+  } catch (e) {
+    return null;
+  }
+  try {
+    return contract.interface.parseError(data);
+  } catch (e) {
+    return null;
+  }
+}
+
+// Name the decoded arguments after the error's ABI inputs where known
+function formatRevertArgs(decoded) {
+  const inputs = decoded.fragment ? decoded.fragment.inputs : [];
+  const args = {};
+  Array.from(decoded.args).forEach((value, index) => {
+    args[inputs[index]?.name || `arg${index}`] = toPlainValue(value);
+  });
+  return args;
+}
+
+// Translate an ethers / contract error into an HTTP status, machine-readable
+// code, readable details and (for reverts) the decoded custom error
+function translateContractError(error) {
+  const data = findRevertData(error);
+  const decoded = data ? decodeRevertData(data) : error.revert || null;
+
+  if (decoded) {
+    const args = formatRevertArgs(decoded);
+    const revert = { name: decoded.name, signature: decoded.signature, args };
+
+    if (decoded.name === "Error") {
+      const reason = String(decoded.args[0]);
+      return {
+        statusCode: AUTHORIZATION_REVERT.test(reason) ? 403 : 422,
+        code: AUTHORIZATION_REVERT.test(reason)
+          ? "NOT_AUTHORIZED"
+          : "CONTRACT_REVERT",
+        details: reason,
+        revert,
+      };
+    }
+    if (decoded.name === "Panic") {
+      return {
+        statusCode: 422,
+        code: "CONTRACT_PANIC",
+        details: `Contract panicked with code ${decoded.args[0]}`,
+        revert,
+      };
+    }
+
+    const mapping = CUSTOM_ERRORS[decoded.name] || {
+      statusCode: 422,
+      code: "CONTRACT_REVERT",
+    };
+    const argList = Object.entries(args)
+      .map(([name, value]) => `${name}=${value}`)
+      .join(", ");
+    return {
+      ...mapping,
+      details: `${decoded.name}(${argList})`,
+      revert,
+    };
+  }
+
+  if (error.code === "CALL_EXCEPTION") {
+    const reason = error.reason || error.shortMessage || error.message;
+    return {
+      statusCode: reason && AUTHORIZATION_REVERT.test(reason) ? 403 : 422,
+      code: "CONTRACT_REVERT",
+      details: reason,
+      revert: null,
+    };
+  }
+
+  return {
+    statusCode: ETHERS_ERRORS[error.code] || 500,
+    code: error.code,
+    details: error.shortMessage || error.message,
+    revert: null,
+  };
+}
+
+// Send the standard error envelope for a failed route.
+// `extra` is merged into the error object (e.g. a route-specific note).
+function sendErrorResponse(res, error, { message, endpoint, ...extra }) {
+  const { statusCode, code, details, revert } = translateContractError(error);
+  res.status(statusCode).json({
+    success: false,
+    error: {
+      message,
+      details,
+      code,
+      ...(revert && { revert }),
+      ...(error.transactionHash && { transactionHash: error.transactionHash }),
+      timestamp: new Date().toISOString(),
+      endpoint,
+      ...extra,
+    },
+  });
+}
+
+module.exports = {
+  isRevertError,
+  translateContractError,
+  sendErrorResponse,
+};
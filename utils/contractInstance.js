@@ -1,6 +1,9 @@
 const { ethers } = require("ethers");
 const path = require("path");
 const fs = require("fs");
+const { QueuedSigner } = require("./txQueue");
+const { createBatchedContract } = require("./multicall");
+const { getViewCache } = require("./viewCache");
 require("dotenv").config();
 
 // Contract configuration
@@ -13,6 +16,7 @@ const RPC_URL =
 // Think of this as "plugging into" the Ethereum network
 
 let contract;
+let readContract;
 let provider;
 let signer;
 
@@ -37,7 +41,10 @@ async function initializeContract() {
     provider = new ethers.JsonRpcProvider(RPC_URL);
 
     // Create wallet instance that can sign transactions
-    signer = new ethers.Wallet(PRIVATE_KEY, provider);
+    // Wrapped in a queue so concurrent requests get sequential nonces
+    if (signer) signer.stopMonitor();
+    signer = new QueuedSigner(new ethers.Wallet(PRIVATE_KEY, provider));
+    signer.startMonitor();
 
     // Load the contract's interface (ABI)
     const contractABI = loadContractABI();
@@ -46,6 +53,9 @@ async function initializeContract() {
     // Create contract instance - this is your gateway to interact with the smart contract
     contract = new ethers.Contract(CONTRACT_ADDRESS, abi, signer);
 
+    // Same contract with view calls cached and batched through Multicall3
+    readContract = createBatchedContract(contract, { cache: getViewCache() });
+
     return contract;
   } catch (error) {
     console.error("Failed to initialize contract:", error.message);
@@ -63,7 +73,42 @@ function getContract() {
   return contract;
 }
 
+// Get the batched read-only view of the contract (used by getter routes).
+// With a blockTag, reads are made at that block and skip the view cache.
+function getReadContract(blockTag = null) {
+  if (!readContract) {
+    throw new Error(
+      "Contract not initialized. Call initializeContract() first."
+    );
+  }
+  if (blockTag !== null) {
+    return createBatchedContract(contract, { blockTag });
+  }
+  return readContract;
+}
+
+// Get provider instance (used for block and log queries)
+function getProvider() {
+  if (!provider) {
+    throw new Error(
+      "Provider not initialized. Call initializeContract() first."
+    );
+  }
+  return provider;
+}
+
+// Get the queued signer (used for queue status and shutdown)
+function getSigner() {
+  if (!signer) {
+    throw new Error("Signer not initialized. Call initializeContract() first.");
+  }
+  return signer;
+}
+
 module.exports = {
   initializeContract,
   getContract,
+  getReadContract,
+  getProvider,
+  getSigner,
 };
@@ -0,0 +1,30 @@
+const mongoose = require("mongoose");
+require("dotenv").config();
+
+// Database configuration
+const MONGODB_URI =
+  process.env.MONGODB_URI || "mongodb://127.0.0.1:27017/land_management";
+
+// Function to connect to MongoDB
+// Indexed contract history and other backend state live here
+async function connectDatabase() {
+  try {
+    console.log("Connecting to MongoDB...");
+    await mongoose.connect(MONGODB_URI);
+    console.log("MongoDB connected");
+    return mongoose.connection;
+  } catch (error) {
+    console.error("Failed to connect to MongoDB:", error.message);
+    throw new Error(`Database connection failed: ${error.message}`);
+  }
+}
+
+// Close the MongoDB connection (used on shutdown)
+async function disconnectDatabase() {
+  await mongoose.disconnect();
+}
+
+module.exports = {
+  connectDatabase,
+  disconnectDatabase,
+};
@@ -0,0 +1,333 @@
+const { getContract, getProvider } = require("./contractInstance");
+const ContractEvent = require("../models/contractEvent.model");
+const IndexerState = require("../models/indexerState.model");
+const { toPlainValue } = require("./receiptEvents");
+require("dotenv").config();
+
+// Indexer configuration
+const INDEXER_ENABLED = process.env.INDEXER_ENABLED !== "false";
+const START_BLOCK = process.env.INDEXER_START_BLOCK;
+const BATCH_SIZE = parseInt(process.env.INDEXER_BATCH_SIZE || "2000");
+const POLL_INTERVAL_MS = parseInt(
+  process.env.INDEXER_POLL_INTERVAL_MS || "12000"
+);
+const CONFIRMATIONS = parseInt(process.env.INDEXER_CONFIRMATIONS || "2");
+
+const STATE_KEY = "contract-events";
+
+// Contract events we persist (names as declared in utils/abi.json)
+const INDEXED_EVENTS = [
+  "TokenCreated",
+  "PlotCreated",
+  "TransferRequestCreated",
+  "TransferApproved",
+  "TransferExecuted",
+  "TransferSingle",
+  "TransferBatch",
+];
+
+// Event arguments copied to top-level fields for querying
+const REQUEST_ID_ARGS = ["requestId"];
+const PLOT_ID_ARGS = ["plotId"];
+const TOKEN_ID_ARGS = ["tokenId", "id", "ids", "parcelIds"];
+
+let timer = null;
+let running = false;
+let polling = false;
+let lastError = null;
+const eventHandlers = [];
+
+// Turn a parsed log into the document stored in MongoDB
+function normalizeEvent(log, parsed, blockTimestamp) {
+  const args = {};
+  const addresses = new Set();
+  const tokenIds = [];
+  let requestId = null;
+  let plotId = null;
+
+  parsed.fragment.inputs.forEach((input, index) => {
+    const value = toPlainValue(parsed.args[index]);
+    args[input.name] = value;
+
+    if (input.type === "address") {
+      addresses.add(value.toLowerCase());
+    }
+    if (REQUEST_ID_ARGS.includes(input.name)) {
+      requestId = value;
+    }
+    if (PLOT_ID_ARGS.includes(input.name)) {
+      plotId = value;
+    }
+    if (TOKEN_ID_ARGS.includes(input.name)) {
+      tokenIds.push(...[].concat(value));
+    }
+  });
+
+  return {
+    event: parsed.name,
+    blockNumber: log.blockNumber,
+    blockHash: log.blockHash,
+    blockTimestamp,
+    transactionHash: log.transactionHash,
+    logIndex: log.index,
+    args,
+    requestId,
+    plotId,
+    tokenIds,
+    addresses: Array.from(addresses),
+  };
+}
+
+// Register a function that is called (in order) for every newly indexed
+// event. Events from before the indexer first ran only reach handlers
+// registered with `includeHistory` (projections), not side effects such as
+// notifications.
+function registerEventHandler(handler, { includeHistory = false } = {}) {
+  eventHandlers.push({ handler, includeHistory });
+}
+
+async function runEventHandlers(eventDoc, historical) {
+  for (const { handler, includeHistory } of eventHandlers) {
+    if (historical && !includeHistory) continue;
+    try {
+      await handler(eventDoc);
+    } catch (error) {
+      console.error(
+        `Event handler failed for ${eventDoc.event} (${eventDoc.transactionHash}):`,
+        error.message
+      );
+    }
+  }
+}
+
+// Block the contract was deployed in, found by binary search over getCode.
+// Returns null if the RPC node cannot serve code at past blocks.
+async function findDeploymentBlock(provider, contractAddress, latestBlock) {
+  try {
+    if ((await provider.getCode(contractAddress, latestBlock)) === "0x") {
+      return null;
+    }
+    let low = 0;
+    let high = latestBlock;
+    while (low < high) {
+      const mid = Math.floor((low + high) / 2);
+      if ((await provider.getCode(contractAddress, mid)) === "0x") {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    return low;
+  } catch (error) {
+    console.warn(
+      "Could not find the contract deployment block:",
+      error.message
+    );
+    return null;
+  }
+}
+
+// Load the indexer progress, creating it on first run. A fresh database
+// starts at INDEXER_START_BLOCK, else at the contract's deployment block, so
+// the transfer request projection covers requests made before the first run.
+// Setting INDEXER_START_BLOCK below the recorded start block backfills the
+// missing range once (events already stored are skipped) as history.
+async function loadState(provider, contractAddress, targetBlock) {
+  const configuredStart =
+    START_BLOCK !== undefined ? parseInt(START_BLOCK) : null;
+
+  let state = await IndexerState.findOne({ key: STATE_KEY });
+  if (!state) {
+    let startBlock =
+      configuredStart ??
+      (await findDeploymentBlock(provider, contractAddress, targetBlock));
+    if (startBlock === null) {
+      startBlock = targetBlock;
+      console.warn(
+        "Event indexer starting from the current block: earlier events (and transfer requests) are not indexed. Set INDEXER_START_BLOCK to the contract deployment block to include them"
+      );
+    }
+    state = await IndexerState.create({
+      key: STATE_KEY,
+      contractAddress,
+      lastProcessedBlock: startBlock - 1,
+      startBlock,
+      historyToBlock: targetBlock,
+    });
+    console.log(`Event indexer starting from block ${startBlock}`);
+  } else if (
+    configuredStart !== null &&
+    (state.startBlock === null || configuredStart < state.startBlock)
+  ) {
+    // Everything up to the blocks already indexed is history: it is stored
+    // and projected, but not announced as new
+    state.historyToBlock = Math.max(
+      state.historyToBlock ?? -1,
+      state.lastProcessedBlock
+    );
+    state.startBlock = configuredStart;
+    state.lastProcessedBlock = configuredStart - 1;
+    await state.save();
+    console.log(`Event indexer backfilling from block ${configuredStart}`);
+  }
+  return state;
+}
+
+// Fetch, decode and store logs for one block range. Events up to
+// `historyToBlock` are passed to the handlers as history.
+async function processRange(
+  contract,
+  provider,
+  fromBlock,
+  toBlock,
+  historyToBlock
+) {
+  const topics = INDEXED_EVENTS.map(
+    (name) => contract.interface.getEvent(name).topicHash
+  );
+  const logs = await provider.getLogs({
+    address: await contract.getAddress(),
+    topics: [topics],
+    fromBlock,
+    toBlock,
+  });
+
+  logs.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+
+  const blockTimestamps = new Map();
+  for (const log of logs) {
+    let parsed;
+    try {
+      parsed = contract.interface.parseLog(log);
+    } catch (e) {
+      // Skip unparseable logs
+      continue;
+    }
+    if (!parsed) continue;
+
+    if (!blockTimestamps.has(log.blockNumber)) {
+      const block = await provider.getBlock(log.blockNumber);
+      blockTimestamps.set(log.blockNumber, new Date(block.timestamp * 1000));
+    }
+
+    const eventDoc = normalizeEvent(
+      log,
+      parsed,
+      blockTimestamps.get(log.blockNumber)
+    );
+    const result = await ContractEvent.updateOne(
+      {
+        transactionHash: eventDoc.transactionHash,
+        logIndex: eventDoc.logIndex,
+      },
+      { $setOnInsert: eventDoc },
+      { upsert: true }
+    );
+
+    // Only new events reach the handlers, so replays do not apply twice
+    if (result.upsertedCount > 0) {
+      await runEventHandlers(
+        eventDoc,
+        historyToBlock !== null && eventDoc.blockNumber <= historyToBlock
+      );
+    }
+  }
+
+  return logs.length;
+}
+
+// Index everything between the last processed block and the chain head
+async function pollOnce() {
+  if (polling) return;
+  polling = true;
+  try {
+    const contract = getContract();
+    const provider = getProvider();
+    const contractAddress = await contract.getAddress();
+
+    const latestBlock = await provider.getBlockNumber();
+    const targetBlock = latestBlock - CONFIRMATIONS;
+    const state = await loadState(provider, contractAddress, targetBlock);
+
+    while (running && state.lastProcessedBlock < targetBlock) {
+      const fromBlock = state.lastProcessedBlock + 1;
+      const toBlock = Math.min(fromBlock + BATCH_SIZE - 1, targetBlock);
+      const count = await processRange(
+        contract,
+        provider,
+        fromBlock,
+        toBlock,
+        state.historyToBlock
+      );
+
+      state.lastProcessedBlock = toBlock;
+      await state.save();
+
+      if (count > 0) {
+        console.log(
+          `Indexed ${count} event(s) from blocks ${fromBlock}-${toBlock}`
+        );
+      }
+    }
+    lastError = null;
+  } catch (error) {
+    lastError = { message: error.message, at: new Date().toISOString() };
+    console.error("Event indexer poll failed:", error.message);
+  } finally {
+    polling = false;
+  }
+}
+
+function scheduleNextPoll() {
+  if (!running) return;
+  timer = setTimeout(async () => {
+    await pollOnce();
+    scheduleNextPoll();
+  }, POLL_INTERVAL_MS);
+}
+
+// Start the background indexer (requires contract and database connections)
+// The first catch-up runs in the background so it never delays server start
+function startIndexer() {
+  if (!INDEXER_ENABLED) {
+    console.log("Event indexer disabled (INDEXER_ENABLED=false)");
+    return;
+  }
+  if (running) return;
+
+  running = true;
+  console.log("Starting event indexer...");
+  pollOnce().then(scheduleNextPoll);
+}
+
+function stopIndexer() {
+  running = false;
+  if (timer) {
+    clearTimeout(timer);
+    timer = null;
+  }
+}
+
+// Snapshot of indexer progress for the status endpoint
+async function getIndexerStatus() {
+  const state = await IndexerState.findOne({ key: STATE_KEY }).lean();
+  return {
+    enabled: INDEXER_ENABLED,
+    running,
+    events: INDEXED_EVENTS,
+    confirmations: CONFIRMATIONS,
+    startBlock: state ? state.startBlock : null,
+    lastProcessedBlock: state ? state.lastProcessedBlock : null,
+    updatedAt: state ? state.updatedAt : null,
+    lastError,
+  };
+}
+
+module.exports = {
+  INDEXED_EVENTS,
+  normalizeEvent,
+  startIndexer,
+  stopIndexer,
+  getIndexerStatus,
+  registerEventHandler,
+};
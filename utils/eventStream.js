@@ -0,0 +1,282 @@
+const { WebSocketServer } = require("ws");
+const TransferRequest = require("../models/transferRequest.model");
+const { AUTH_ENABLED, principalFromJwt, resolvePrincipal } = require("./auth");
+require("dotenv").config();
+
+// Streaming configuration
+const STREAM_HEARTBEAT_MS = parseInt(
+  process.env.STREAM_HEARTBEAT_MS || "25000"
+);
+const STREAM_MAX_FILTER_VALUES = 100;
+
+const WEBSOCKET_PATH = "/api/stream/ws";
+
+// Indexed events pushed to stream subscribers
+const STREAMED_EVENTS = [
+  "TransferRequestCreated",
+  "TransferApproved",
+  "TransferExecuted",
+  "PlotCreated",
+  "TokenCreated",
+];
+
+const FILTER_PATTERNS = {
+  plotId: /^\d+$/,
+  requestId: /^\d+$/,
+  address: /^0x[a-fA-F0-9]{40}$/,
+};
+
+const subscribers = new Set();
+
+function emptyFilters() {
+  return { plotId: new Set(), requestId: new Set(), address: new Set() };
+}
+
+// Add comma-separated plotId / requestId / address values to `filters`.
+// Returns an error message for invalid values, otherwise null.
+function addFilters(filters, values) {
+  for (const [name, pattern] of Object.entries(FILTER_PATTERNS)) {
+    if (values[name] === undefined) continue;
+    for (const value of String(values[name]).split(",")) {
+      const trimmed = value.trim();
+      if (!pattern.test(trimmed)) {
+        return `Invalid ${name}: ${trimmed}`;
+      }
+      filters[name].add(name === "address" ? trimmed.toLowerCase() : trimmed);
+    }
+    if (filters[name].size > STREAM_MAX_FILTER_VALUES) {
+      return `At most ${STREAM_MAX_FILTER_VALUES} ${name} values per subscription`;
+    }
+  }
+  return null;
+}
+
+function removeFilters(filters, values) {
+  for (const name of Object.keys(FILTER_PATTERNS)) {
+    if (values[name] === undefined) continue;
+    for (const value of String(values[name]).split(",")) {
+      filters[name].delete(value.trim().toLowerCase());
+    }
+  }
+}
+
+function hasFilters(filters) {
+  return Object.values(filters).some((values) => values.size > 0);
+}
+
+// Plain snapshot of a subscriber's filters for API responses
+function describeFilters(filters) {
+  return Object.fromEntries(
+    Object.entries(filters).map(([name, values]) => [name, Array.from(values)])
+  );
+}
+
+// With no filters a subscriber receives every streamed event; otherwise an
+// event is delivered if it matches any plotId, requestId or address
+function matchesFilters(filters, message) {
+  if (!hasFilters(filters)) return true;
+  return (
+    (message.plotId !== null && filters.plotId.has(message.plotId)) ||
+    (message.requestId !== null && filters.requestId.has(message.requestId)) ||
+    message.addresses.some((address) => filters.address.has(address))
+  );
+}
+
+// Register a subscriber; `send` is called with each matching event. With an
+// `owner` address, only events involving that address or the owner's
+// transfer requests are sent. Returns the subscriber, to be passed to
+// unsubscribe().
+function subscribe(filters, send, owner = null) {
+  const subscriber = { filters, send, owner };
+  subscribers.add(subscriber);
+  return subscriber;
+}
+
+function unsubscribe(subscriber) {
+  subscribers.delete(subscriber);
+}
+
+// Push a newly indexed event to matching subscribers. Registered with the
+// event indexer in index.js.
+async function publishEvent(eventDoc) {
+  if (!STREAMED_EVENTS.includes(eventDoc.event) || subscribers.size === 0) {
+    return;
+  }
+
+  const message = { ...eventDoc };
+  // Approvals and executions do not carry the plot; take it from the
+  // request so plotId subscribers see them too. The request's parties
+  // decide which owners may see the event.
+  let parties = [];
+  if (message.requestId !== null) {
+    const request = await TransferRequest.findOne({
+      requestId: Number(message.requestId),
+    })
+      .select("plotId from to")
+      .lean();
+    if (message.plotId === null) message.plotId = request?.plotId ?? null;
+    if (request) parties = [request.from, request.to];
+  }
+
+  for (const subscriber of subscribers) {
+    if (
+      subscriber.owner &&
+      !message.addresses.includes(subscriber.owner) &&
+      !parties.includes(subscriber.owner)
+    ) {
+      continue;
+    }
+    if (!matchesFilters(subscriber.filters, message)) continue;
+    try {
+      subscriber.send(message);
+    } catch (error) {
+      console.error("Failed to push event to subscriber:", error.message);
+    }
+  }
+}
+
+// Browsers cannot set headers on WebSocket or EventSource connections, so
+// streams also accept a JWT as ?access_token=
+async function streamPrincipal(req, accessToken) {
+  const principal = await resolvePrincipal(req);
+  if (principal !== undefined) return principal;
+  return accessToken ? principalFromJwt(accessToken) : undefined;
+}
+
+function rejectUpgrade(socket, status, reason) {
+  socket.write(`HTTP/1.1 ${status} ${reason}\r\nConnection: close\r\n\r\n`);
+  socket.destroy();
+}
+
+function sendJson(ws, body) {
+  ws.send(JSON.stringify(body));
+}
+
+// Handle subscribe / unsubscribe messages from a WebSocket client
+function handleClientMessage(ws, subscriber, data) {
+  let request;
+  try {
+    request = JSON.parse(data.toString());
+  } catch (e) {
+    request = null;
+  }
+
+  if (!request || !["subscribe", "unsubscribe"].includes(request.action)) {
+    return sendJson(ws, {
+      type: "error",
+      error: {
+        message: "Invalid message",
+        details:
+          'Send {"action": "subscribe" | "unsubscribe", "plotId"?, "requestId"?, "address"?}',
+        code: "INVALID_INPUT",
+      },
+    });
+  }
+
+  if (request.action === "subscribe") {
+    const error = addFilters(subscriber.filters, request);
+    if (error) {
+      return sendJson(ws, {
+        type: "error",
+        error: {
+          message: "Invalid filter",
+          details: error,
+          code: "INVALID_INPUT",
+        },
+      });
+    }
+  } else {
+    removeFilters(subscriber.filters, request);
+  }
+  sendJson(ws, {
+    type: "subscriptions",
+    subscriptions: describeFilters(subscriber.filters),
+  });
+}
+
+// Serve WebSocket subscriptions on WEBSOCKET_PATH of an HTTP server
+function attachWebSocketServer(server) {
+  const wss = new WebSocketServer({ noServer: true });
+
+  // Upgrades come from any client: errors are answered on the socket, never
+  // thrown, as an unhandled rejection here would stop the server
+  server.on("upgrade", async (req, socket, head) => {
+    try {
+      let url;
+      try {
+        url = new URL(req.url, "http://localhost");
+      } catch (error) {
+        return rejectUpgrade(socket, 400, "Bad Request");
+      }
+      if (url.pathname !== WEBSOCKET_PATH) {
+        return rejectUpgrade(socket, 404, "Not Found");
+      }
+
+      const filters = emptyFilters();
+      const query = Object.fromEntries(url.searchParams);
+      if (addFilters(filters, query)) {
+        return rejectUpgrade(socket, 400, "Bad Request");
+      }
+
+      const principal = await streamPrincipal(req, query.access_token);
+      if (principal === null || (AUTH_ENABLED && !principal)) {
+        return rejectUpgrade(socket, 401, "Unauthorized");
+      }
+
+      wss.handleUpgrade(req, socket, head, (ws) => {
+        const subscriber = subscribe(
+          filters,
+          (message) => sendJson(ws, { type: "event", event: message }),
+          principal?.role === "owner" ? principal.address : null
+        );
+        sendJson(ws, {
+          type: "subscriptions",
+          subscriptions: describeFilters(filters),
+        });
+
+        ws.isAlive = true;
+        ws.on("pong", () => {
+          ws.isAlive = true;
+        });
+        ws.on("message", (data) => handleClientMessage(ws, subscriber, data));
+        ws.on("close", () => unsubscribe(subscriber));
+        ws.on("error", () => unsubscribe(subscriber));
+      });
+    } catch (error) {
+      console.error("WebSocket upgrade failed:", error.message);
+      if (!socket.destroyed) {
+        rejectUpgrade(socket, 500, "Internal Server Error");
+      }
+    }
+  });
+
+  // Drop connections that stopped answering pings
+  const heartbeat = setInterval(() => {
+    for (const ws of wss.clients) {
+      if (!ws.isAlive) {
+        ws.terminate();
+        continue;
+      }
+      ws.isAlive = false;
+      ws.ping();
+    }
+  }, STREAM_HEARTBEAT_MS);
+  heartbeat.unref();
+  wss.on("close", () => clearInterval(heartbeat));
+
+  return wss;
+}
+
+module.exports = {
+  STREAMED_EVENTS,
+  STREAM_HEARTBEAT_MS,
+  WEBSOCKET_PATH,
+  emptyFilters,
+  addFilters,
+  describeFilters,
+  subscribe,
+  unsubscribe,
+  publishEvent,
+  streamPrincipal,
+  attachWebSocketServer,
+};
@@ -0,0 +1,183 @@
+// GeoJSON validation and area computation for parcel and plot boundaries
+
+// Mean earth radius (IUGG), so spherical areas stay close to WGS84 ones
+const EARTH_RADIUS_M = 6371008.8;
+const MAX_POSITIONS = 10000;
+
+// URL segment of the geo routes -> stored boundary kind
+const BOUNDARY_KINDS = { parcels: "parcel", plots: "plot" };
+
+function isPosition(position) {
+  return (
+    Array.isArray(position) &&
+    position.length >= 2 &&
+    position.every((value) => typeof value === "number" && isFinite(value)) &&
+    Math.abs(position[0]) <= 180 &&
+    Math.abs(position[1]) <= 90
+  );
+}
+
+function polygonError(rings, path) {
+  if (!Array.isArray(rings) || rings.length === 0) {
+    return `${path} must be a non-empty array of linear rings`;
+  }
+  for (const [index, ring] of rings.entries()) {
+    const ringPath = `${path}[${index}]`;
+    if (!Array.isArray(ring) || ring.length < 4) {
+      return `${ringPath} must have at least 4 positions`;
+    }
+    const invalid = ring.findIndex((position) => !isPosition(position));
+    if (invalid !== -1) {
+      return `${ringPath}[${invalid}] must be [longitude, latitude] within [-180, 180] and [-90, 90]`;
+    }
+    const first = ring[0];
+    const last = ring[ring.length - 1];
+    if (first[0] !== last[0] || first[1] !== last[1]) {
+      return `${ringPath} must be closed (first and last positions equal)`;
+    }
+  }
+  return null;
+}
+
+// Polygon or MultiPolygon geometry from a request body value, which may
+// also be a Feature wrapping one. Returns { geometry } or { error }.
+function parseBoundaryGeometry(value) {
+  const geometry = value && value.type === "Feature" ? value.geometry : value;
+  if (!geometry || !["Polygon", "MultiPolygon"].includes(geometry.type)) {
+    return {
+      error:
+        "geometry must be a GeoJSON Polygon or MultiPolygon (or a Feature with one)",
+    };
+  }
+
+  const polygons =
+    geometry.type === "Polygon" ? [geometry.coordinates] : geometry.coordinates;
+  if (!Array.isArray(polygons) || polygons.length === 0) {
+    return { error: "coordinates must be a non-empty array" };
+  }
+  let positions = 0;
+  for (const [index, rings] of polygons.entries()) {
+    const path =
+      geometry.type === "Polygon" ? "coordinates" : `coordinates[${index}]`;
+    const error = polygonError(rings, path);
+    if (error) return { error };
+    positions += rings.reduce((sum, ring) => sum + ring.length, 0);
+  }
+  if (positions > MAX_POSITIONS) {
+    return { error: `A boundary may have at most ${MAX_POSITIONS} positions` };
+  }
+
+  return {
+    geometry: { type: geometry.type, coordinates: geometry.coordinates },
+  };
+}
+
+function toRadians(degrees) {
+  return (degrees * Math.PI) / 180;
+}
+
+// Area of a ring on the sphere in square meters (Chamberlain & Duquette,
+// "Some algorithms for polygons on a sphere", JPL 2007)
+function ringArea(ring) {
+  const count = ring.length;
+  if (count <= 2) return 0;
+
+  let total = 0;
+  for (let i = 0; i < count; i++) {
+    const lower = ring[i];
+    const middle = ring[(i + 1) % count];
+    const upper = ring[(i + 2) % count];
+    total +=
+      (toRadians(upper[0]) - toRadians(lower[0])) *
+      Math.sin(toRadians(middle[1]));
+  }
+  return Math.abs((total * EARTH_RADIUS_M * EARTH_RADIUS_M) / 2);
+}
+
+// Outer ring minus holes, summed over every polygon
+function geometryArea(geometry) {
+  const polygons =
+    geometry.type === "Polygon" ? [geometry.coordinates] : geometry.coordinates;
+  return polygons.reduce(
+    (sum, [outer, ...holes]) =>
+      sum +
+      ringArea(outer) -
+      holes.reduce((holeSum, hole) => holeSum + ringArea(hole), 0),
+    0
+  );
+}
+
+function formatArea(squareMeters) {
+  return {
+    squareMeters: Math.round(squareMeters * 100) / 100,
+    hectares: Math.round(squareMeters) / 10000,
+  };
+}
+
+// "minLon,minLat,maxLon,maxLat" -> GeoJSON Polygon, or { error }
+function parseBbox(value) {
+  const parts = String(value).split(",").map(Number);
+  const [minLon, minLat, maxLon, maxLat] = parts;
+  if (
+    parts.length !== 4 ||
+    !isPosition([minLon, minLat]) ||
+    !isPosition([maxLon, maxLat]) ||
+    minLon >= maxLon ||
+    minLat >= maxLat
+  ) {
+    return {
+      error:
+        "bbox must be minLon,minLat,maxLon,maxLat with min values below max values",
+    };
+  }
+  return {
+    polygon: {
+      type: "Polygon",
+      coordinates: [
+        [
+          [minLon, minLat],
+          [maxLon, minLat],
+          [maxLon, maxLat],
+          [minLon, maxLat],
+          [minLon, minLat],
+        ],
+      ],
+    },
+  };
+}
+
+// "lon,lat" -> GeoJSON Point, or { error }
+function parsePoint(value) {
+  const parts = String(value).split(",").map(Number);
+  if (parts.length !== 2 || !isPosition(parts)) {
+    return { error: "point must be lon,lat" };
+  }
+  return { point: { type: "Point", coordinates: parts } };
+}
+
+// GeoJSON Feature for a stored boundary
+function toBoundaryFeature(doc) {
+  const idField = doc.kind === "parcel" ? "tokenId" : "plotId";
+  return {
+    type: "Feature",
+    id: `${doc.kind}:${doc.refId}`,
+    geometry: doc.geometry,
+    properties: {
+      kind: doc.kind,
+      [idField]: doc.refId,
+      area: formatArea(doc.areaSqm),
+      updatedBy: doc.updatedBy,
+      updatedAt: doc.updatedAt,
+    },
+  };
+}
+
+module.exports = {
+  BOUNDARY_KINDS,
+  parseBoundaryGeometry,
+  geometryArea,
+  formatArea,
+  parseBbox,
+  parsePoint,
+  toBoundaryFeature,
+};
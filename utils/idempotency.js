@@ -0,0 +1,186 @@
+const crypto = require("crypto");
+const IdempotencyKey = require("../models/idempotencyKey.model");
+const { isDryRunRequest } = require("./txSimulator");
+const { sendErrorResponse } = require("./contractErrors");
+require("dotenv").config();
+
+// How long a key and its stored response are kept
+const IDEMPOTENCY_TTL_MS = parseInt(
+  process.env.IDEMPOTENCY_TTL_MS || "86400000"
+);
+
+// How long a key stays locked by a request that never answers (e.g. the
+// process crashed mid-request) before a retry may run again
+const IDEMPOTENCY_LOCK_MS = parseInt(
+  process.env.IDEMPOTENCY_LOCK_MS || "600000"
+);
+
+const IDEMPOTENCY_KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+// JSON with sorted object keys, so equal bodies hash the same
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    const entries = Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// Hash of everything that decides what a setter does: route, query and body
+function requestFingerprint(req, endpoint) {
+  return crypto
+    .createHash("sha256")
+    .update(
+      canonicalJson({
+        method: req.method,
+        endpoint,
+        query: req.query,
+        body: req.body ?? {},
+      })
+    )
+    .digest("hex");
+}
+
+function idempotencyError(res, statusCode, endpoint, fields) {
+  return res.status(statusCode).json({
+    success: false,
+    error: {
+      ...fields,
+      timestamp: new Date().toISOString(),
+      endpoint,
+    },
+  });
+}
+
+// Answer a retry from the stored record of its key
+function replayResponse(res, endpoint, existing, fingerprint) {
+  if (!existing || existing.fingerprint !== fingerprint) {
+    return idempotencyError(res, 422, endpoint, {
+      message: "Idempotency-Key reused",
+      details:
+        "This key was already used for a different request. Use a new key for each distinct call",
+      code: "IDEMPOTENCY_KEY_REUSED",
+    });
+  }
+  if (existing.status === "processing") {
+    res.set("Retry-After", "5");
+    return idempotencyError(res, 409, endpoint, {
+      message: "Request in progress",
+      details:
+        "The original request with this Idempotency-Key has not finished yet. Retry shortly to get its response",
+      code: "IDEMPOTENCY_KEY_IN_USE",
+    });
+  }
+  res.set("Idempotent-Replayed", "true");
+  return res.status(existing.response.statusCode).json(existing.response.body);
+}
+
+// Route middleware for setters. With an Idempotency-Key header, the first
+// response is stored against the key and returned again for retries with
+// the same key, route and body, without sending another transaction.
+async function idempotent(req, res, next) {
+  const key = req.get("Idempotency-Key");
+  if (key === undefined || isDryRunRequest(req)) return next();
+
+  const endpoint = req.originalUrl.split("?")[0];
+  if (!IDEMPOTENCY_KEY_PATTERN.test(key)) {
+    return idempotencyError(res, 400, endpoint, {
+      message: "Invalid Idempotency-Key",
+      details: "The key must be 1-255 printable ASCII characters",
+      code: "INVALID_INPUT",
+    });
+  }
+
+  const principalId = req.principal?.id ?? "anonymous";
+  const fingerprint = requestFingerprint(req, endpoint);
+  let record;
+  try {
+    record = await lockKey(principalId, key, fingerprint, endpoint);
+  } catch (error) {
+    try {
+      if (error.code !== 11000) throw error;
+      const existing = await IdempotencyKey.findOne({
+        principalId,
+        key,
+      }).lean();
+      return replayResponse(res, endpoint, existing, fingerprint);
+    } catch (lookupError) {
+      console.error("Error checking idempotency key:", lookupError.message);
+      return sendErrorResponse(res, lookupError, {
+        message: "Failed to check idempotency key",
+        endpoint,
+      });
+    }
+  }
+
+  // Store the response as soon as the route produces it, even if the client
+  // has gone away. Only responses after a broadcast are kept: successes and
+  // errors that carry the transaction hash. Anything else means no
+  // transaction was sent, so the key is released and a retry runs again.
+  let answered = false;
+  const json = res.json.bind(res);
+  res.json = (payload) => {
+    answered = true;
+    const sent =
+      res.statusCode < 400 || Boolean(payload?.error?.transactionHash);
+    const stored = sent
+      ? IdempotencyKey.updateOne(
+          { _id: record._id },
+          {
+            status: "completed",
+            response: { statusCode: res.statusCode, body: payload },
+            expiresAt: new Date(Date.now() + IDEMPOTENCY_TTL_MS),
+          }
+        )
+      : IdempotencyKey.deleteOne({ _id: record._id });
+    stored.catch((error) => {
+      console.error("Failed to store idempotent response:", error.message);
+    });
+    return json(payload);
+  };
+  res.on("finish", () => {
+    if (answered) return;
+    IdempotencyKey.deleteOne({ _id: record._id }).catch((error) => {
+      console.error("Failed to release idempotency key:", error.message);
+    });
+  });
+  next();
+}
+
+// Claim a key for this request. A key still "processing" after
+// IDEMPOTENCY_LOCK_MS belongs to a request that never answered, and is
+// taken over. Throws a duplicate key error (11000) if the key is in use.
+async function lockKey(principalId, key, fingerprint, endpoint) {
+  const fields = {
+    principalId,
+    key,
+    fingerprint,
+    endpoint,
+    expiresAt: new Date(Date.now() + IDEMPOTENCY_LOCK_MS),
+  };
+  try {
+    return await IdempotencyKey.create(fields);
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    const { deletedCount } = await IdempotencyKey.deleteOne({
+      principalId,
+      key,
+      fingerprint,
+      status: "processing",
+      expiresAt: { $lte: new Date() },
+    });
+    if (deletedCount === 0) throw error;
+    return IdempotencyKey.create(fields);
+  }
+}
+
+module.exports = {
+  IDEMPOTENCY_TTL_MS,
+  IDEMPOTENCY_LOCK_MS,
+  idempotent,
+};
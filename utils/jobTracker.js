@@ -0,0 +1,298 @@
+const Job = require("../models/job.model");
+const { getContract, getProvider, getSigner } = require("./contractInstance");
+const { parseReceiptEvents, extractOutputs } = require("./receiptEvents");
+const { recordJobSubmission, recordJobOutcome } = require("./auditLog");
+const { IDEMPOTENCY_LOCK_MS } = require("./idempotency");
+require("dotenv").config();
+
+// Job tracking configuration
+const JOB_CONFIRMATIONS = parseInt(process.env.JOB_CONFIRMATIONS || "1");
+const JOB_WAIT_TIMEOUT_MS = parseInt(
+  process.env.JOB_WAIT_TIMEOUT_MS || "120000"
+);
+// Longest a sync setter waits for its receipt. Kept well below the
+// Idempotency-Key lock, so a retry cannot take the lock over (and send the
+// transaction again) while the first request is still waiting.
+const SYNC_WAIT_TIMEOUT_MS = Math.min(
+  parseInt(process.env.SYNC_WAIT_TIMEOUT_MS || "300000"),
+  Math.floor(IDEMPOTENCY_LOCK_MS / 2)
+);
+
+// Statuses of jobs whose transaction may still be mined
+const UNSETTLED_STATUSES = ["pending", "stuck"];
+
+// Called with the stored job once it is mined or has failed (see
+// registerJobOutcomeHandler)
+const outcomeHandlers = [];
+
+function registerJobOutcomeHandler(handler) {
+  outcomeHandlers.push(handler);
+}
+
+// Setters run in async mode when the client passes ?async=true
+function isAsyncRequest(req) {
+  return req.query.async === "true";
+}
+
+// Receipt of a setter's transaction in sync mode, following any fee-bump
+// re-sends by the transaction queue. Gives up with TIMEOUT after
+// SYNC_WAIT_TIMEOUT_MS. Errors carry the transaction hash, so the error
+// response shows the transaction was sent.
+async function waitForReceipt(tx) {
+  try {
+    return await getSigner().waitForTransaction(
+      tx.hash,
+      1,
+      SYNC_WAIT_TIMEOUT_MS
+    );
+  } catch (error) {
+    error.transactionHash = error.receipt?.hash ?? tx.hash;
+    throw error;
+  }
+}
+
+// Persist a job for a broadcast transaction and start watching it. With the
+// request (`req`), the submission is audited before the job is watched, so
+// its outcome can never be recorded first.
+async function createJob(tx, { endpoint, functionName, requestBody, req }) {
+  // A transaction the queue already re-sent is tracked by its latest hash
+  const hashes = getSigner().getHashes?.(tx.hash) ?? [tx.hash];
+  const fields = {
+    endpoint,
+    functionName,
+    requestBody,
+    transaction: {
+      hash: hashes[hashes.length - 1],
+      from: tx.from,
+      to: tx.to,
+      nonce: tx.nonce,
+      replacedHashes: hashes.slice(0, -1),
+    },
+  };
+
+  let job;
+  try {
+    job = await Job.create(fields);
+  } catch (error) {
+    // The transaction is already broadcast: failing the request now would
+    // make the client retry and send it twice. Return an untracked job so
+    // the response still carries the hash.
+    console.error(`Failed to store job for ${tx.hash}:`, error.message);
+    job = { ...fields, _id: null, status: "pending" };
+    if (req) await recordJobSubmission(req, job);
+    return job;
+  }
+  if (req) await recordJobSubmission(req, job);
+  watchJob(job._id, job.transaction.hash);
+  return job;
+}
+
+// Store the receipt, decoded events and outputs of a mined transaction
+async function recordReceipt(jobId, receipt) {
+  const events = parseReceiptEvents(getContract(), receipt);
+  const update = {
+    status: receipt.status === 1 ? "mined" : "failed",
+    receipt: {
+      blockNumber: receipt.blockNumber,
+      blockHash: receipt.blockHash,
+      gasUsed: receipt.gasUsed?.toString(),
+      status: receipt.status,
+    },
+    outputs: extractOutputs(events),
+    events,
+    minedAt: new Date(),
+  };
+  if (receipt.status !== 1) {
+    update.error = { message: "Transaction reverted", code: "CALL_EXCEPTION" };
+  } else {
+    // A stuck job that got mined after all
+    update.$unset = { error: 1 };
+  }
+  await Job.updateOne({ _id: jobId }, update);
+  await settleJob(jobId);
+}
+
+// Audit the outcome of a settled job and pass it to the outcome handlers
+async function settleJob(jobId) {
+  await recordJobOutcome(jobId);
+  if (outcomeHandlers.length === 0) return;
+  const job = await Job.findById(jobId).lean();
+  for (const handler of outcomeHandlers) {
+    try {
+      await handler(job);
+    } catch (error) {
+      console.error(`Job outcome handler failed for ${jobId}:`, error.message);
+    }
+  }
+}
+
+async function waitForJob(jobId, txHash) {
+  const provider = getProvider();
+  let receipt;
+  try {
+    receipt = await provider.waitForTransaction(
+      txHash,
+      JOB_CONFIRMATIONS,
+      JOB_WAIT_TIMEOUT_MS
+    );
+  } catch (error) {
+    if (error.code !== "TIMEOUT") throw error;
+
+    // The transaction queue may have re-sent it with a higher fee
+    const job = await Job.findById(jobId).select("status transaction").lean();
+    if (!job || !UNSETTLED_STATUSES.includes(job.status)) return;
+    if (job.transaction.hash !== txHash) {
+      watchJob(jobId, job.transaction.hash);
+      return;
+    }
+
+    // Only one send of a nonce can be mined, and it may be an earlier one
+    for (const hash of job.transaction.replacedHashes) {
+      if (!(await provider.getTransactionReceipt(hash))) continue;
+      await Job.updateOne(
+        { _id: jobId },
+        { $pull: { "transaction.replacedHashes": hash } }
+      );
+      await Job.updateOne(
+        { _id: jobId },
+        {
+          $set: { "transaction.hash": hash },
+          $push: { "transaction.replacedHashes": txHash },
+        }
+      );
+      watchJob(jobId, hash);
+      return;
+    }
+
+    // Still unmined: keep watching unless the node has forgotten the tx
+    const pendingTx = await provider.getTransaction(txHash);
+    if (pendingTx) {
+      watchJob(jobId, txHash);
+      return;
+    }
+    await Job.updateOne(
+      { _id: jobId },
+      {
+        status: "failed",
+        error: {
+          message: "Transaction was dropped before being mined",
+          code: "TX_DROPPED",
+        },
+      }
+    );
+    await settleJob(jobId);
+    return;
+  }
+  await recordReceipt(jobId, receipt);
+}
+
+// Point the job of a re-sent transaction at its new hash. Registered with
+// the transaction queue in index.js, so replacements survive a restart.
+async function recordJobReplacement(oldHash, newHash) {
+  await Job.updateOne(
+    { "transaction.hash": oldHash, status: "pending" },
+    {
+      $set: { "transaction.hash": newHash },
+      $push: { "transaction.replacedHashes": oldHash },
+    }
+  );
+}
+
+// Mark the job of a transaction the queue gave up re-sending. Registered
+// with the transaction queue in index.js. The job keeps being watched, as
+// the transaction may still be mined.
+async function recordJobStuck(hash, nonce, replacements) {
+  await Job.updateOne(
+    { "transaction.hash": hash, status: "pending" },
+    {
+      status: "stuck",
+      error: {
+        message: `Transaction still unmined after ${replacements} fee bumps; later transactions from the server wallet are held back until it is mined`,
+        code: "TX_STUCK",
+      },
+    }
+  );
+}
+
+// Track a job in the background; failures are logged, never thrown
+function watchJob(jobId, txHash) {
+  waitForJob(jobId, txHash).catch((error) => {
+    console.error(`Failed to track job ${jobId}:`, error.message);
+  });
+}
+
+// Pick up jobs that were still pending when the server last stopped
+async function resumePendingJobs() {
+  const jobs = await Job.find({ status: { $in: UNSETTLED_STATUSES } })
+    .select("_id transaction.hash")
+    .lean();
+  for (const job of jobs) {
+    watchJob(job._id, job.transaction.hash);
+  }
+  if (jobs.length > 0) {
+    console.log(`Resumed tracking of ${jobs.length} pending job(s)`);
+  }
+}
+
+// Shape a stored job for API responses
+function formatJob(job) {
+  return {
+    jobId: job._id.toString(),
+    endpoint: job.endpoint,
+    functionName: job.functionName,
+    status: job.status,
+    transaction: job.transaction,
+    receipt: UNSETTLED_STATUSES.includes(job.status) ? null : job.receipt,
+    outputs: job.outputs,
+    events: job.events,
+    error: job.error?.message ? job.error : null,
+    submittedAt: job.createdAt,
+    minedAt: job.minedAt,
+  };
+}
+
+// Response body for a setter called in async mode (sent with HTTP 202)
+function jobAcceptedResponse(job) {
+  if (job._id === null) {
+    return {
+      success: true,
+      data: {
+        jobId: null,
+        status: job.status,
+        transaction: {
+          hash: job.transaction.hash,
+        },
+        statusUrl: null,
+        warning:
+          "The transaction was broadcast but could not be tracked as a job. Check its hash on chain; do not resend it",
+      },
+      message: "Transaction submitted, but it is not tracked",
+    };
+  }
+
+  const jobId = job._id.toString();
+  return {
+    success: true,
+    data: {
+      jobId,
+      status: job.status,
+      transaction: {
+        hash: job.transaction.hash,
+      },
+      statusUrl: `/api/jobs/${jobId}`,
+    },
+    message: "Transaction submitted. Poll the job for its status",
+  };
+}
+
+module.exports = {
+  isAsyncRequest,
+  waitForReceipt,
+  createJob,
+  registerJobOutcomeHandler,
+  recordJobReplacement,
+  recordJobStuck,
+  resumePendingJobs,
+  formatJob,
+  jobAcceptedResponse,
+};
@@ -0,0 +1,224 @@
+const { ethers } = require("ethers");
+const { viewTags } = require("./viewCache");
+require("dotenv").config();
+
+// Multicall3 is deployed at the same address on most EVM chains
+const MULTICALL3_ADDRESS =
+  process.env.MULTICALL3_ADDRESS ||
+  "0xcA11bde05977b3631167028862bE2a173976CA11";
+const MULTICALL_BATCH_SIZE = parseInt(
+  process.env.MULTICALL_BATCH_SIZE || "100"
+);
+
+// View functions whose result does not depend on msg.sender. Only these are
+// batched (and cached): a Multicall3 eth_call has no `from`, so the contract
+// would see Multicall3 as the caller. Every other view (such as
+// requestStatus, which only answers the request's sender) is called
+// directly from the server wallet.
+const SENDER_INDEPENDENT_VIEWS = new Set([
+  "balanceOf",
+  "balanceOfBatch",
+  "getBlockParcelTokenURI",
+  "getLandInfo",
+  "getListOfTotalPlots",
+  "getOwnershipPercentage",
+  "getPlotAccountInfo",
+  "getPlotAccountParcelShareholders",
+  "getPlotAccountParcelTotalShares",
+  "getPlotAccountUserParcels",
+  "getPlotAccountUserShares",
+  "getPlotAllocation",
+  "getPlotAndTokenIdInfo",
+  "isApprovedForAll",
+  "isPlotRegistered",
+  "listOfTotalPlots",
+  "plotNft",
+  "plotPassAddress",
+  "plotRegistry",
+  "requestId",
+  "supportsInterface",
+  "treasuryWallet",
+  "uri",
+]);
+
+const MULTICALL3_ABI = [
+  "function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)",
+];
+
+// Collects view calls made in the same tick and sends them as one
+// Multicall3 aggregate3 eth_call. Falls back to parallel eth_calls when
+// Multicall3 is not deployed on the connected chain. With a ViewCache,
+// return data is served from and stored in the cache. With a blockTag, every
+// call is made at that block.
+class MulticallBatcher {
+  constructor(contract, { cache = null, blockTag = null } = {}) {
+    this.contract = contract;
+    this.cache = cache;
+    this.blockTag = blockTag;
+    this.provider = contract.runner.provider;
+    this.multicall = new ethers.Contract(
+      MULTICALL3_ADDRESS,
+      MULTICALL3_ABI,
+      this.provider
+    );
+    this.available = null;
+    this.queue = [];
+    this.scheduled = false;
+  }
+
+  async call(functionName, args) {
+    const iface = this.contract.interface;
+    const fragment = iface.getFunction(functionName, args);
+    const callData = iface.encodeFunctionData(fragment, args);
+
+    let returnData;
+    if (this.cache) {
+      const key = this.cache.key(fragment, callData);
+      returnData = await this.cache.get(key);
+      if (!returnData) {
+        const generation = this.cache.generation;
+        returnData = await this.enqueue(callData);
+        const tags = viewTags(
+          fragment,
+          iface.decodeFunctionData(fragment, callData)
+        );
+        await this.cache.set(key, returnData, tags, generation);
+      }
+    } else {
+      returnData = await this.enqueue(callData);
+    }
+
+    const decoded = iface.decodeFunctionResult(fragment, returnData);
+    return decoded.length === 1 ? decoded[0] : decoded;
+  }
+
+  // Queue encoded call data; resolves with the raw return data
+  enqueue(callData) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ callData, resolve, reject });
+      if (!this.scheduled) {
+        this.scheduled = true;
+        // Let every pending continuation queue its calls before flushing
+        setImmediate(() => {
+          const calls = this.queue;
+          this.queue = [];
+          this.scheduled = false;
+          // A failure before every call was sent rejects them all (calls
+          // already settled ignore it) instead of leaving callers hanging
+          this.flush(calls).catch((error) => {
+            for (const call of calls) call.reject(error);
+          });
+        });
+      }
+    });
+  }
+
+  async isAvailable() {
+    if (this.available === null) {
+      this.available = this.provider
+        .getCode(MULTICALL3_ADDRESS)
+        .then((code) => {
+          if (code === "0x") {
+            console.warn(
+              `Multicall3 not deployed at ${MULTICALL3_ADDRESS}; using parallel eth_calls`
+            );
+          }
+          return code !== "0x";
+        })
+        .catch(() => false);
+    }
+    return this.available;
+  }
+
+  async flush(calls) {
+    const target = await this.contract.getAddress();
+    for (let i = 0; i < calls.length; i += MULTICALL_BATCH_SIZE) {
+      const batch = calls.slice(i, i + MULTICALL_BATCH_SIZE);
+      if (batch.length > 1 && (await this.isAvailable())) {
+        this.aggregate(target, batch).catch(() => this.callEach(target, batch));
+      } else {
+        this.callEach(target, batch);
+      }
+    }
+  }
+
+  // Reverts are rethrown as the same CALL_EXCEPTION a direct contract call
+  // would give, with the custom error decoded from the contract ABI
+  revertError(returnData, tx) {
+    return this.contract.interface.makeError(returnData, tx);
+  }
+
+  callEach(target, batch) {
+    for (const { callData, resolve, reject } of batch) {
+      const tx = { to: target, data: callData };
+      this.provider
+        .call({ ...tx, blockTag: this.blockTag ?? undefined })
+        .then(resolve, (error) => {
+          reject(
+            error.code === "CALL_EXCEPTION" && error.data
+              ? this.revertError(error.data, tx)
+              : error
+          );
+        });
+    }
+  }
+
+  // Throws only if the aggregate3 call itself fails (including at blocks
+  // before Multicall3 was deployed)
+  async aggregate(target, batch) {
+    const results = await this.multicall.aggregate3.staticCall(
+      batch.map(({ callData }) => ({
+        target,
+        allowFailure: true,
+        callData,
+      })),
+      { blockTag: this.blockTag ?? undefined }
+    );
+
+    batch.forEach(({ callData, resolve, reject }, index) => {
+      const [success, returnData] = results[index];
+      if (success) {
+        resolve(returnData);
+      } else {
+        reject(this.revertError(returnData, { to: target, data: callData }));
+      }
+    });
+  }
+}
+
+// Wrap a contract so its sender-independent view functions go through a
+// MulticallBatcher (options: `cache`, `blockTag`). Other views are called
+// directly through the contract's runner (at `blockTag`, if given).
+// Everything else (writes, getAddress, interface, runner) is passed through.
+function createBatchedContract(contract, options = {}) {
+  const batcher = new MulticallBatcher(contract, options);
+  const viewFunctions = new Set();
+  contract.interface.forEachFunction((fragment) => {
+    if (fragment.constant) viewFunctions.add(fragment.name);
+  });
+  const overrides =
+    options.blockTag != null ? [{ blockTag: options.blockTag }] : [];
+
+  return new Proxy(contract, {
+    get(target, prop) {
+      if (typeof prop === "string" && viewFunctions.has(prop)) {
+        if (!SENDER_INDEPENDENT_VIEWS.has(prop)) {
+          return (...args) => target[prop](...args, ...overrides);
+        }
+        return (...args) => batcher.call(prop, args);
+      }
+      const value = Reflect.get(target, prop);
+      // BaseContract methods (getAddress, ...) look up state by `this`
+      return typeof value === "function" &&
+        !(typeof prop === "string" && target.interface.hasFunction(prop))
+        ? value.bind(target)
+        : value;
+    },
+  });
+}
+
+module.exports = {
+  MULTICALL3_ADDRESS,
+  SENDER_INDEPENDENT_VIEWS,
+  createBatchedContract,
+};
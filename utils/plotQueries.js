@@ -0,0 +1,150 @@
+// Composite plot reads that fan out several contract calls server-side
+
+// Ownership values from the contract are in basis points (10000 = 100%)
+function formatBasisPoints(basisPoints) {
+  return (Number(basisPoints) / 100).toFixed(2) + "%";
+}
+
+// shares / total as a percentage string with two decimals
+function sharePercent(shares, total) {
+  if (total === 0n) return "0.00%";
+  return formatBasisPoints((shares * 10000n) / total);
+}
+
+// Every parcel of a plot with its total shares and each holder's shares,
+// plus the plot-level ownership percentage of every distinct holder
+async function getPlotCapTable(contract, plotId) {
+  const plotInfo = await contract.getPlotAccountInfo(plotId);
+
+  const parcelIds = Array.from(plotInfo.parcelIds);
+  const parcelHolders = await Promise.all(
+    parcelIds.map((parcelId) =>
+      Promise.all([
+        contract.getPlotAccountParcelShareholders(plotId, parcelId),
+        contract.getPlotAccountParcelTotalShares(plotId, parcelId),
+      ])
+    )
+  );
+
+  // Per-holder reads only depend on the shareholder lists, so they are
+  // issued together and batched into one multicall
+  const holderAddresses = [
+    ...new Set(parcelHolders.flatMap(([shareholders]) => shareholders)),
+  ];
+  const [shares, ownership] = await Promise.all([
+    Promise.all(
+      parcelIds.map((parcelId, index) =>
+        Promise.all(
+          parcelHolders[index][0].map((holder) =>
+            contract.getPlotAccountUserShares(plotId, parcelId, holder)
+          )
+        )
+      )
+    ),
+    Promise.all(
+      holderAddresses.map((address) =>
+        contract.getOwnershipPercentage(plotId, address)
+      )
+    ),
+  ]);
+
+  const parcels = parcelIds.map((parcelId, index) => {
+    const [shareholders, totalShares] = parcelHolders[index];
+    return {
+      parcelId: parcelId.toString(),
+      parcelAmount: plotInfo.parcelAmounts[index].toString(),
+      totalShares: totalShares.toString(),
+      holders: shareholders.map((address, i) => ({
+        address,
+        shares: shares[index][i].toString(),
+        percent: sharePercent(shares[index][i], totalShares),
+      })),
+    };
+  });
+
+  const holders = holderAddresses.map((address, i) => ({
+    address,
+    ownershipPercentage: ownership[i].toString(),
+    ownershipPercent: formatBasisPoints(ownership[i]),
+    parcels: parcels
+      .filter((parcel) => parcel.holders.some((h) => h.address === address))
+      .map((parcel) => parcel.parcelId),
+  }));
+
+  return {
+    plotId: plotId.toString(),
+    plotAccount: plotInfo.plotAccount,
+    parcels,
+    holders,
+    totals: {
+      parcels: parcels.length,
+      shares: parcels
+        .reduce((sum, parcel) => sum + BigInt(parcel.totalShares), 0n)
+        .toString(),
+      holders: holders.length,
+    },
+  };
+}
+
+// One address's holdings in a single plot: shares and raw ERC-1155 balance
+// per parcel, plus plot-level ownership. Returns null if it holds nothing.
+async function getPlotHolding(contract, plotId, plotAccount, address) {
+  const [plotInfo, ownership] = await Promise.all([
+    contract.getPlotAccountInfo(plotId),
+    contract.getOwnershipPercentage(plotId, address),
+  ]);
+  const parcelIds = Array.from(plotInfo.parcelIds);
+
+  const [shares, balances] = await Promise.all([
+    Promise.all(
+      parcelIds.map((parcelId) =>
+        contract.getPlotAccountUserShares(plotId, parcelId, address)
+      )
+    ),
+    parcelIds.length > 0
+      ? contract.balanceOfBatch(
+          parcelIds.map(() => address),
+          parcelIds
+        )
+      : [],
+  ]);
+
+  const parcels = parcelIds
+    .map((parcelId, i) => ({
+      parcelId: parcelId.toString(),
+      shares: shares[i].toString(),
+      balance: balances[i].toString(),
+    }))
+    .filter((parcel) => parcel.shares !== "0" || parcel.balance !== "0");
+
+  if (ownership === 0n && parcels.length === 0) return null;
+
+  return {
+    plotId: plotId.toString(),
+    plotAccount,
+    ownershipPercentage: ownership.toString(),
+    ownershipPercent: formatBasisPoints(ownership),
+    parcels,
+  };
+}
+
+// Every plot in which `address` holds shares or parcel tokens. Plot IDs are
+// assigned from 1 in creation order, matching getListOfTotalPlots().
+async function getPortfolio(contract, address) {
+  const plotAccounts = await contract.getListOfTotalPlots();
+  const holdings = await Promise.all(
+    plotAccounts.map((plotAccount, index) =>
+      getPlotHolding(contract, index + 1, plotAccount, address)
+    )
+  );
+  return {
+    totalPlots: plotAccounts.length,
+    plots: holdings.filter((holding) => holding !== null),
+  };
+}
+
+module.exports = {
+  formatBasisPoints,
+  getPlotCapTable,
+  getPortfolio,
+};
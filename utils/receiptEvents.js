@@ -0,0 +1,59 @@
+// Helpers for decoding contract events out of transaction receipts
+
+// Convert ethers values (bigint, Result) into plain JSON-friendly values
+function toPlainValue(value) {
+  if (typeof value === "bigint") {
+    return value.toString();
+  }
+  if (Array.isArray(value)) {
+    return Array.from(value, toPlainValue);
+  }
+  return value;
+}
+
+// Decode every log in a receipt emitted by our contract. Logs of other
+// contracts are skipped even when their topic matches an event in our ABI.
+function parseReceiptEvents(contract, receipt) {
+  const events = [];
+  if (!receipt || !receipt.logs) return events;
+
+  const address = String(contract.target).toLowerCase();
+  for (const log of receipt.logs) {
+    if (log.address?.toLowerCase() !== address) continue;
+    try {
+      const parsed = contract.interface.parseLog(log);
+      if (!parsed) continue;
+      const args = {};
+      parsed.fragment.inputs.forEach((input, index) => {
+        args[input.name] = toPlainValue(parsed.args[index]);
+      });
+      events.push({ name: parsed.name, logIndex: log.index, args });
+    } catch (e) {
+      // Skip unparseable logs
+    }
+  }
+  return events;
+}
+
+// Pull the ids clients care about (tokenId, plotId, requestId) out of decoded events
+function extractOutputs(events) {
+  const outputs = { tokenId: null, plotId: null, requestId: null };
+  for (const { name, args } of events) {
+    if (name === "TokenCreated" && outputs.tokenId === null) {
+      outputs.tokenId = args.tokenId;
+    }
+    if (args.requestId !== undefined && outputs.requestId === null) {
+      outputs.requestId = args.requestId;
+    }
+    if (args.plotId !== undefined && outputs.plotId === null) {
+      outputs.plotId = args.plotId;
+    }
+  }
+  return outputs;
+}
+
+module.exports = {
+  toPlainValue,
+  parseReceiptEvents,
+  extractOutputs,
+};
@@ -0,0 +1,145 @@
+const crypto = require("crypto");
+const { ethers } = require("ethers");
+const SiweNonce = require("../models/siweNonce.model");
+const { getProvider } = require("./contractInstance");
+require("dotenv").config();
+
+// Sign-In with Ethereum (EIP-4361) configuration
+const SIWE_DOMAIN = process.env.SIWE_DOMAIN || "localhost:8000";
+const SIWE_NONCE_TTL_MS = parseInt(process.env.SIWE_NONCE_TTL_MS || "300000");
+const SIWE_STATEMENT =
+  process.env.SIWE_STATEMENT || "Sign in to the Land Management API";
+
+const HEADER_SUFFIX = " wants you to sign in with your Ethereum account:";
+const FIELDS = {
+  URI: "uri",
+  Version: "version",
+  "Chain ID": "chainId",
+  Nonce: "nonce",
+  "Issued At": "issuedAt",
+  "Expiration Time": "expirationTime",
+  "Not Before": "notBefore",
+  "Request ID": "requestId",
+};
+
+// Issue a single-use nonce for a SIWE message
+async function createNonce() {
+  const nonce = crypto.randomBytes(16).toString("hex");
+  const expiresAt = new Date(Date.now() + SIWE_NONCE_TTL_MS);
+  await SiweNonce.create({ nonce, expiresAt });
+  return { nonce, expiresAt };
+}
+
+// Build the EIP-4361 message a wallet should sign for `address`
+function buildSiweMessage({ address, uri, chainId, nonce, expiresAt }) {
+  return [
+    `${SIWE_DOMAIN}${HEADER_SUFFIX}`,
+    ethers.getAddress(address),
+    "",
+    SIWE_STATEMENT,
+    "",
+    `URI: ${uri}`,
+    "Version: 1",
+    `Chain ID: ${chainId}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${new Date().toISOString()}`,
+    `Expiration Time: ${expiresAt.toISOString()}`,
+  ].join("\n");
+}
+
+// Parse an EIP-4361 message into its fields. Returns null if it is malformed.
+function parseSiweMessage(message) {
+  if (typeof message !== "string") return null;
+  const lines = message.split("\n");
+
+  if (!lines[0] || !lines[0].endsWith(HEADER_SUFFIX)) return null;
+  const parsed = {
+    domain: lines[0].slice(0, -HEADER_SUFFIX.length),
+    address: lines[1],
+    statement: null,
+  };
+  if (!ethers.isAddress(parsed.address)) return null;
+
+  // An optional statement sits between blank lines after the address
+  let index = 2;
+  while (lines[index] === "") index++;
+  if (lines[index] && !lines[index].startsWith("URI: ")) {
+    parsed.statement = lines[index];
+    index++;
+    while (lines[index] === "") index++;
+  }
+
+  for (; index < lines.length; index++) {
+    const line = lines[index];
+    if (line === "Resources:") break;
+    const separator = line.indexOf(": ");
+    const field = FIELDS[line.slice(0, separator)];
+    if (separator === -1 || !field) return null;
+    parsed[field] = line.slice(separator + 2);
+  }
+
+  if (!parsed.uri || !parsed.nonce || !parsed.issuedAt) return null;
+  if (parsed.version !== "1" || !/^\d+$/.test(parsed.chainId || "")) {
+    return null;
+  }
+  return parsed;
+}
+
+// Check a signed SIWE message. Returns { address } on success or
+// { error } describing why it was rejected. The nonce is consumed last, once
+// the message and its signature are valid, so a forged message cannot burn
+// the nonce of a real sign-in.
+async function verifySiweMessage(message, signature) {
+  const parsed = parseSiweMessage(message);
+  if (!parsed) {
+    return { error: "Message is not a valid EIP-4361 message" };
+  }
+
+  if (parsed.domain !== SIWE_DOMAIN) {
+    return { error: `Domain must be ${SIWE_DOMAIN}` };
+  }
+
+  const network = await getProvider().getNetwork();
+  if (BigInt(parsed.chainId) !== network.chainId) {
+    return { error: `Chain ID must be ${network.chainId}` };
+  }
+
+  const now = Date.now();
+  if (parsed.expirationTime && Date.parse(parsed.expirationTime) <= now) {
+    return { error: "Message has expired" };
+  }
+  if (parsed.notBefore && Date.parse(parsed.notBefore) > now) {
+    return { error: "Message is not valid yet" };
+  }
+
+  let recovered;
+  try {
+    recovered = ethers.verifyMessage(message, signature);
+  } catch (e) {
+    return { error: "Signature could not be decoded" };
+  }
+  if (recovered.toLowerCase() !== parsed.address.toLowerCase()) {
+    return { error: "Signature does not match the message address" };
+  }
+
+  // Consume the nonce atomically: of two sign-ins racing with the same
+  // message, only one gets it
+  const nonce = await SiweNonce.findOneAndDelete({
+    nonce: parsed.nonce,
+    expiresAt: { $gt: new Date() },
+  });
+  if (!nonce) {
+    return { error: "Nonce is unknown, already used or expired" };
+  }
+
+  return { address: recovered.toLowerCase() };
+}
+
+module.exports = {
+  SIWE_DOMAIN,
+  SIWE_STATEMENT,
+  createNonce,
+  buildSiweMessage,
+  parseSiweMessage,
+  verifySiweMessage,
+};
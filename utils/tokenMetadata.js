@@ -0,0 +1,236 @@
+const Ajv = require("ajv");
+const TokenMetadata = require("../models/tokenMetadata.model");
+const Job = require("../models/job.model");
+require("dotenv").config();
+
+// Public base URL of this API, used in the tokenURI given to the contract
+const METADATA_BASE_URL = (
+  process.env.METADATA_BASE_URL ||
+  `http://localhost:${process.env.PORT || 8000}`
+).replace(/\/+$/, "");
+
+const LINK_PATTERN = "^(https?|ipfs|ar)://\\S+$";
+
+// JSON Schema for the metadata payload accepted by create-token and
+// PUT /api/metadata/:id
+const TOKEN_METADATA_SCHEMA = {
+  $schema: "http://json-schema.org/draft-07/schema#",
+  title: "Land token metadata",
+  type: "object",
+  required: ["block", "parcel", "surveyNumber", "area"],
+  additionalProperties: false,
+  properties: {
+    name: { type: "string", minLength: 1, maxLength: 200 },
+    description: { type: "string", maxLength: 5000 },
+    block: { type: "string", minLength: 1, maxLength: 200 },
+    parcel: { type: "string", minLength: 1, maxLength: 200 },
+    surveyNumber: { type: "string", minLength: 1, maxLength: 100 },
+    area: {
+      type: "object",
+      required: ["value", "unit"],
+      additionalProperties: false,
+      properties: {
+        value: { type: "number", exclusiveMinimum: 0 },
+        unit: { type: "string", enum: ["sqm", "sqft", "acre", "hectare"] },
+      },
+    },
+    images: {
+      type: "array",
+      maxItems: 20,
+      items: {
+        type: "object",
+        required: ["url"],
+        additionalProperties: false,
+        properties: {
+          url: { type: "string", pattern: LINK_PATTERN, maxLength: 2000 },
+          caption: { type: "string", maxLength: 500 },
+        },
+      },
+    },
+    documents: {
+      type: "array",
+      maxItems: 50,
+      items: {
+        type: "object",
+        required: ["name", "url"],
+        additionalProperties: false,
+        properties: {
+          name: { type: "string", minLength: 1, maxLength: 200 },
+          type: { type: "string", maxLength: 100 },
+          url: { type: "string", pattern: LINK_PATTERN, maxLength: 2000 },
+          sha256: { type: "string", pattern: "^[a-f0-9]{64}$" },
+        },
+      },
+    },
+  },
+};
+
+const validateSchema = new Ajv({ allErrors: true }).compile(
+  TOKEN_METADATA_SCHEMA
+);
+
+// Readable schema violations for a metadata payload, or null when valid
+function validateTokenMetadata(metadata) {
+  if (validateSchema(metadata)) return null;
+  return validateSchema.errors.map((error) => {
+    const path = `metadata${error.instancePath.replace(/\//g, ".")}`;
+    const extra = error.params.additionalProperty;
+    return extra
+      ? `${path} must not have "${extra}"`
+      : `${path} ${error.message}`;
+  });
+}
+
+// tokenURI for hosted metadata. ERC-1155 clients replace {id} with the
+// token ID as 64 lowercase hex characters.
+function metadataUriTemplate() {
+  return `${METADATA_BASE_URL}/api/metadata/{id}`;
+}
+
+function metadataUrl(tokenId) {
+  const hexId = BigInt(tokenId).toString(16).padStart(64, "0");
+  return metadataUriTemplate().replace("{id}", hexId);
+}
+
+// Token ID from a metadata URL segment: 64 hex characters as substituted
+// for {id}, or a decimal ID. An optional .json suffix is ignored.
+function parseMetadataId(value) {
+  const id = value.replace(/\.json$/, "");
+  if (/^[0-9a-fA-F]{64}$/.test(id)) return BigInt(`0x${id}`).toString();
+  if (/^\d{1,78}$/.test(id)) return BigInt(id).toString();
+  return null;
+}
+
+// ERC-1155 metadata JSON served for a stored document
+function toErc1155Metadata(doc) {
+  const {
+    name,
+    description,
+    block,
+    parcel,
+    surveyNumber,
+    area,
+    images = [],
+    documents = [],
+  } = doc.metadata;
+  return {
+    name: name ?? `${block} / ${parcel}`,
+    description:
+      description ??
+      `Land parcel ${parcel} of block ${block}, survey number ${surveyNumber}`,
+    ...(images.length > 0 && { image: images[0].url }),
+    properties: {
+      tokenId: doc.tokenId,
+      block,
+      parcel,
+      surveyNumber,
+      area,
+      images,
+      documents,
+    },
+  };
+}
+
+// Store metadata for a token about to be created. It is linked to the
+// token ID once the transaction's TokenCreated event is known.
+async function createMetadataDraft(metadata, fields) {
+  return TokenMetadata.create({ metadata, ...fields });
+}
+
+async function discardMetadataDraft(draftId) {
+  await TokenMetadata.deleteOne({ _id: draftId, tokenId: null });
+}
+
+// Record the hash of a draft's transaction. Called after the broadcast, so
+// failures are logged rather than thrown: the request must not fail (and be
+// retried) once the token transaction was sent.
+async function setDraftTransaction(draftId, transactionHash) {
+  try {
+    await TokenMetadata.updateOne({ _id: draftId }, { transactionHash });
+  } catch (error) {
+    console.error(
+      `Failed to store transaction ${transactionHash} on metadata draft ${draftId}:`,
+      error.message
+    );
+  }
+}
+
+// Follow a fee-bump re-send of a draft's transaction. Registered with the
+// transaction queue in index.js.
+async function recordDraftReplacement(oldHash, newHash) {
+  await TokenMetadata.updateOne(
+    { transactionHash: oldHash, tokenId: null },
+    { $set: { transactionHash: newHash }, $push: { replacedHashes: oldHash } }
+  );
+}
+
+async function linkMetadataDraft(draftId, tokenId) {
+  await TokenMetadata.updateOne({ _id: draftId, tokenId: null }, { tokenId });
+}
+
+// Every hash the transaction behind an event was sent under: the event's
+// own hash plus the current and replaced hashes of the job that sent it
+async function transactionHashes(transactionHash) {
+  const job = await Job.findOne({
+    $or: [
+      { "transaction.hash": transactionHash },
+      { "transaction.replacedHashes": transactionHash },
+    ],
+  })
+    .select("transaction.hash transaction.replacedHashes")
+    .lean();
+  if (!job) return [transactionHash];
+  return [
+    ...new Set([
+      transactionHash,
+      job.transaction.hash,
+      ...(job.transaction.replacedHashes || []),
+    ]),
+  ];
+}
+
+// Link a pending draft to the token a TokenCreated event reports. Registered
+// with the event indexer in index.js, which covers async and re-sent
+// transactions. Drafts are matched only by the hashes their transaction was
+// sent under, never by the block / parcel strings, which several pending
+// drafts may share.
+async function linkMetadataFromEvent(eventDoc) {
+  if (eventDoc.event !== "TokenCreated") return;
+  const tokenId = String(eventDoc.args.tokenId);
+  if (await TokenMetadata.exists({ tokenId })) return;
+
+  const hashes = await transactionHashes(eventDoc.transactionHash);
+  const draft = await TokenMetadata.findOne({
+    tokenId: null,
+    $or: [
+      { transactionHash: { $in: hashes } },
+      { replacedHashes: { $in: hashes } },
+    ],
+  }).lean();
+  if (draft) await linkMetadataDraft(draft._id, tokenId);
+}
+
+// Create or replace the metadata of an existing token
+async function setTokenMetadata(tokenId, metadata, fields) {
+  return TokenMetadata.findOneAndUpdate(
+    { tokenId },
+    { metadata, ...fields },
+    { upsert: true, new: true }
+  ).lean();
+}
+
+module.exports = {
+  TOKEN_METADATA_SCHEMA,
+  validateTokenMetadata,
+  metadataUriTemplate,
+  metadataUrl,
+  parseMetadataId,
+  toErc1155Metadata,
+  createMetadataDraft,
+  discardMetadataDraft,
+  setDraftTransaction,
+  recordDraftReplacement,
+  linkMetadataDraft,
+  linkMetadataFromEvent,
+  setTokenMetadata,
+};
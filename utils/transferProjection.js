@@ -0,0 +1,107 @@
+const TransferRequest = require("../models/transferRequest.model");
+
+// Approver roles as used by delegateApproveTransfer and TransferApproved
+const APPROVER_ROLES = {
+  1: { name: "Land Authority", field: "landAuthorityApproved" },
+  2: { name: "Bank", field: "bankApproved" },
+  3: { name: "Lawyer", field: "lawyerApproved" },
+};
+
+// Update the TransferRequest collection from one indexed event.
+// Registered with the event indexer in index.js.
+async function applyTransferEvent(eventDoc) {
+  const { event, args, blockTimestamp, blockNumber, transactionHash } =
+    eventDoc;
+
+  if (event === "TransferRequestCreated") {
+    await TransferRequest.updateOne(
+      { requestId: Number(args.requestId) },
+      {
+        $set: {
+          from: args.from.toLowerCase(),
+          to: args.to.toLowerCase(),
+          parcelId: args.tokenId,
+          parcelAmount: args.amount,
+          isPlotTransfer: args.isPlotTransfer,
+          plotId: args.plotId,
+          requestedAt: blockTimestamp,
+          requestedBlock: blockNumber,
+          transactionHash,
+        },
+      },
+      { upsert: true }
+    );
+  } else if (event === "TransferApproved") {
+    const role = APPROVER_ROLES[Number(args.role)];
+    const fields = {};
+    if (role) {
+      fields[role.field] = true;
+    }
+    if (args.isFullyApproved) {
+      fields.status = "approved";
+      fields.fullyApprovedAt = blockTimestamp;
+    }
+    await TransferRequest.updateOne(
+      { requestId: Number(args.requestId) },
+      {
+        $set: fields,
+        $push: {
+          approvals: {
+            role: Number(args.role),
+            approver: args.approver.toLowerCase(),
+            approvedAt: blockTimestamp,
+            transactionHash,
+          },
+        },
+      },
+      { upsert: true }
+    );
+  } else if (event === "TransferExecuted") {
+    await TransferRequest.updateOne(
+      { requestId: Number(args.requestId) },
+      {
+        $set: {
+          status: "executed",
+          executedAt: blockTimestamp,
+          executedTransactionHash: transactionHash,
+        },
+      },
+      { upsert: true }
+    );
+  }
+}
+
+// Shape a stored TransferRequest for API responses
+function formatTransferRequest(doc) {
+  return {
+    requestId: doc.requestId.toString(),
+    from: doc.from,
+    to: doc.to,
+    parcelId: doc.parcelId,
+    parcelAmount: doc.parcelAmount,
+    isPlotTransfer: doc.isPlotTransfer,
+    plotId: doc.plotId,
+    status: doc.status,
+    landAuthorityApproved: doc.landAuthorityApproved,
+    bankApproved: doc.bankApproved,
+    lawyerApproved: doc.lawyerApproved,
+    approvals: doc.approvals.map((approval) => ({
+      role: approval.role,
+      roleName: APPROVER_ROLES[approval.role]?.name,
+      approver: approval.approver,
+      approvedAt: approval.approvedAt,
+      transactionHash: approval.transactionHash,
+    })),
+    requestedAt: doc.requestedAt,
+    transactionHash: doc.transactionHash,
+    fullyApprovedAt: doc.fullyApprovedAt,
+    executedAt: doc.executedAt,
+    executedTransactionHash: doc.executedTransactionHash,
+  };
+}
+
+module.exports = {
+  APPROVER_ROLES,
+  applyTransferEvent,
+  formatTransferRequest,
+};
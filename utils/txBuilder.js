@@ -0,0 +1,104 @@
+const { ethers } = require("ethers");
+const { toPlainValue } = require("./receiptEvents");
+
+// Contract functions that change state and can be built for client signing
+function getWriteFunctionNames(contract) {
+  const names = [];
+  contract.interface.forEachFunction((fragment) => {
+    if (!fragment.constant) {
+      names.push(fragment.name);
+    }
+  });
+  return names;
+}
+
+// Build a fully populated unsigned transaction for `from` to sign.
+// Throws ethers errors (bad arguments, reverts) for the caller to translate.
+async function buildUnsignedTransaction(contract, functionName, args, from) {
+  const provider = contract.runner.provider;
+  const to = await contract.getAddress();
+  const data = contract.interface.encodeFunctionData(functionName, args);
+
+  const [network, nonce, gasLimit, feeData] = await Promise.all([
+    provider.getNetwork(),
+    provider.getTransactionCount(from, "pending"),
+    provider.estimateGas({ from, to, data }),
+    provider.getFeeData(),
+  ]);
+
+  const unsigned = {
+    to,
+    data,
+    value: "0",
+    chainId: network.chainId.toString(),
+    nonce,
+    gasLimit: gasLimit.toString(),
+  };
+
+  if (feeData.maxFeePerGas !== null) {
+    unsigned.type = 2;
+    unsigned.maxFeePerGas = feeData.maxFeePerGas.toString();
+    unsigned.maxPriorityFeePerGas = feeData.maxPriorityFeePerGas.toString();
+  } else {
+    unsigned.type = 0;
+    unsigned.gasPrice = feeData.gasPrice.toString();
+  }
+
+  return {
+    functionName,
+    args: toPlainValue(args),
+    transaction: { ...unsigned, from },
+    unsignedSerialized: ethers.Transaction.from(unsigned).unsignedSerialized,
+  };
+}
+
+// Parse a signed raw transaction and check that it calls our contract on
+// our chain. Returns { transaction, call } or { error } describing the problem.
+async function verifySignedTransaction(contract, signedTransaction) {
+  let transaction;
+  try {
+    transaction = ethers.Transaction.from(signedTransaction);
+  } catch (e) {
+    return { error: "Signed transaction could not be decoded" };
+  }
+
+  if (!transaction.signature || !transaction.from) {
+    return { error: "Transaction is not signed" };
+  }
+
+  const contractAddress = await contract.getAddress();
+  if (
+    !transaction.to ||
+    transaction.to.toLowerCase() !== contractAddress.toLowerCase()
+  ) {
+    return { error: `Transaction must target contract ${contractAddress}` };
+  }
+
+  const network = await contract.runner.provider.getNetwork();
+  if (transaction.chainId !== network.chainId) {
+    return {
+      error: `Transaction chainId ${transaction.chainId} does not match network chainId ${network.chainId}`,
+    };
+  }
+
+  let call = null;
+  try {
+    call = contract.interface.parseTransaction({
+      data: transaction.data,
+      value: transaction.value,
+    });
+  } catch (e) {
+    // Calldata does not match the function's ABI
+  }
+  if (!call || call.fragment.constant) {
+    return { error: "Transaction does not call a contract write function" };
+  }
+
+  return { transaction, call };
+}
+
+module.exports = {
+  getWriteFunctionNames,
+  buildUnsignedTransaction,
+  verifySignedTransaction,
+};
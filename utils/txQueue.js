@@ -0,0 +1,351 @@
+const { ethers } = require("ethers");
+require("dotenv").config();
+
+// Transaction queue configuration
+const TX_STUCK_TIMEOUT_MS = parseInt(
+  process.env.TX_STUCK_TIMEOUT_MS || "120000"
+);
+const TX_MONITOR_INTERVAL_MS = parseInt(
+  process.env.TX_MONITOR_INTERVAL_MS || "30000"
+);
+const TX_FEE_BUMP_PERCENT = BigInt(process.env.TX_FEE_BUMP_PERCENT || "20");
+const TX_MAX_REPLACEMENTS = parseInt(process.env.TX_MAX_REPLACEMENTS || "5");
+
+// Errors that mean our local nonce is out of step with the node
+const NONCE_ERRORS = ["NONCE_EXPIRED", "REPLACEMENT_UNDERPRICED"];
+
+// Called with (oldHash, newHash, nonce) after a transaction is re-sent, so
+// the re-send can be persisted (see registerReplacementHandler)
+const replacementHandlers = [];
+
+function registerReplacementHandler(handler) {
+  replacementHandlers.push(handler);
+}
+
+// Called with (hash, nonce, replacements) once a transaction is still
+// unmined after TX_MAX_REPLACEMENTS re-sends (see registerStuckHandler)
+const stuckHandlers = [];
+
+function registerStuckHandler(handler) {
+  stuckHandlers.push(handler);
+}
+
+async function runHandlers(handlers, hash, ...args) {
+  for (const handler of handlers) {
+    try {
+      await handler(hash, ...args);
+    } catch (error) {
+      console.error(`Transaction handler failed for ${hash}:`, error.message);
+    }
+  }
+}
+
+function bumpFee(value) {
+  return (value * (100n + TX_FEE_BUMP_PERCENT)) / 100n;
+}
+
+function maxBigInt(a, b) {
+  return a > b ? a : b;
+}
+
+// Signer that funnels every transaction from the shared wallet through one
+// queue, assigns nonces locally and re-sends transactions that get stuck or
+// dropped from the mempool with a higher fee.
+class QueuedSigner extends ethers.AbstractSigner {
+  constructor(signer) {
+    super(signer.provider);
+    this.signer = signer;
+    this.queue = Promise.resolve();
+    this.nextNonce = null;
+    this.inFlight = new Map();
+    this.replacedHashes = new Map();
+    // Hash chains of mined nonces, pruned from replacedHashes once waiters
+    // have had time to see the receipt
+    this.settled = [];
+    this.monitor = null;
+  }
+
+  async getAddress() {
+    return this.signer.getAddress();
+  }
+
+  connect(provider) {
+    return new QueuedSigner(this.signer.connect(provider));
+  }
+
+  async signTransaction(tx) {
+    return this.signer.signTransaction(tx);
+  }
+
+  async signMessage(message) {
+    return this.signer.signMessage(message);
+  }
+
+  async signTypedData(domain, types, value) {
+    return this.signer.signTypedData(domain, types, value);
+  }
+
+  // Run `task` after every previously queued task has finished
+  enqueue(task) {
+    const result = this.queue.then(task);
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  async syncNonce() {
+    this.nextNonce = await this.provider.getTransactionCount(
+      await this.getAddress(),
+      "pending"
+    );
+  }
+
+  async sendTransaction(tx) {
+    return this.enqueue(async () => {
+      if (this.nextNonce === null) {
+        await this.syncNonce();
+      }
+
+      let response;
+      try {
+        response = await this.broadcast(tx, this.nextNonce);
+      } catch (error) {
+        if (!NONCE_ERRORS.includes(error.code)) throw error;
+        // Someone else used the wallet, or a tx we lost track of was mined
+        await this.syncNonce();
+        response = await this.broadcast(tx, this.nextNonce);
+      }
+
+      this.nextNonce += 1;
+      return response;
+    });
+  }
+
+  // Populate, sign and send `tx` with a fixed nonce, and remember it so the
+  // monitor can re-send it if it gets stuck
+  async broadcast(tx, nonce) {
+    const populated = await this.signer.populateTransaction({ ...tx, nonce });
+    delete populated.from;
+    const signed = await this.signer.signTransaction(populated);
+    const response = await this.provider.broadcastTransaction(signed);
+
+    this.inFlight.set(nonce, {
+      nonce,
+      request: populated,
+      hash: response.hash,
+      hashes: [response.hash],
+      sentAt: Date.now(),
+      replacements: 0,
+      stuck: false,
+    });
+    return response;
+  }
+
+  // Every hash sent for the transaction first sent as `hash`, oldest first
+  getHashes(hash) {
+    const hashes = [hash];
+    while (this.replacedHashes.has(hashes[hashes.length - 1])) {
+      hashes.push(this.replacedHashes.get(hashes[hashes.length - 1]));
+    }
+    return hashes;
+  }
+
+  // Latest hash for a transaction that may have been re-sent by the monitor
+  getCurrentHash(hash) {
+    const hashes = this.getHashes(hash);
+    return hashes[hashes.length - 1];
+  }
+
+  // Receipt of a transaction sent through the queue, whichever of its
+  // re-sends gets mined. Contracts wrap the response of sendTransaction, so
+  // tx.wait() only ever watches the first hash. Like tx.wait(), throws
+  // CALL_EXCEPTION when the transaction reverted.
+  async waitForTransaction(hash, confirms = 1, timeout = 0) {
+    const deadline = timeout > 0 ? Date.now() + timeout : Infinity;
+    for (;;) {
+      const hashes = this.getHashes(hash);
+      const receipts = await Promise.all(
+        hashes.map((candidate) =>
+          this.provider.getTransactionReceipt(candidate)
+        )
+      );
+      const receipt = receipts.find(Boolean);
+      if (receipt && (await receipt.confirmations()) >= confirms) {
+        if (receipt.status !== 1) {
+          throw ethers.makeError(
+            "transaction execution reverted",
+            "CALL_EXCEPTION",
+            {
+              action: "sendTransaction",
+              data: null,
+              reason: null,
+              invocation: null,
+              revert: null,
+              transaction: { to: receipt.to, from: receipt.from, data: "" },
+              receipt,
+            }
+          );
+        }
+        return receipt;
+      }
+
+      const remaining = deadline - Date.now();
+      if (remaining <= 0) {
+        throw ethers.makeError("timeout", "TIMEOUT", {
+          operation: "waitForTransaction",
+        });
+      }
+      // Wake up when the latest hash is mined, or when the monitor may have
+      // re-sent it
+      try {
+        await this.provider.waitForTransaction(
+          hashes[hashes.length - 1],
+          confirms,
+          Math.min(remaining, TX_MONITOR_INTERVAL_MS)
+        );
+      } catch (error) {
+        if (error.code !== "TIMEOUT") throw error;
+      }
+    }
+  }
+
+  // Re-send a stuck or dropped transaction with the same nonce and higher fees
+  async replace(record) {
+    const feeData = await this.provider.getFeeData();
+    const request = { ...record.request };
+
+    if (request.maxFeePerGas != null) {
+      request.maxFeePerGas = maxBigInt(
+        bumpFee(BigInt(request.maxFeePerGas)),
+        feeData.maxFeePerGas ?? 0n
+      );
+      request.maxPriorityFeePerGas = maxBigInt(
+        bumpFee(BigInt(request.maxPriorityFeePerGas)),
+        feeData.maxPriorityFeePerGas ?? 0n
+      );
+    } else {
+      request.gasPrice = maxBigInt(
+        bumpFee(BigInt(request.gasPrice)),
+        feeData.gasPrice ?? 0n
+      );
+    }
+
+    const signed = await this.signer.signTransaction(request);
+    const response = await this.provider.broadcastTransaction(signed);
+
+    console.log(
+      `Re-sent stuck transaction nonce ${record.nonce}: ${record.hash} -> ${response.hash}`
+    );
+    this.replacedHashes.set(record.hash, response.hash);
+    await runHandlers(
+      replacementHandlers,
+      record.hash,
+      response.hash,
+      record.nonce
+    );
+    record.request = request;
+    record.hash = response.hash;
+    record.hashes.push(response.hash);
+    record.sentAt = Date.now();
+    record.replacements += 1;
+  }
+
+  // Forget the re-send chains of transactions mined a while ago. Waiters
+  // check every TX_MONITOR_INTERVAL_MS, so two intervals is enough for them
+  // to have seen the receipt.
+  pruneSettled() {
+    const cutoff = Date.now() - 2 * TX_MONITOR_INTERVAL_MS;
+    while (this.settled.length > 0 && this.settled[0].settledAt <= cutoff) {
+      for (const hash of this.settled.shift().hashes) {
+        this.replacedHashes.delete(hash);
+      }
+    }
+  }
+
+  // Report a transaction that is still unmined after TX_MAX_REPLACEMENTS
+  // re-sends. It holds back every later nonce of the wallet.
+  async reportStuck(record) {
+    record.stuck = true;
+    console.error(
+      `Transaction nonce ${record.nonce} (${record.hash}) still unmined after ${record.replacements} replacements; later transactions from the server wallet are held back until it is mined`
+    );
+    await runHandlers(
+      stuckHandlers,
+      record.hash,
+      record.nonce,
+      record.replacements
+    );
+  }
+
+  // Drop mined transactions from tracking and re-send the stuck ones
+  async checkInFlight() {
+    this.pruneSettled();
+    if (this.inFlight.size === 0) return;
+
+    const minedNonce = await this.provider.getTransactionCount(
+      await this.getAddress(),
+      "latest"
+    );
+
+    for (const [nonce, record] of this.inFlight) {
+      if (nonce < minedNonce) {
+        this.inFlight.delete(nonce);
+        if (record.hashes.length > 1) {
+          this.settled.push({ hashes: record.hashes, settledAt: Date.now() });
+        }
+        continue;
+      }
+      if (Date.now() - record.sentAt < TX_STUCK_TIMEOUT_MS) continue;
+
+      if (record.replacements >= TX_MAX_REPLACEMENTS) {
+        if (!record.stuck) await this.reportStuck(record);
+        continue;
+      }
+
+      try {
+        await this.enqueue(() => this.replace(record));
+      } catch (error) {
+        console.error(
+          `Failed to re-send transaction nonce ${nonce}:`,
+          error.message
+        );
+      }
+    }
+  }
+
+  startMonitor() {
+    if (this.monitor) return;
+    this.monitor = setInterval(() => {
+      this.checkInFlight().catch((error) => {
+        console.error("Transaction monitor failed:", error.message);
+      });
+    }, TX_MONITOR_INTERVAL_MS);
+    this.monitor.unref();
+  }
+
+  stopMonitor() {
+    if (this.monitor) {
+      clearInterval(this.monitor);
+      this.monitor = null;
+    }
+  }
+
+  // Snapshot of the queue for the status endpoint
+  getStatus() {
+    return {
+      nextNonce: this.nextNonce,
+      inFlight: Array.from(this.inFlight.values()).map((record) => ({
+        nonce: record.nonce,
+        hash: record.hash,
+        sentAt: new Date(record.sentAt).toISOString(),
+        replacements: record.replacements,
+        stuck: record.stuck,
+      })),
+    };
+  }
+}
+
+module.exports = {
+  QueuedSigner,
+  registerReplacementHandler,
+  registerStuckHandler,
+};
@@ -0,0 +1,71 @@
+const { ethers } = require("ethers");
+const { toPlainValue } = require("./receiptEvents");
+const { isRevertError, translateContractError } = require("./contractErrors");
+
+// Setters only simulate when the client passes ?dryRun=true
+function isDryRunRequest(req) {
+  return req.query.dryRun === "true";
+}
+
+// Run a contract write as staticCall + estimateGas without broadcasting it.
+// Reverts are reported in the result; any other failure (RPC down, fee
+// lookup, ...) is thrown, since it does not mean the call would revert.
+async function simulateTransaction(contract, functionName, args) {
+  const method = contract[functionName];
+  const result = {
+    dryRun: true,
+    functionName,
+    args: toPlainValue(args),
+    willRevert: false,
+    returnValue: null,
+    gas: null,
+    estimatedFee: null,
+  };
+
+  try {
+    const returnValue = await method.staticCall(...args);
+    const plain = toPlainValue(returnValue);
+    result.returnValue =
+      Array.isArray(plain) && plain.length === 0 ? null : plain;
+
+    const gasEstimate = await method.estimateGas(...args);
+    const feeData = await contract.runner.provider.getFeeData();
+    const pricePerGas = feeData.maxFeePerGas ?? feeData.gasPrice ?? 0n;
+    const fee = gasEstimate * pricePerGas;
+
+    result.gas = {
+      estimate: gasEstimate.toString(),
+      gasPrice: feeData.gasPrice?.toString() ?? null,
+      maxFeePerGas: feeData.maxFeePerGas?.toString() ?? null,
+      maxPriorityFeePerGas: feeData.maxPriorityFeePerGas?.toString() ?? null,
+    };
+    result.estimatedFee = {
+      wei: fee.toString(),
+      eth: ethers.formatEther(fee),
+    };
+  } catch (error) {
+    if (!isRevertError(error)) throw error;
+    const { code, details, revert } = translateContractError(error);
+    result.willRevert = true;
+    result.error = { code, details, revert };
+  }
+
+  return result;
+}
+
+// Response body for a setter called with ?dryRun=true
+function dryRunResponse(simulation) {
+  return {
+    success: true,
+    data: simulation,
+    message: simulation.willRevert
+      ? "Dry run completed: transaction would revert"
+      : "Dry run completed: transaction would succeed",
+  };
+}
+
+module.exports = {
+  isDryRunRequest,
+  simulateTransaction,
+  dryRunResponse,
+};
@@ -0,0 +1,249 @@
+const { createClient } = require("redis");
+require("dotenv").config();
+
+// View cache configuration
+const CACHE_ENABLED = process.env.CACHE_ENABLED !== "false";
+const CACHE_BACKEND = process.env.CACHE_BACKEND || "memory";
+const CACHE_REDIS_URL = process.env.CACHE_REDIS_URL || "redis://localhost:6379";
+const CACHE_REDIS_PREFIX = process.env.CACHE_REDIS_PREFIX || "land-api:view:";
+const CACHE_TTL_MS = parseInt(process.env.CACHE_TTL_MS || "60000");
+const CACHE_MAX_ENTRIES = parseInt(process.env.CACHE_MAX_ENTRIES || "10000");
+
+// Entries of views that are not scoped to a plot, token or request (counters,
+// plot lists, configured addresses) are dropped on every contract event
+const GLOBAL_TAG = "global";
+
+// View/event argument names (without leading underscore) that scope an entry
+const ARG_TAGS = {
+  plotId: "plot",
+  tokenId: "token",
+  parcelId: "token",
+  parcel: "token",
+  id: "token",
+  ids: "token",
+  requestId: "request",
+};
+
+// Tags for one view call, from its fragment and decoded arguments
+function viewTags(fragment, args) {
+  const tags = [];
+  let scoped = false;
+  fragment.inputs.forEach((input, index) => {
+    const values = [].concat(args[index]);
+    if (input.baseType === "address" || input.type === "address[]") {
+      values.forEach((value) => tags.push(`address:${value.toLowerCase()}`));
+      return;
+    }
+    const prefix = ARG_TAGS[input.name.replace(/^_/, "")];
+    if (prefix) {
+      scoped = true;
+      values.forEach((value) => tags.push(`${prefix}:${value.toString()}`));
+    }
+  });
+  if (!scoped) tags.push(GLOBAL_TAG);
+  return tags;
+}
+
+// Tags to invalidate for an indexed event document (see eventIndexer.js)
+function eventTags(eventDoc) {
+  const tags = [GLOBAL_TAG];
+  if (eventDoc.requestId !== null) tags.push(`request:${eventDoc.requestId}`);
+  if (eventDoc.plotId !== null) tags.push(`plot:${eventDoc.plotId}`);
+  eventDoc.tokenIds.forEach((tokenId) => tags.push(`token:${tokenId}`));
+  eventDoc.addresses.forEach((address) => tags.push(`address:${address}`));
+  return tags;
+}
+
+// In-process store; oldest entries are evicted past CACHE_MAX_ENTRIES
+class MemoryCacheStore {
+  constructor() {
+    this.entries = new Map();
+    this.tagIndex = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      this.delete(key);
+      return null;
+    }
+    return entry.value;
+  }
+
+  async set(key, value, tags, ttlMs) {
+    this.delete(key);
+    if (this.entries.size >= CACHE_MAX_ENTRIES) {
+      this.delete(this.entries.keys().next().value);
+    }
+    this.entries.set(key, { value, tags, expiresAt: Date.now() + ttlMs });
+    for (const tag of tags) {
+      if (!this.tagIndex.has(tag)) this.tagIndex.set(tag, new Set());
+      this.tagIndex.get(tag).add(key);
+    }
+  }
+
+  delete(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return;
+    this.entries.delete(key);
+    for (const tag of entry.tags) {
+      const keys = this.tagIndex.get(tag);
+      keys.delete(key);
+      if (keys.size === 0) this.tagIndex.delete(tag);
+    }
+  }
+
+  async invalidate(tags) {
+    let count = 0;
+    for (const tag of tags) {
+      for (const key of this.tagIndex.get(tag) || []) {
+        this.delete(key);
+        count += 1;
+      }
+    }
+    return count;
+  }
+
+  async clear() {
+    this.entries.clear();
+    this.tagIndex.clear();
+  }
+}
+
+// Store for Redis or any server speaking its protocol (Valkey, KeyDB, ...).
+// Each tag is a set of the entry keys carrying it.
+class RedisCacheStore {
+  constructor(url, prefix) {
+    this.prefix = prefix;
+    // Fail fast while disconnected; a failed read is just a cache miss
+    this.client = createClient({ url, disableOfflineQueue: true });
+    this.client.on("error", (error) => {
+      console.error("View cache Redis error:", error.message);
+    });
+    this.client.connect().catch(() => {});
+  }
+
+  tagKey(tag) {
+    return `${this.prefix}tag:${tag}`;
+  }
+
+  async get(key) {
+    return this.client.get(this.prefix + key);
+  }
+
+  async set(key, value, tags, ttlMs) {
+    const multi = this.client.multi().set(this.prefix + key, value, {
+      expiration: { type: "PX", value: ttlMs },
+    });
+    for (const tag of tags) {
+      multi.sAdd(this.tagKey(tag), this.prefix + key);
+      multi.pExpire(this.tagKey(tag), ttlMs);
+    }
+    await multi.exec();
+  }
+
+  async invalidate(tags) {
+    let count = 0;
+    for (const tag of tags) {
+      const keys = await this.client.sMembers(this.tagKey(tag));
+      if (keys.length > 0) {
+        count += await this.client.del(keys);
+      }
+      await this.client.del(this.tagKey(tag));
+    }
+    return count;
+  }
+
+  async clear() {
+    for await (const keys of this.client.scanIterator({
+      MATCH: `${this.prefix}*`,
+      COUNT: 100,
+    })) {
+      if (keys.length > 0) await this.client.del(keys);
+    }
+  }
+}
+
+// Cache of raw view-call return data keyed by function name plus encoded
+// arguments. Entries stay valid until an event touching one of their tags
+// is seen, so every entry reflects the state at `blockNumber`.
+class ViewCache {
+  constructor(store) {
+    this.store = store;
+    this.blockNumber = null;
+    // Bumped on every invalidation so reads that started before it are not
+    // stored afterwards
+    this.generation = 0;
+  }
+
+  key(fragment, callData) {
+    return `${fragment.name}:${callData.slice(10)}`;
+  }
+
+  async get(key) {
+    try {
+      return await this.store.get(key);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async set(key, value, tags, generation) {
+    if (generation !== this.generation) return;
+    try {
+      await this.store.set(key, value, tags, CACHE_TTL_MS);
+    } catch (error) {
+      console.error("Failed to store cached view:", error.message);
+    }
+  }
+
+  async invalidate(tags) {
+    this.generation += 1;
+    return this.store.invalidate(tags);
+  }
+
+  async clear() {
+    this.generation += 1;
+    return this.store.clear();
+  }
+
+  setBlockNumber(blockNumber) {
+    this.blockNumber = blockNumber;
+  }
+}
+
+let viewCache;
+
+// Shared cache instance, or null when CACHE_ENABLED=false
+function getViewCache() {
+  if (!CACHE_ENABLED) return null;
+  if (!viewCache) {
+    const store =
+      CACHE_BACKEND === "redis"
+        ? new RedisCacheStore(CACHE_REDIS_URL, CACHE_REDIS_PREFIX)
+        : new MemoryCacheStore();
+    viewCache = new ViewCache(store);
+    console.log(`View cache enabled (${CACHE_BACKEND} backend)`);
+  }
+  return viewCache;
+}
+
+// Tell clients which block cached reads reflect. Express adds an ETag to
+// every JSON response and answers If-None-Match with 304 Not Modified.
+function viewCacheHeaders(req, res, next) {
+  res.set("Cache-Control", "no-cache");
+  const cache = getViewCache();
+  if (cache && cache.blockNumber !== null) {
+    res.set("X-Block-Number", cache.blockNumber.toString());
+  }
+  next();
+}
+
+module.exports = {
+  GLOBAL_TAG,
+  viewTags,
+  eventTags,
+  getViewCache,
+  viewCacheHeaders,
+};
@@ -0,0 +1,320 @@
+const crypto = require("crypto");
+const WebhookSubscription = require("../models/webhookSubscription.model");
+const WebhookDelivery = require("../models/webhookDelivery.model");
+const TransferRequest = require("../models/transferRequest.model");
+const {
+  APPROVER_ROLES,
+  formatTransferRequest,
+} = require("./transferProjection");
+require("dotenv").config();
+
+// Webhook delivery configuration
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS || "10000");
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || "8");
+const WEBHOOK_RETRY_BASE_MS = parseInt(
+  process.env.WEBHOOK_RETRY_BASE_MS || "10000"
+);
+const WEBHOOK_RETRY_MAX_MS = parseInt(
+  process.env.WEBHOOK_RETRY_MAX_MS || "3600000"
+);
+const WEBHOOK_POLL_INTERVAL_MS = parseInt(
+  process.env.WEBHOOK_POLL_INTERVAL_MS || "5000"
+);
+
+// Webhook event types and the contract events they are built from
+const WEBHOOK_EVENT_TYPES = [
+  "transfer.requested", // TransferRequestCreated
+  "transfer.approved", // TransferApproved (any role)
+  "transfer.fully_approved", // TransferApproved with isFullyApproved
+  "transfer.executed", // TransferExecuted
+  "plot.created", // PlotCreated
+  "token.created", // TokenCreated
+];
+
+let timer = null;
+let running = false;
+let processing = false;
+
+function generateWebhookSecret() {
+  return `whsec_${crypto.randomBytes(24).toString("hex")}`;
+}
+
+// HMAC-SHA256 over "<timestamp>.<body>", sent as X-Webhook-Signature
+function signWebhookPayload(secret, timestamp, body) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+}
+
+// Webhook events (type + data) for one indexed contract event
+async function buildWebhookEvents(eventDoc) {
+  const { event, args } = eventDoc;
+  const data = {
+    contractEvent: event,
+    args,
+    requestId: eventDoc.requestId,
+    plotId: eventDoc.plotId,
+    tokenIds: eventDoc.tokenIds,
+    blockNumber: eventDoc.blockNumber,
+    blockTimestamp: eventDoc.blockTimestamp,
+    transactionHash: eventDoc.transactionHash,
+    logIndex: eventDoc.logIndex,
+  };
+
+  if (event === "PlotCreated") return [{ type: "plot.created", data }];
+  if (event === "TokenCreated") return [{ type: "token.created", data }];
+
+  // Transfer events carry the request as projected after this event
+  if (eventDoc.requestId !== null) {
+    const request = await TransferRequest.findOne({
+      requestId: Number(eventDoc.requestId),
+    }).lean();
+    if (request) {
+      data.transfer = formatTransferRequest(request);
+      data.plotId = data.plotId ?? request.plotId ?? null;
+    }
+  }
+
+  if (event === "TransferRequestCreated") {
+    return [{ type: "transfer.requested", data }];
+  }
+  if (event === "TransferApproved") {
+    const role = Number(args.role);
+    const approved = {
+      type: "transfer.approved",
+      data: { ...data, role, roleName: APPROVER_ROLES[role]?.name ?? null },
+    };
+    return args.isFullyApproved
+      ? [approved, { type: "transfer.fully_approved", data }]
+      : [approved];
+  }
+  if (event === "TransferExecuted") {
+    return [{ type: "transfer.executed", data }];
+  }
+  return [];
+}
+
+// Queue deliveries of one indexed event to every matching subscription.
+// Registered with the event indexer in index.js.
+async function enqueueWebhookEvent(eventDoc) {
+  const webhookEvents = await buildWebhookEvents(eventDoc);
+  let queued = 0;
+
+  for (const { type, data } of webhookEvents) {
+    const subscriptions = await WebhookSubscription.find({
+      active: true,
+      events: type,
+    })
+      .select("_id")
+      .lean();
+
+    for (const subscription of subscriptions) {
+      try {
+        await WebhookDelivery.create({
+          subscription: subscription._id,
+          eventId: `${eventDoc.transactionHash}:${eventDoc.logIndex}:${type}`,
+          eventType: type,
+          payload: data,
+        });
+        queued += 1;
+      } catch (error) {
+        // Already queued for this subscription
+        if (error.code !== 11000) throw error;
+      }
+    }
+  }
+
+  if (queued > 0) processDueDeliveries();
+}
+
+function retryDelay(attemptCount) {
+  return Math.min(
+    WEBHOOK_RETRY_BASE_MS * 2 ** (attemptCount - 1),
+    WEBHOOK_RETRY_MAX_MS
+  );
+}
+
+// POST one delivery and record the attempt. Failed attempts are retried
+// with exponential backoff until WEBHOOK_MAX_ATTEMPTS is reached.
+async function attemptDelivery(delivery) {
+  const subscription = await WebhookSubscription.findById(delivery.subscription)
+    .select("+secret")
+    .lean();
+  const deliverable = subscription && subscription.active;
+  const startedAt = new Date();
+  let statusCode = null;
+  let error = null;
+
+  if (!deliverable) {
+    error = "Subscription was deleted or disabled";
+  } else {
+    const body = JSON.stringify({
+      id: delivery._id.toString(),
+      type: delivery.eventType,
+      createdAt: delivery.createdAt.toISOString(),
+      data: delivery.payload,
+    });
+    const timestamp = Math.floor(startedAt.getTime() / 1000).toString();
+    const signature = signWebhookPayload(subscription.secret, timestamp, body);
+
+    try {
+      const response = await fetch(subscription.url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "land-management-webhooks",
+          "X-Webhook-Id": delivery._id.toString(),
+          "X-Webhook-Event": delivery.eventType,
+          "X-Webhook-Timestamp": timestamp,
+          "X-Webhook-Signature": `sha256=${signature}`,
+        },
+        body,
+        redirect: "manual",
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+      });
+      statusCode = response.status;
+      await response.body?.cancel();
+      if (!response.ok) error = `Endpoint responded with HTTP ${statusCode}`;
+    } catch (e) {
+      error = e.cause?.message || e.message;
+    }
+  }
+
+  const attemptCount = delivery.attemptCount + 1;
+  const update = { attemptCount };
+  if (!error) {
+    update.status = "succeeded";
+    update.deliveredAt = new Date();
+  } else if (!deliverable || attemptCount >= WEBHOOK_MAX_ATTEMPTS) {
+    update.status = "failed";
+  } else {
+    update.nextAttemptAt = new Date(Date.now() + retryDelay(attemptCount));
+  }
+
+  await WebhookDelivery.updateOne(
+    { _id: delivery._id },
+    {
+      $set: update,
+      $push: {
+        attempts: {
+          at: startedAt,
+          statusCode,
+          error,
+          durationMs: Date.now() - startedAt.getTime(),
+        },
+      },
+    }
+  );
+}
+
+// Send every delivery that is due, one at a time
+async function processDueDeliveries() {
+  if (!running || processing) return;
+  processing = true;
+  try {
+    while (running) {
+      // Push nextAttemptAt out while sending so other instances skip it
+      const delivery = await WebhookDelivery.findOneAndUpdate(
+        { status: "pending", nextAttemptAt: { $lte: new Date() } },
+        {
+          $set: {
+            nextAttemptAt: new Date(Date.now() + 2 * WEBHOOK_TIMEOUT_MS),
+          },
+        },
+        { sort: { nextAttemptAt: 1 } }
+      ).lean();
+      if (!delivery) break;
+      await attemptDelivery(delivery);
+    }
+  } catch (error) {
+    console.error("Webhook delivery run failed:", error.message);
+  } finally {
+    processing = false;
+  }
+}
+
+// Send a delivery again, whatever its status, with a fresh retry budget
+async function replayDelivery(deliveryId) {
+  const delivery = await WebhookDelivery.findByIdAndUpdate(
+    deliveryId,
+    {
+      $set: {
+        status: "pending",
+        attemptCount: 0,
+        nextAttemptAt: new Date(),
+        replayedAt: new Date(),
+      },
+    },
+    { new: true }
+  ).lean();
+  if (delivery) processDueDeliveries();
+  return delivery;
+}
+
+function scheduleNextRun() {
+  if (!running) return;
+  timer = setTimeout(async () => {
+    await processDueDeliveries();
+    scheduleNextRun();
+  }, WEBHOOK_POLL_INTERVAL_MS);
+}
+
+// Start sending queued deliveries (requires a database connection)
+function startWebhookWorker() {
+  if (running) return;
+  running = true;
+  processDueDeliveries().then(scheduleNextRun);
+}
+
+function stopWebhookWorker() {
+  running = false;
+  if (timer) {
+    clearTimeout(timer);
+    timer = null;
+  }
+}
+
+// Shape a stored subscription for API responses
+function formatSubscription(doc, { includeSecret = false } = {}) {
+  return {
+    id: doc._id.toString(),
+    url: doc.url,
+    events: doc.events,
+    description: doc.description,
+    active: doc.active,
+    ...(includeSecret && { secret: doc.secret }),
+    createdBy: doc.createdBy,
+    createdAt: doc.createdAt,
+  };
+}
+
+// Shape a stored delivery for API responses
+function formatDelivery(doc) {
+  return {
+    id: doc._id.toString(),
+    subscriptionId: doc.subscription.toString(),
+    eventId: doc.eventId,
+    eventType: doc.eventType,
+    status: doc.status,
+    attemptCount: doc.attemptCount,
+    nextAttemptAt: doc.status === "pending" ? doc.nextAttemptAt : null,
+    deliveredAt: doc.deliveredAt,
+    replayedAt: doc.replayedAt,
+    attempts: doc.attempts,
+    payload: doc.payload,
+    createdAt: doc.createdAt,
+  };
+}
+
+module.exports = {
+  WEBHOOK_EVENT_TYPES,
+  generateWebhookSecret,
+  signWebhookPayload,
+  enqueueWebhookEvent,
+  replayDelivery,
+  startWebhookWorker,
+  stopWebhookWorker,
+  formatSubscription,
+  formatDelivery,
+};